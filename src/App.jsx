@@ -1,33 +1,60 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import InputForm from './components/Calculator/InputForm';
 import NetWorthChart from './components/Charts/NetWorthChart';
+import TornadoChart from './components/Charts/TornadoChart';
+import HeatmapChart from './components/Charts/HeatmapChart';
 import CapitalCompositionChart from './components/Charts/CapitalCompositionChart';
 import ScenarioManager from './components/ScenarioManager/ScenarioManager';
+import BacktestPanel from './components/Backtest/BacktestPanel';
+import AmortizationTable from './components/Amortization/AmortizationTable';
+import LoanOfferComparison from './components/LoanOffers/LoanOfferComparison';
+import HoldingPeriodPanel from './components/HoldingPeriod/HoldingPeriodPanel';
+import GoalSeekPanel from './components/Solver/GoalSeekPanel';
+import ScenarioComparison from './components/ScenarioComparison/ScenarioComparison';
 import { defaultParameters } from './data/presetTemplates';
 import { useLocalStorage } from './hooks/useLocalStorage';
+import { useScenarioStore } from './hooks/useScenarioStore';
 import { useURLParams } from './hooks/useURLParams';
 import { useCalculations } from './hooks/useCalculations';
-import { formatCurrency } from './utils/calculations';
+import { formatCurrency, formatYear } from './utils/calculations';
+import { createScenario } from './utils/scenarioStore';
+import { getDefaultParameters } from './utils/parameters';
+import { MAX_COMPARED_SCENARIOS } from './utils/scenarioComparison';
 import './App.css';
 
 function App() {
   const [parameters, setParameters] = useState(defaultParameters);
-  const [scenarios, setScenarios] = useLocalStorage('ownVsRentScenarios', []);
+  const {
+    scenarios,
+    isLoading: scenariosLoading,
+    error: scenarioStorageError,
+    addScenario,
+    saveScenarioParameters,
+    renameScenario,
+    duplicateScenario,
+    restoreVersion,
+    importScenarios,
+    deleteScenario
+  } = useScenarioStore();
+  const [valueMode, setValueMode] = useLocalStorage('ownVsRentValueMode', 'nominal');
+  const [comparedScenarioIds, setComparedScenarioIds] = useState([]);
+  const realDollars = valueMode === 'real';
   
-  const { urlParameters, hasUrlParams, updateURL } = useURLParams(defaultParameters);
-  const { results, summary, chartData, isValid, error } = useCalculations(parameters);
-
-  // Debug scenarios on startup
-  useEffect(() => {
-    console.log('App startup - scenarios from useLocalStorage:', scenarios);
-    const directCheck = localStorage.getItem('ownVsRentScenarios');
-    console.log('App startup - direct localStorage check:', directCheck);
-  }, []);
-
-  // Monitor scenarios changes
-  useEffect(() => {
-    console.log('Scenarios state changed:', scenarios);
-  }, [scenarios]);
+  const { urlParameters, sharedLink, hasUrlParams, updateURL, dismissSharedLink } = useURLParams(defaultParameters);
+  const {
+    results,
+    summary,
+    chartData,
+    chartMarkers,
+    isValid,
+    error,
+    fieldErrors,
+    fieldWarnings,
+    isStale,
+    resultParameters
+  } = useCalculations(parameters, { realDollars });
+  const fieldErrorCount = Object.keys(fieldErrors).length;
+  const valueLabel = realDollars ? "Net Worth (today's dollars)" : 'Net Worth';
 
   // Load URL parameters on first render
   useEffect(() => {
@@ -52,48 +79,58 @@ function App() {
     }));
   };
 
+  // Stable so the holding period chart only redraws when its data changes
+  const handleHoldingPeriodChange = useCallback((years) => {
+    setParameters(prev => ({ ...prev, holdingPeriod: years }));
+  }, []);
+
   const handlePresetSelect = (presetParameters) => {
-    setParameters(presetParameters);
+    // Presets start from the defaults so earlier ARM, refinance or tax settings don't carry over
+    setParameters({ ...getDefaultParameters(), ...presetParameters });
   };
 
-  const handleSaveScenario = (scenario) => {
-    console.log('Saving scenario:', scenario);
-    
-    // Update localStorage directly to ensure persistence
-    try {
-      const currentScenarios = JSON.parse(localStorage.getItem('ownVsRentScenarios') || '[]');
-      const updatedScenarios = [...currentScenarios, scenario];
-      localStorage.setItem('ownVsRentScenarios', JSON.stringify(updatedScenarios));
-      console.log('Successfully saved to localStorage:', updatedScenarios);
-      
-      // Update React state
-      setScenarios(updatedScenarios);
-    } catch (error) {
-      console.error('Error saving scenario:', error);
-      // Fallback to React state only
-      setScenarios(prev => [...prev, scenario]);
-    }
+  const handleUpdateScenario = (scenarioId, note) => {
+    saveScenarioParameters(scenarioId, parameters, note);
   };
 
   const handleLoadScenario = (scenario) => {
-    setParameters(scenario.parameters);
+    // Older saved scenarios may predate newer parameters, so fill gaps with defaults
+    setParameters({ ...defaultParameters, ...scenario.parameters });
   };
 
-  const handleDeleteScenario = (scenarioId) => {
-    try {
-      const currentScenarios = JSON.parse(localStorage.getItem('ownVsRentScenarios') || '[]');
-      const updatedScenarios = currentScenarios.filter(s => s.id !== scenarioId);
-      localStorage.setItem('ownVsRentScenarios', JSON.stringify(updatedScenarios));
-      
-      // Update React state
-      setScenarios(updatedScenarios);
-    } catch (error) {
-      console.error('Error deleting scenario:', error);
-      // Fallback to React state only
-      setScenarios(prev => prev.filter(s => s.id !== scenarioId));
+  // Links to a named scenario or a comparison set can be kept as saved scenarios
+  const handleSaveSharedLink = async () => {
+    const shared = sharedLink.scenarios || [{ name: sharedLink.name, parameters: sharedLink.parameters }];
+    const saved = shared.map(scenario => createScenario(
+      scenario.name || 'Shared scenario',
+      { ...defaultParameters, ...scenario.parameters }
+    ));
+
+    await Promise.all(saved.map(addScenario));
+    if (saved.length > 1) {
+      setComparedScenarioIds(saved.slice(0, MAX_COMPARED_SCENARIOS).map(scenario => scenario.id));
     }
+    dismissSharedLink();
+  };
+
+  const handleToggleCompare = (scenarioId) => {
+    setComparedScenarioIds(prev => (
+      prev.includes(scenarioId) ? prev.filter(id => id !== scenarioId) : [...prev, scenarioId]
+    ));
   };
 
+  // Deleted scenarios drop out of the comparison
+  const comparedScenarios = useMemo(
+    () => scenarios.filter(scenario => comparedScenarioIds.includes(scenario.id)),
+    [scenarios, comparedScenarioIds]
+  );
+
+  // Lender quotes are edited in the loan offer panel, so it always sees the current list
+  const loanOfferParameters = useMemo(
+    () => ({ ...resultParameters, loanOffers: parameters.loanOffers }),
+    [resultParameters, parameters.loanOffers]
+  );
+
   const summaryCards = useMemo(() => {
     if (!summary) return null;
 
@@ -102,7 +139,9 @@ function App() {
         <div className="summary-card primary">
           <div className="card-header">
             <h4>📊 Net Worth Comparison</h4>
-            <span className="card-subtitle">After {summary.timeHorizon} years</span>
+            <span className="card-subtitle">
+              After {summary.timeHorizon} years{summary.realDollars && " · today's dollars"}
+            </span>
           </div>
           <div className="card-content">
             <div className="scenario-comparison">
@@ -111,6 +150,9 @@ function App() {
                 <div className="scenario-details">
                   <span className="value">{formatCurrency(summary.ownFinalNetWorth)}</span>
                   <small>Home equity + Investments</small>
+                  <small>
+                    If sold{summary.includeTaxes ? ' (after tax)' : ''}: {formatCurrency(summary.ownFinalNetWorthIfSold)}
+                  </small>
                 </div>
               </div>
               <div className="comparison-item rent-scenario">
@@ -118,11 +160,14 @@ function App() {
                 <div className="scenario-details">
                   <span className="value">{formatCurrency(summary.rentFinalNetWorth)}</span>
                   <small>Investment portfolio only</small>
+                  {summary.includeTaxes && (
+                    <small>After tax: {formatCurrency(summary.rentFinalNetWorthIfSold)}</small>
+                  )}
                 </div>
               </div>
             </div>
             <div className="comparison-result">
-              <span className="result-label">Net Advantage:</span>
+              <span className="result-label">Net Advantage (if sold):</span>
               <span className={`result-value ${summary.netWorthDifference > 0 ? 'own-advantage' : 'rent-advantage'}`}>
                 {summary.netWorthDifference > 0 ? 'Own' : 'Rent + Invest'} by {formatCurrency(Math.abs(summary.netWorthDifference))}
               </span>
@@ -133,17 +178,38 @@ function App() {
         <div className="summary-card">
           <div className="card-header">
             <h4>💰 Total Housing Costs</h4>
-            <span className="card-subtitle">{summary.timeHorizon} years</span>
+            <span className="card-subtitle">{summary.timeHorizon} years{summary.realDollars && " · today's dollars"}</span>
           </div>
           <div className="card-content">
             <div className="comparison-item">
               <span className="label own">Owning:</span>
               <span className="value">{formatCurrency(summary.ownTotalCosts)}</span>
             </div>
+            {summary.mortgageInsurance && (
+              <div className="comparison-item">
+                <span className="label own">
+                  {summary.mortgageInsurance.program === 'fha' ? 'FHA MIP' : 'PMI'} (included):
+                </span>
+                <span className="value">{formatCurrency(summary.mortgageInsurance.totalPremiums)}</span>
+                <small>
+                  {summary.mortgageInsurance.removalMonth
+                    ? `Ends in year ${Math.ceil(summary.mortgageInsurance.removalMonth / 12)}`
+                    : 'Charged for the whole period'}
+                  {summary.mortgageInsurance.upfrontPremium > 0 &&
+                    ` · ${formatCurrency(summary.mortgageInsurance.upfrontPremium)} upfront, financed`}
+                </small>
+              </div>
+            )}
+            {summary.finalSellingCosts > 0 && (
+              <div className="comparison-item">
+                <span className="label own">Selling Costs (at exit):</span>
+                <span className="value">{formatCurrency(summary.finalSellingCosts)}</span>
+              </div>
+            )}
             {summary.rentalIncome > 0 && (
               <div className="comparison-item rental-income">
                 <span className="label">Rental Income:</span>
-                <span className="value positive">-{formatCurrency(summary.rentalIncome * 12 * summary.timeHorizon)}</span>
+                <span className="value positive">-{formatCurrency(summary.totalRentalIncome)}</span>
               </div>
             )}
             <div className="comparison-item">
@@ -169,10 +235,14 @@ function App() {
               <span className="label">Down Payment Required:</span>
               <span className="value">{formatCurrency(summary.downPaymentAmount)}</span>
             </div>
+            <div className="comparison-item">
+              <span className="label">Closing Costs:</span>
+              <span className="value">{formatCurrency(summary.purchaseClosingCosts)}</span>
+            </div>
             <div className="comparison-item">
               <span className="label own">Own: Starting Investments:</span>
               <span className="value">{formatCurrency(summary.ownStartingInvestments)}</span>
-              <small>(After down payment deduction)</small>
+              <small>(After down payment and closing costs)</small>
             </div>
             <div className="comparison-item">
               <span className="label rent">Rent: Starting Investments:</span>
@@ -185,9 +255,11 @@ function App() {
         <div className="summary-card">
           <div className="card-header">
             <h4>🎯 Recommendation</h4>
-            {summary.breakEvenPoint && (
+            {(summary.breakEvenPoint || summary.payoffYear) && (
               <span className="card-subtitle">
-                Break-even: {summary.breakEvenPoint.toFixed(1)} years
+                {summary.breakEvenPoint && `Break-even: ${summary.breakEvenPoint.toFixed(1)} years`}
+                {summary.breakEvenPoint && summary.payoffYear && ' · '}
+                {summary.payoffYear && `Mortgage paid off: year ${formatYear(summary.payoffYear)}`}
               </span>
             )}
           </div>
@@ -207,6 +279,165 @@ function App() {
             </div>
           </div>
         </div>
+
+        {summary.arm && (
+          <div className="summary-card">
+            <div className="card-header">
+              <h4>📈 Adjustable Rate</h4>
+              <span className="card-subtitle">
+                {summary.arm.product} ARM · starts at {formatCurrency(summary.arm.initialPayment)}/month
+              </span>
+            </div>
+            <div className="card-content">
+              {summary.arm.adjustments.length === 0 && (
+                <div className="comparison-item">
+                  <span className="label">Resets:</span>
+                  <span className="value">Rate does not change on this index path</span>
+                </div>
+              )}
+              {summary.arm.adjustments.map(adjustment => (
+                <div className="comparison-item" key={adjustment.month}>
+                  <span className="label">
+                    Year {formatYear((adjustment.month - 1) / 12)}: {adjustment.previousRate.toFixed(2)}% → {adjustment.rate.toFixed(2)}%
+                  </span>
+                  <span className={`value ${adjustment.paymentShock > 0 ? 'negative' : 'positive'}`}>
+                    {adjustment.paymentShock > 0 ? '+' : '-'}{formatCurrency(Math.abs(adjustment.paymentShock))}/month
+                  </span>
+                </div>
+              ))}
+              <div className="comparison-item difference">
+                <span className="label">Worst Case ({summary.arm.worstCase.rate.toFixed(2)}%):</span>
+                <span className="value">{formatCurrency(summary.arm.worstCase.payment)}/month</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {summary.refinance && (
+          <div className="summary-card">
+            <div className="card-header">
+              <h4>🔁 Refinance</h4>
+              <span className="card-subtitle">Year {formatYear(summary.refinance.month / 12)}</span>
+            </div>
+            <div className="card-content">
+              <div className="comparison-item">
+                <span className="label">Rate:</span>
+                <span className="value">
+                  {summary.refinance.previousRate.toFixed(2)}% → {summary.refinance.annualRate.toFixed(2)}%
+                </span>
+              </div>
+              <div className="comparison-item">
+                <span className="label">Monthly P&I:</span>
+                <span className="value">
+                  {formatCurrency(summary.refinance.previousPayment)} → {formatCurrency(summary.refinance.newPayment)}
+                </span>
+              </div>
+              {summary.refinance.cashOut > 0 && (
+                <div className="comparison-item">
+                  <span className="label">Cash-Out:</span>
+                  <span className="value">{formatCurrency(summary.refinance.cashOut)}</span>
+                </div>
+              )}
+              <div className="comparison-item">
+                <span className="label">Closing Costs:</span>
+                <span className="value negative">-{formatCurrency(summary.refinance.closingCosts)}</span>
+              </div>
+              <div className="comparison-item difference">
+                <span className="label">Break-even:</span>
+                <span className="value">
+                  {summary.refinance.breakEvenMonths !== null
+                    ? `${summary.refinance.breakEvenMonths} months`
+                    : 'Payment does not drop'}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {summary.prepayment && (
+          <div className="summary-card">
+            <div className="card-header">
+              <h4>💸 Prepay vs Invest</h4>
+              <span className="card-subtitle">{formatCurrency(summary.prepayment.totalPrepaid)} of extra principal</span>
+            </div>
+            <div className="card-content">
+              <div className="comparison-item">
+                <span className="label">Interest Saved:</span>
+                <span className="value positive">{formatCurrency(summary.prepayment.interestSaved)}</span>
+              </div>
+              <div className="comparison-item">
+                <span className="label">Paid Off:</span>
+                <span className="value">
+                  Year {formatYear(summary.prepayment.payoffMonth / 12)} instead of {formatYear(summary.prepayment.originalPayoffMonth / 12)}
+                </span>
+              </div>
+              <div className="comparison-item">
+                <span className="label">Own + Prepay{summary.includeTaxes ? ' (after tax)' : ''}:</span>
+                <span className="value">{formatCurrency(summary.prepayment.prepayFinalNetWorthIfSold)}</span>
+              </div>
+              <div className="comparison-item">
+                <span className="label own">Own + Invest{summary.includeTaxes ? ' (after tax)' : ''}:</span>
+                <span className="value">{formatCurrency(summary.prepayment.investFinalNetWorthIfSold)}</span>
+              </div>
+              <div className="comparison-item difference">
+                <span className="label">Difference:</span>
+                <span className={`value ${summary.prepayment.difference > 0 ? 'positive' : 'negative'}`}>
+                  {summary.prepayment.difference > 0 ? 'Prepay' : 'Invest'} by {formatCurrency(Math.abs(summary.prepayment.difference))}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {summary.includeTaxes && (
+          <div className="summary-card">
+            <div className="card-header">
+              <h4>🧾 Tax Impact</h4>
+              <span className="card-subtitle">{summary.timeHorizon} years{summary.realDollars && " · today's dollars"}</span>
+            </div>
+            <div className="card-content">
+              <div className="comparison-item">
+                <span className="label own">Own: Deduction Savings:</span>
+                <span className="value positive">{formatCurrency(summary.totalTaxSavings)}</span>
+              </div>
+              <div className="comparison-item">
+                <span className="label own">Own: Taxes if Sold:</span>
+                <span className="value negative">-{formatCurrency(summary.ownTaxesAtExit)}</span>
+              </div>
+              <div className="comparison-item">
+                <span className="label rent">Rent: Capital Gains Tax:</span>
+                <span className="value negative">-{formatCurrency(summary.rentTaxesAtExit)}</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {summary.monteCarlo && (
+          <div className="summary-card">
+            <div className="card-header">
+              <h4>🎲 Monte Carlo Outlook</h4>
+              <span className="card-subtitle">{summary.monteCarlo.simulationCount.toLocaleString()} simulated paths</span>
+            </div>
+            <div className="card-content">
+              <div className="comparison-item">
+                <span className="label">Owning comes out ahead in:</span>
+                <span className="value">{(summary.monteCarlo.probabilityOwnWins * 100).toFixed(0)}% of paths</span>
+              </div>
+              <div className="comparison-item">
+                <span className="label own">Own (P10 / P50 / P90):</span>
+                <span className="value">
+                  {formatCurrency(summary.monteCarlo.own.p10, true)} / {formatCurrency(summary.monteCarlo.own.p50, true)} / {formatCurrency(summary.monteCarlo.own.p90, true)}
+                </span>
+              </div>
+              <div className="comparison-item">
+                <span className="label rent">Rent (P10 / P50 / P90):</span>
+                <span className="value">
+                  {formatCurrency(summary.monteCarlo.rent.p10, true)} / {formatCurrency(summary.monteCarlo.rent.p50, true)} / {formatCurrency(summary.monteCarlo.rent.p90, true)}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     );
   }, [summary]);
@@ -232,6 +463,8 @@ function App() {
             <div className="input-section">
               <InputForm
                 parameters={parameters}
+                errors={fieldErrors}
+                warnings={fieldWarnings}
                 onParameterChange={handleParameterChange}
                 onPresetSelect={handlePresetSelect}
               />
@@ -239,9 +472,22 @@ function App() {
               <ScenarioManager
                 parameters={parameters}
                 scenarios={scenarios}
-                onSaveScenario={handleSaveScenario}
+                isLoading={scenariosLoading}
+                storageError={scenarioStorageError}
+                onSaveScenario={addScenario}
                 onLoadScenario={handleLoadScenario}
-                onDeleteScenario={handleDeleteScenario}
+                onDeleteScenario={deleteScenario}
+                onUpdateScenario={handleUpdateScenario}
+                onRenameScenario={renameScenario}
+                onDuplicateScenario={duplicateScenario}
+                onRestoreVersion={restoreVersion}
+                onImportScenarios={importScenarios}
+                comparedScenarioIds={comparedScenarios.map(scenario => scenario.id)}
+                onToggleCompare={handleToggleCompare}
+                onClearComparison={() => setComparedScenarioIds([])}
+                sharedLink={sharedLink && (sharedLink.error || sharedLink.name || sharedLink.scenarios) ? sharedLink : null}
+                onSaveSharedLink={handleSaveSharedLink}
+                onDismissSharedLink={dismissSharedLink}
               />
             </div>
 
@@ -257,16 +503,78 @@ function App() {
                 </div>
               )}
 
+              {isStale && (
+                <div className="stale-results-notice" role="status">
+                  <span className="stale-results-icon">⚠️</span>
+                  <p>
+                    <strong>
+                      {fieldErrorCount === 1 ? '1 input needs' : `${fieldErrorCount} inputs need`} attention.
+                    </strong>{' '}
+                    Results below are for your last valid inputs and will update once the highlighted fields are fixed.
+                  </p>
+                </div>
+              )}
+
+              {comparedScenarios.length >= 2 && (
+                <ScenarioComparison
+                  scenarios={comparedScenarios}
+                  realDollars={realDollars}
+                  onClose={() => setComparedScenarioIds([])}
+                />
+              )}
+
               {isValid && summaryCards && (
                 <>
+                  <div className="value-mode-toggle" role="group" aria-label="Dollar basis">
+                    <button
+                      type="button"
+                      className={!realDollars ? 'active' : ''}
+                      onClick={() => setValueMode('nominal')}
+                    >
+                      Nominal dollars
+                    </button>
+                    <button
+                      type="button"
+                      className={realDollars ? 'active' : ''}
+                      onClick={() => setValueMode('real')}
+                    >
+                      Today's dollars
+                    </button>
+                    {realDollars && (
+                      <span className="value-mode-note">
+                        Deflated at {summary.inflationRate}% inflation per year
+                      </span>
+                    )}
+                  </div>
+
                   {summaryCards}
                   
                   {chartData && (
                     <>
-                      <NetWorthChart data={chartData} />
-                      <CapitalCompositionChart data={chartData} />
+                      <NetWorthChart data={chartData} valueLabel={valueLabel} markers={chartMarkers} />
+                      <TornadoChart parameters={resultParameters} realDollars={realDollars} />
+                      <HeatmapChart parameters={resultParameters} realDollars={realDollars} />
+                      <CapitalCompositionChart data={chartData} valueLabel={valueLabel} markers={chartMarkers} />
                     </>
                   )}
+
+                  <GoalSeekPanel parameters={resultParameters} onApply={handleParameterChange} />
+
+                  <HoldingPeriodPanel
+                    parameters={resultParameters}
+                    onHoldingPeriodChange={handleHoldingPeriodChange}
+                    realDollars={realDollars}
+                  />
+
+                  <AmortizationTable schedule={results.prepayAmortization || results.amortization} />
+
+                  <LoanOfferComparison
+                    parameters={loanOfferParameters}
+                    onOffersChange={(offers) => handleParameterChange('loanOffers', offers)}
+                    realDollars={realDollars}
+                  />
+
+                  <BacktestPanel parameters={resultParameters} />
                 </>
               )}
 
@@ -275,7 +583,11 @@ function App() {
                   <div className="placeholder-icon">📊</div>
                   <div className="placeholder-content">
                     <h4>Enter your details</h4>
-                    <p>Fill in the calculator inputs to see your personalized own vs rent analysis</p>
+                    <p>
+                      {fieldErrorCount > 0
+                        ? 'Fix the highlighted calculator inputs to see your personalized own vs rent analysis'
+                        : 'Fill in the calculator inputs to see your personalized own vs rent analysis'}
+                    </p>
                   </div>
                 </div>
               )}
@@ -0,0 +1,118 @@
+import React, { useState, useMemo } from 'react';
+import { aggregateScheduleByYear, scheduleToCSV } from '../../utils/amortization';
+import { formatCurrency } from '../../utils/calculations';
+import './AmortizationTable.css';
+
+/**
+ * Download schedule rows as a CSV file
+ */
+const downloadSchedule = (rows, period) => {
+  const csvBlob = new Blob([scheduleToCSV(rows, period)], { type: 'text/csv' });
+  const url = URL.createObjectURL(csvBlob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `amortization-${period === 'year' ? 'annual' : 'monthly'}-${new Date().toISOString().split('T')[0]}.csv`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Amortization Schedule
+ * Collapsible table of mortgage payments, aggregated by year or shown month by month
+ */
+const AmortizationTable = ({ schedule }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [period, setPeriod] = useState('year');
+
+  const rows = useMemo(() => {
+    if (!schedule) return [];
+    return period === 'year' ? aggregateScheduleByYear(schedule.rows) : schedule.rows;
+  }, [schedule, period]);
+
+  if (!schedule || schedule.rows.length === 0) return null;
+
+  const hasExtraPrincipal = schedule.rows.some(row => row.extraPrincipal > 0);
+  const hasRateChanges = schedule.rows.some(row => row.rate !== schedule.rows[0].rate);
+
+  return (
+    <div className="chart-container amortization-table">
+      <button
+        type="button"
+        className="amortization-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        <span>{isOpen ? '▾' : '▸'} 🧮 Amortization Schedule</span>
+        <small>
+          {formatCurrency(schedule.scheduledPayment)}/month · paid off in {(schedule.payoffMonth / 12).toFixed(1)} years
+          · {formatCurrency(schedule.totalInterest)} total interest
+        </small>
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="amortization-controls">
+            <div className="period-toggle" role="group" aria-label="Schedule period">
+              <button
+                type="button"
+                className={period === 'year' ? 'active' : ''}
+                onClick={() => setPeriod('year')}
+              >
+                Annual
+              </button>
+              <button
+                type="button"
+                className={period === 'month' ? 'active' : ''}
+                onClick={() => setPeriod('month')}
+              >
+                Monthly
+              </button>
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => downloadSchedule(rows, period)}
+            >
+              📤 Download CSV
+            </button>
+          </div>
+
+          <div className="amortization-scroll">
+            <table>
+              <thead>
+                <tr>
+                  <th>{period === 'year' ? 'Year' : 'Month'}</th>
+                  {hasRateChanges && <th>Rate</th>}
+                  <th>Payment</th>
+                  <th>Principal</th>
+                  {hasExtraPrincipal && <th>Extra Principal</th>}
+                  <th>Interest</th>
+                  <th>Cumulative Interest</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={period === 'year' ? row.year : row.month}>
+                    <td>{period === 'year' ? row.year : row.month}</td>
+                    {hasRateChanges && <td>{row.rate.toFixed(2)}%</td>}
+                    <td>{formatCurrency(row.payment)}</td>
+                    <td>{formatCurrency(row.principal)}</td>
+                    {hasExtraPrincipal && <td>{formatCurrency(row.extraPrincipal)}</td>}
+                    <td>{formatCurrency(row.interest)}</td>
+                    <td>{formatCurrency(row.cumulativeInterest)}</td>
+                    <td>{formatCurrency(row.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AmortizationTable;
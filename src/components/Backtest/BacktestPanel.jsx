@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import NetWorthChart from '../Charts/NetWorthChart';
+import BacktestChart from '../Charts/BacktestChart';
+import { useBacktest } from '../../hooks/useBacktest';
+import { getBacktestStartYears } from '../../utils/backtest';
+import { historicalDataRange } from '../../data/historicalReturns';
+import { formatCurrency } from '../../utils/calculations';
+import './BacktestPanel.css';
+
+/**
+ * Historical Backtest Panel
+ * Replays the current scenario against real market, housing, mortgage rate and CPI history
+ */
+const BacktestPanel = ({ parameters }) => {
+  const [startYear, setStartYear] = useState(null);
+  const [useHistoricalMortgageRate, setUseHistoricalMortgageRate] = useState(true);
+  const [rentFollowsInflation, setRentFollowsInflation] = useState(true);
+
+  const range = getBacktestStartYears(parameters.timeHorizon);
+
+  // Fall back to the full sweep if the time horizon no longer fits the chosen start year
+  const activeStartYear = range && startYear !== null && startYear <= range.lastStartYear ? startYear : null;
+
+  const { backtest: sweep, error } = useBacktest(parameters, {
+    startYear: null,
+    useHistoricalMortgageRate,
+    rentFollowsInflation
+  });
+
+  const startYearOptions = [];
+  if (range) {
+    for (let year = range.firstStartYear; year <= range.lastStartYear; year++) {
+      startYearOptions.push(year);
+    }
+  }
+
+  const selectedCohort = sweep && activeStartYear !== null
+    ? sweep.cohorts.find(cohort => cohort.startYear === activeStartYear)
+    : null;
+
+  return (
+    <div className="chart-container backtest-panel">
+      <div className="chart-header">
+        <h3>📜 Historical Backtest</h3>
+        <p>
+          How this scenario would have played out buying in each year from {historicalDataRange.firstYear},
+          using actual stock returns, home prices, mortgage rates and inflation
+        </p>
+      </div>
+
+      <div className="backtest-controls">
+        <div className="input-group">
+          <label htmlFor="backtest-start-year">Purchase Year</label>
+          <select
+            id="backtest-start-year"
+            value={activeStartYear ?? ''}
+            onChange={(e) => setStartYear(e.target.value ? Number(e.target.value) : null)}
+            disabled={!range}
+          >
+            <option value="">All start years (sweep)</option>
+            {startYearOptions.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        </div>
+
+        <label className="toggle-label" htmlFor="backtest-mortgage-rate">
+          <input
+            type="checkbox"
+            id="backtest-mortgage-rate"
+            checked={useHistoricalMortgageRate}
+            onChange={(e) => setUseHistoricalMortgageRate(e.target.checked)}
+          />
+          <span>Lock in that year's mortgage rate</span>
+        </label>
+
+        <label className="toggle-label" htmlFor="backtest-rent-inflation">
+          <input
+            type="checkbox"
+            id="backtest-rent-inflation"
+            checked={rentFollowsInflation}
+            onChange={(e) => setRentFollowsInflation(e.target.checked)}
+          />
+          <span>Grow rent with historical inflation</span>
+        </label>
+      </div>
+
+      {error && (
+        <div className="backtest-message">{error}</div>
+      )}
+
+      {sweep && (
+        <>
+          <div className="backtest-stats">
+            <div className="backtest-stat">
+              <span className="stat-label">Owning won in</span>
+              <span className="stat-value">
+                {Math.round(sweep.distribution.ownWinRate * sweep.distribution.count)} of {sweep.distribution.count} periods
+              </span>
+              <small>{(sweep.distribution.ownWinRate * 100).toFixed(0)}% of historical windows</small>
+            </div>
+            <div className="backtest-stat">
+              <span className="stat-label">Median advantage</span>
+              <span className={`stat-value ${sweep.distribution.median > 0 ? 'own' : 'rent'}`}>
+                {sweep.distribution.median > 0 ? 'Own' : 'Rent'} by {formatCurrency(Math.abs(sweep.distribution.median), true)}
+              </span>
+              <small>
+                P10 {formatCurrency(sweep.distribution.p10, true)} · P90 {formatCurrency(sweep.distribution.p90, true)}
+              </small>
+            </div>
+            <div className="backtest-stat">
+              <span className="stat-label">Worst cohort for owning</span>
+              <span className="stat-value rent">{sweep.worstCohort.startYear}–{sweep.worstCohort.endYear}</span>
+              <small>Own − rent: {formatCurrency(sweep.worstCohort.difference, true)}</small>
+            </div>
+            <div className="backtest-stat">
+              <span className="stat-label">Best cohort for owning</span>
+              <span className="stat-value own">{sweep.bestCohort.startYear}–{sweep.bestCohort.endYear}</span>
+              <small>Own − rent: {formatCurrency(sweep.bestCohort.difference, true)}</small>
+            </div>
+          </div>
+
+          <BacktestChart
+            cohorts={sweep.cohorts}
+            selectedYear={activeStartYear}
+            onSelectYear={setStartYear}
+          />
+        </>
+      )}
+
+      {selectedCohort && (
+        <div className="backtest-cohort">
+          <h4>
+            Bought in {selectedCohort.startYear} at {selectedCohort.mortgageRate.toFixed(2)}%:{' '}
+            <span className={selectedCohort.recommendation}>
+              {selectedCohort.recommendation === 'own' ? 'Owning + Investing' : 'Renting + Investing'} wins
+              by {formatCurrency(Math.abs(selectedCohort.difference))}
+            </span>
+          </h4>
+          <p>
+            {formatCurrency(Math.abs(selectedCohort.realDifference))} in {selectedCohort.startYear} dollars
+            {selectedCohort.breakEvenPoint !== null && ` · break-even after ${selectedCohort.breakEvenPoint.toFixed(1)} years`}
+          </p>
+          <NetWorthChart
+            data={selectedCohort.series}
+            height={320}
+            title={`📈 ${selectedCohort.startYear}–${selectedCohort.endYear} Replay`}
+            description="Net worth of both strategies through the historical window"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -1,11 +1,63 @@
 import React, { useState } from 'react';
 import { getPresetOptions, getPresetTemplate } from '../../data/presetTemplates';
+import { PARAMETER_GROUPS, PARAMETER_SECTIONS, parameterRegistry } from '../../data/parameterRegistry';
+import { isParameterActive, resolveSetting } from '../../utils/parameters';
+import { FILING_STATUSES } from '../../utils/tax';
+import { BUDGET_GROWTH_MODES, PROPERTY_TAX_BASES } from '../../utils/calculations';
+import { ARM_PRODUCTS, INDEX_PATHS } from '../../utils/amortization';
+import { LOAN_PROGRAMS, LTV_BASES, PMI_REMOVAL_RULES } from '../../utils/mortgageInsurance';
+import { AFTER_SALE_STRATEGIES } from '../../utils/holdingPeriod';
 import './InputForm.css';
 
 /**
- * Main input form for Own vs Rent Calculator
+ * Display labels for each option input, in the order the options are listed
  */
-const InputForm = ({ parameters, onParameterChange, onPresetSelect }) => {
+const OPTION_LABELS = {
+  closingCostType: [
+    { id: 'percent', label: '% of price' },
+    { id: 'flat', label: '$ flat' }
+  ],
+  loanType: [
+    { id: 'fixed', label: 'Fixed rate' },
+    { id: 'arm', label: 'Adjustable rate (ARM)' }
+  ],
+  armProduct: ARM_PRODUCTS,
+  armIndexPath: INDEX_PATHS,
+  loanProgram: LOAN_PROGRAMS,
+  pmiRemoval: PMI_REMOVAL_RULES,
+  pmiLtvBasis: LTV_BASES,
+  propertyTaxBasis: PROPERTY_TAX_BASES,
+  budgetGrowthMode: BUDGET_GROWTH_MODES,
+  filingStatus: FILING_STATUSES,
+  afterSaleStrategy: AFTER_SALE_STRATEGIES
+};
+
+const UNIT_PREFIXES = { currency: '$' };
+const UNIT_SUFFIXES = { percent: '%', years: 'years' };
+
+/**
+ * Count the inputs with an error or warning in each section
+ * @param {Object} errors - Error messages keyed by parameter
+ * @param {Object} warnings - Warning messages keyed by parameter
+ * @returns {Object} { errors, warnings } counts keyed by section id
+ */
+const countSectionMessages = (errors, warnings) => {
+  const counts = {};
+  parameterRegistry.forEach(definition => {
+    if (!definition.section) return;
+    const count = counts[definition.section] || { errors: 0, warnings: 0 };
+    if (errors[definition.key]) count.errors += 1;
+    else if (warnings[definition.key]) count.warnings += 1;
+    counts[definition.section] = count;
+  });
+  return counts;
+};
+
+/**
+ * Main input form for Own vs Rent Calculator, generated from the parameter registry.
+ * Validation errors and warnings are shown next to their inputs.
+ */
+const InputForm = ({ parameters, errors = {}, warnings = {}, onParameterChange, onPresetSelect }) => {
   const [activeSection, setActiveSection] = useState('property');
   const presetOptions = getPresetOptions();
 
@@ -14,6 +66,11 @@ const InputForm = ({ parameters, onParameterChange, onPresetSelect }) => {
     onParameterChange(field, numericValue);
   };
 
+  // Checkboxes and selects pass their value through without numeric parsing
+  const handleValueChange = (field, value) => {
+    onParameterChange(field, value);
+  };
+
   const handlePresetChange = (presetId) => {
     if (presetId) {
       const preset = getPresetTemplate(presetId);
@@ -23,21 +80,17 @@ const InputForm = ({ parameters, onParameterChange, onPresetSelect }) => {
     }
   };
 
-  const sections = [
-    { id: 'property', label: 'Property & Mortgage', icon: '🏠' },
-    { id: 'rental', label: 'Rental', icon: '🏠' },
-    { id: 'investment', label: 'Investment', icon: '📈' },
-    { id: 'analysis', label: 'Analysis Period', icon: '📅' }
-  ];
+  const section = PARAMETER_SECTIONS.find(item => item.id === activeSection);
+  const sectionMessages = countSectionMessages(errors, warnings);
 
   return (
     <div className="input-form">
       <div className="form-header">
         <h2>Calculator Inputs</h2>
-        
+
         <div className="preset-selector">
           <label htmlFor="preset-select">Quick Start Templates:</label>
-          <select 
+          <select
             id="preset-select"
             onChange={(e) => handlePresetChange(e.target.value)}
             defaultValue=""
@@ -53,404 +106,246 @@ const InputForm = ({ parameters, onParameterChange, onPresetSelect }) => {
       </div>
 
       <div className="section-tabs">
-        {sections.map(section => (
-          <button
-            key={section.id}
-            className={`section-tab ${activeSection === section.id ? 'active' : ''}`}
-            onClick={() => setActiveSection(section.id)}
-          >
-            <span className="tab-icon">{section.icon}</span>
-            <span className="tab-label">{section.label}</span>
-          </button>
-        ))}
+        {PARAMETER_SECTIONS.map(item => {
+          const { errors: errorCount = 0, warnings: warningCount = 0 } = sectionMessages[item.id] || {};
+          return (
+            <button
+              key={item.id}
+              className={`section-tab ${activeSection === item.id ? 'active' : ''}`}
+              onClick={() => setActiveSection(item.id)}
+            >
+              <span className="tab-icon">{item.icon}</span>
+              <span className="tab-label">{item.label}</span>
+              {errorCount + warningCount > 0 && (
+                <span
+                  className={`tab-alert ${errorCount > 0 ? 'error' : 'warning'}`}
+                  title={`${errorCount} error(s), ${warningCount} warning(s)`}
+                >
+                  {errorCount + warningCount}
+                </span>
+              )}
+            </button>
+          );
+        })}
       </div>
 
       <div className="form-content">
-        {activeSection === 'property' && (
-          <PropertySection 
-            parameters={parameters} 
-            onInputChange={handleInputChange} 
-          />
-        )}
-        
-        {activeSection === 'rental' && (
-          <RentalSection 
-            parameters={parameters} 
-            onInputChange={handleInputChange} 
-          />
-        )}
-        
-        {activeSection === 'investment' && (
-          <InvestmentSection 
-            parameters={parameters} 
-            onInputChange={handleInputChange} 
-          />
-        )}
-        
-        {activeSection === 'analysis' && (
-          <AnalysisSection 
-            parameters={parameters} 
-            onInputChange={handleInputChange} 
-          />
-        )}
+        <div className="form-section">
+          <h3>{section.title}</h3>
+
+          {PARAMETER_GROUPS.filter(group => group.section === section.id).map(group => (
+            <ParameterGroup
+              key={group.id}
+              group={group}
+              parameters={parameters}
+              errors={errors}
+              warnings={warnings}
+              onInputChange={handleInputChange}
+              onValueChange={handleValueChange}
+            />
+          ))}
+        </div>
       </div>
     </div>
   );
 };
 
 /**
- * Property & Mortgage section
+ * One group of inputs: an optional heading and on/off toggle, then its active inputs
  */
-const PropertySection = ({ parameters, onInputChange }) => (
-  <div className="form-section">
-    <h3>Property & Mortgage Details</h3>
-    
-    <div className="input-grid">
-      <div className="input-group">
-        <label htmlFor="homePrice">Home Purchase Price</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="homePrice"
-            value={parameters.homePrice || ''}
-            onChange={(e) => onInputChange('homePrice', e.target.value)}
-            placeholder="500,000"
-            min="0"
-            step="1000"
-          />
-        </div>
-      </div>
-
-      <div className="input-group">
-        <label htmlFor="downPayment">Down Payment</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="downPayment"
-            value={parameters.downPayment || ''}
-            onChange={(e) => onInputChange('downPayment', e.target.value)}
-            placeholder="20"
-            min="0"
-            max="100"
-            step="0.1"
-          />
-          <span className="input-suffix">%</span>
-        </div>
-      </div>
+const ParameterGroup = ({ group, parameters, errors, warnings, onInputChange, onValueChange }) => {
+  const toggle = group.toggle ? parameterRegistry.find(definition => definition.key === group.toggle) : null;
+  const inputs = parameterRegistry.filter(definition => (
+    definition.group === group.id
+    && definition.key !== group.toggle
+    && !definition.unitFor
+    && isParameterActive(definition, parameters)
+  ));
+  const NoteBefore = NOTES_BEFORE_GROUP[group.id];
+  const NoteAfter = NOTES_AFTER_GROUP[group.id];
 
-      <div className="input-group">
-        <label htmlFor="mortgageRate">Mortgage Interest Rate</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="mortgageRate"
-            value={parameters.mortgageRate || ''}
-            onChange={(e) => onInputChange('mortgageRate', e.target.value)}
-            placeholder="6.5"
-            min="0"
-            max="50"
-            step="0.01"
-          />
-          <span className="input-suffix">%</span>
-        </div>
-      </div>
+  return (
+    <>
+      {group.heading && <h4 className="form-subheading">{group.heading}</h4>}
+      {NoteBefore && <NoteBefore />}
 
-      <div className="input-group">
-        <label htmlFor="loanTerm">Loan Term</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="loanTerm"
-            value={parameters.loanTerm || ''}
-            onChange={(e) => onInputChange('loanTerm', e.target.value)}
-            placeholder="30"
-            min="1"
-            max="50"
-            step="1"
-          />
-          <span className="input-suffix">years</span>
+      {toggle && (
+        <div className="toggle-group">
+          <label htmlFor={toggle.key} className="toggle-label">
+            <input
+              type="checkbox"
+              id={toggle.key}
+              checked={!!parameters[toggle.key]}
+              onChange={(e) => onValueChange(toggle.key, e.target.checked)}
+            />
+            <span>{toggle.icon} {toggle.label}</span>
+          </label>
+          {toggle.help && <small className="input-help">{toggle.help}</small>}
         </div>
-      </div>
+      )}
 
-      <div className="input-group">
-        <label htmlFor="propertyTaxRate">Property Tax Rate</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="propertyTaxRate"
-            value={parameters.propertyTaxRate || ''}
-            onChange={(e) => onInputChange('propertyTaxRate', e.target.value)}
-            placeholder="1.2"
-            min="0"
-            max="10"
-            step="0.01"
-          />
-          <span className="input-suffix">%</span>
+      {inputs.length > 0 && (
+        <div className="input-grid">
+          {inputs.map(definition => (
+            <ParameterInput
+              key={definition.key}
+              definition={definition}
+              parameters={parameters}
+              error={errors[definition.key]}
+              warning={warnings[definition.key]}
+              onInputChange={onInputChange}
+              onValueChange={onValueChange}
+            />
+          ))}
         </div>
-      </div>
+      )}
 
-      <div className="input-group">
-        <label htmlFor="homeInsurance">Home Insurance</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="homeInsurance"
-            value={parameters.homeInsurance || ''}
-            onChange={(e) => onInputChange('homeInsurance', e.target.value)}
-            placeholder="1,500"
-            min="0"
-            step="100"
-          />
-          <span className="input-suffix">/year</span>
-        </div>
-      </div>
+      {NoteAfter && <NoteAfter />}
+    </>
+  );
+};
 
-      <div className="input-group">
-        <label htmlFor="maintenanceCost">Maintenance & Repairs</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="maintenanceCost"
-            value={parameters.maintenanceCost || ''}
-            onChange={(e) => onInputChange('maintenanceCost', e.target.value)}
-            placeholder="5,000"
-            min="0"
-            step="100"
-          />
-          <span className="input-suffix">/year</span>
-        </div>
-      </div>
+/**
+ * Select for an option input
+ */
+const OptionSelect = ({ definition, parameters, onValueChange, ...props }) => (
+  <select
+    {...props}
+    value={parameters[definition.key] || definition.default}
+    onChange={(e) => onValueChange(definition.key, e.target.value)}
+  >
+    {(OPTION_LABELS[definition.key] || definition.options.map(id => ({ id, label: id }))).map(option => (
+      <option key={option.id} value={option.id}>{option.label}</option>
+    ))}
+  </select>
+);
 
-      <div className="input-group">
-        <label htmlFor="hoaFees">HOA Fees</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="hoaFees"
-            value={parameters.hoaFees || ''}
-            onChange={(e) => onInputChange('hoaFees', e.target.value)}
-            placeholder="0"
-            min="0"
-            step="10"
-          />
-          <span className="input-suffix">/month</span>
-        </div>
-      </div>
+/**
+ * One input with its label, unit adornments, help text and validation message
+ */
+const ParameterInput = ({ definition, parameters, error, warning, onInputChange, onValueChange }) => {
+  const { key, type, unit } = definition;
+  const message = error || warning;
+  const statusClass = error ? ' has-error' : warning ? ' has-warning' : '';
+  const messageProps = {
+    'aria-invalid': Boolean(error),
+    'aria-describedby': message ? `${key}-message` : undefined
+  };
+  const unitSelector = parameterRegistry.find(item => item.unitFor === key);
+  const prefix = 'prefix' in definition ? resolveSetting(definition.prefix, parameters) : UNIT_PREFIXES[unit];
+  const suffix = 'suffix' in definition ? resolveSetting(definition.suffix, parameters) : UNIT_SUFFIXES[unit];
+  const placeholder = resolveSetting(definition.placeholder, parameters);
 
-      <div className="input-group">
-        <label htmlFor="homeAppreciationRate">Home Appreciation Rate</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="homeAppreciationRate"
-            value={parameters.homeAppreciationRate || ''}
-            onChange={(e) => onInputChange('homeAppreciationRate', e.target.value)}
-            placeholder="3.0"
-            min="-10"
-            max="20"
-            step="0.1"
-          />
-          <span className="input-suffix">%/year</span>
-        </div>
-        <small className="input-help">Expected annual increase in home value (historical average ~3-4%)</small>
-      </div>
+  let control;
+  if (type === 'option') {
+    control = (
+      <OptionSelect id={key} definition={definition} parameters={parameters} onValueChange={onValueChange} {...messageProps} />
+    );
+  } else if (type === 'list') {
+    control = (
+      <input
+        type="text"
+        id={key}
+        value={parameters[key] || ''}
+        onChange={(e) => onValueChange(key, e.target.value)}
+        placeholder={placeholder}
+        {...messageProps}
+      />
+    );
+  } else {
+    control = (
+      <input
+        type="number"
+        id={key}
+        value={parameters[key] || ''}
+        onChange={(e) => onInputChange(key, e.target.value)}
+        placeholder={placeholder !== undefined ? placeholder : definition.default.toLocaleString('en-US')}
+        min={resolveSetting(definition.min, parameters)}
+        max={resolveSetting(definition.max, parameters)}
+        step={resolveSetting(definition.step, parameters)}
+        {...messageProps}
+      />
+    );
+  }
 
-      <div className="input-group">
-        <label htmlFor="rentalIncome">Rental Income (Optional)</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="rentalIncome"
-            value={parameters.rentalIncome || ''}
-            onChange={(e) => onInputChange('rentalIncome', e.target.value)}
-            placeholder="0"
-            min="0"
-            step="100"
+  return (
+    <div className={`input-group${statusClass}`}>
+      <label htmlFor={key}>{definition.label}</label>
+      <div className="input-wrapper">
+        {prefix && <span className="input-prefix">{prefix}</span>}
+        {control}
+        {suffix && <span className="input-suffix">{suffix}</span>}
+        {unitSelector && (
+          <OptionSelect
+            className="input-unit-select"
+            aria-label={`${definition.label} unit`}
+            definition={unitSelector}
+            parameters={parameters}
+            onValueChange={onValueChange}
           />
-          <span className="input-suffix">/month</span>
-        </div>
-        <small className="input-help">Income from renting out rooms, basement, or duplex unit</small>
+        )}
       </div>
+      {message && (
+        <small id={`${key}-message`} className={error ? 'input-error' : 'input-warning'}>
+          {error ? '⛔' : '⚠️'} {message}
+        </small>
+      )}
+      {definition.help && <small className="input-help">{definition.help}</small>}
     </div>
-  </div>
-);
+  );
+};
 
 /**
- * Rental section
+ * How the monthly budget is split, shown above the investment inputs
  */
-const RentalSection = ({ parameters, onInputChange }) => (
-  <div className="form-section">
-    <h3>Rental Details</h3>
-    
-    <div className="input-grid">
-      <div className="input-group">
-        <label htmlFor="monthlyRent">Monthly Rent</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="monthlyRent"
-            value={parameters.monthlyRent || ''}
-            onChange={(e) => onInputChange('monthlyRent', e.target.value)}
-            placeholder="2,500"
-            min="0"
-            step="50"
-          />
-          <span className="input-suffix">/month</span>
-        </div>
-      </div>
-
-      <div className="input-group">
-        <label htmlFor="rentIncreaseRate">Annual Rent Increase</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="rentIncreaseRate"
-            value={parameters.rentIncreaseRate || ''}
-            onChange={(e) => onInputChange('rentIncreaseRate', e.target.value)}
-            placeholder="3.0"
-            min="0"
-            max="20"
-            step="0.1"
-          />
-          <span className="input-suffix">%</span>
-        </div>
-      </div>
-    </div>
+const BudgetAllocationNote = () => (
+  <div className="section-note">
+    <p>💡 <strong>Budget Allocation Strategy:</strong></p>
+    <ul>
+      <li><strong>If you rent:</strong> Budget - rent = investment amount</li>
+      <li><strong>If you own:</strong> Budget - housing costs + rental income = investment amount</li>
+    </ul>
+    <p>Same monthly budget, different allocation between housing and investing.</p>
   </div>
 );
 
 /**
- * Investment section
+ * Side-by-side summary of the two scenarios, shown below the investment inputs
  */
-const InvestmentSection = ({ parameters, onInputChange }) => (
-  <div className="form-section">
-    <h3>Investment Strategy</h3>
-    <div className="section-note">
-      <p>💡 <strong>Budget Allocation Strategy:</strong></p>
-      <ul>
-        <li><strong>If you rent:</strong> Budget - rent = investment amount</li>
-        <li><strong>If you own:</strong> Budget - housing costs + rental income = investment amount</li>
-      </ul>
-      <p>Same monthly budget, different allocation between housing and investing.</p>
-    </div>
-    
-    <div className="input-grid">
-      <div className="input-group">
-        <label htmlFor="investmentStartBalance">Starting Investment Balance</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="investmentStartBalance"
-            value={parameters.investmentStartBalance || ''}
-            onChange={(e) => onInputChange('investmentStartBalance', e.target.value)}
-            placeholder="10,000"
-            min="0"
-            step="1000"
-          />
-        </div>
-        <small className="input-help">Money you already have available to invest</small>
-      </div>
-
-      <div className="input-group">
-        <label htmlFor="monthlyBudget">Monthly Budget Allocation</label>
-        <div className="input-wrapper">
-          <span className="input-prefix">$</span>
-          <input
-            type="number"
-            id="monthlyBudget"
-            value={parameters.monthlyBudget || ''}
-            onChange={(e) => onInputChange('monthlyBudget', e.target.value)}
-            placeholder="3000"
-            min="0"
-            step="50"
-          />
-          <span className="input-suffix">/month</span>
-        </div>
-        <small className="input-help">Total monthly budget for housing + investing (allocated differently in each scenario)</small>
+const ComparisonExplanation = () => (
+  <div className="comparison-explanation">
+    <h4>📊 How the Comparison Works:</h4>
+    <div className="scenario-boxes">
+      <div className="scenario-box own">
+        <h5>🏠 Own Scenario</h5>
+        <ul>
+          <li>Build home equity through mortgage payments</li>
+          <li>Budget allocation: housing costs → mortgage, rest → investments</li>
+          <li>Add rental income to investments</li>
+          <li>Net worth = Home equity + Investments</li>
+        </ul>
       </div>
-
-      <div className="input-group">
-        <label htmlFor="investmentReturn">Expected Annual Return</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="investmentReturn"
-            value={parameters.investmentReturn || ''}
-            onChange={(e) => onInputChange('investmentReturn', e.target.value)}
-            placeholder="7.0"
-            min="-50"
-            max="50"
-            step="0.1"
-          />
-          <span className="input-suffix">%</span>
-        </div>
-        <small className="input-help">Long-term average return for index funds (~7%), bonds (~4%), or other investments</small>
-      </div>
-    </div>
-    
-    <div className="comparison-explanation">
-      <h4>📊 How the Comparison Works:</h4>
-      <div className="scenario-boxes">
-        <div className="scenario-box own">
-          <h5>🏠 Own Scenario</h5>
-          <ul>
-            <li>Build home equity through mortgage payments</li>
-            <li>Budget allocation: housing costs → mortgage, rest → investments</li>
-            <li>Add rental income to investments</li>
-            <li>Net worth = Home equity + Investments</li>
-          </ul>
-        </div>
-        <div className="scenario-box rent">
-          <h5>🏠 Rent + Invest Scenario</h5>
-          <ul>
-            <li>Keep full starting investment balance</li>
-            <li>Budget allocation: rent → housing, rest → investments</li>
-            <li>No home equity building</li>
-            <li>Net worth = Total investments</li>
-          </ul>
-        </div>
+      <div className="scenario-box rent">
+        <h5>🏠 Rent + Invest Scenario</h5>
+        <ul>
+          <li>Keep full starting investment balance</li>
+          <li>Budget allocation: rent → housing, rest → investments</li>
+          <li>No home equity building</li>
+          <li>Net worth = Total investments</li>
+        </ul>
       </div>
     </div>
   </div>
 );
 
-/**
- * Analysis section
- */
-const AnalysisSection = ({ parameters, onInputChange }) => (
-  <div className="form-section">
-    <h3>Analysis Period</h3>
-    
-    <div className="input-grid">
-      <div className="input-group">
-        <label htmlFor="timeHorizon">Time Horizon</label>
-        <div className="input-wrapper">
-          <input
-            type="number"
-            id="timeHorizon"
-            value={parameters.timeHorizon || ''}
-            onChange={(e) => onInputChange('timeHorizon', e.target.value)}
-            placeholder="30"
-            min="1"
-            max="50"
-            step="1"
-          />
-          <span className="input-suffix">years</span>
-        </div>
-      </div>
-    </div>
-    
-    <div className="section-note">
-      <p>📍 This determines how far into the future the analysis will project your wealth accumulation for both owning and renting scenarios.</p>
-    </div>
+const HorizonNote = () => (
+  <div className="section-note">
+    <p>📍 This determines how far into the future the analysis will project your wealth accumulation for both owning and renting scenarios.</p>
   </div>
 );
 
+// Explanatory notes placed around a group's inputs
+const NOTES_BEFORE_GROUP = { budget: BudgetAllocationNote };
+const NOTES_AFTER_GROUP = { budget: ComparisonExplanation, horizon: HorizonNote };
+
 export default InputForm;
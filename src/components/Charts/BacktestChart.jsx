@@ -0,0 +1,145 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { formatCurrency } from '../../utils/calculations';
+import './NetWorthChart.css';
+
+/**
+ * Historical Backtest Chart - own minus rent net worth for every start year
+ */
+const BacktestChart = ({ cohorts, selectedYear, onSelectYear, width = 800, height = 320 }) => {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    if (!cohorts || cohorts.length === 0) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const margin = { top: 20, right: 30, bottom: 60, left: 80 };
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleBand()
+      .domain(cohorts.map(d => d.startYear))
+      .range([0, chartWidth])
+      .padding(0.15);
+
+    const extent = d3.extent(cohorts, d => d.difference);
+    const yScale = d3.scaleLinear()
+      .domain([Math.min(0, extent[0]) * 1.1, Math.max(0, extent[1]) * 1.1])
+      .range([chartHeight, 0]);
+
+    // Grid and axes
+    g.append('g')
+      .attr('class', 'grid')
+      .call(d3.axisLeft(yScale).tickSize(-chartWidth).tickFormat(''));
+
+    const tickEvery = Math.ceil(cohorts.length / 12);
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickValues(xScale.domain().filter((d, i) => i % tickEvery === 0)));
+
+    g.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yScale).tickFormat(d => formatCurrency(d, true)));
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('x', chartWidth / 2)
+      .attr('y', chartHeight + 45)
+      .text('Purchase Year');
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -chartHeight / 2)
+      .attr('y', -60)
+      .text('Own − Rent Net Worth');
+
+    // Bars: positive values favour owning, negative values favour renting
+    g.selectAll('.cohort-bar')
+      .data(cohorts)
+      .enter()
+      .append('rect')
+      .attr('class', 'cohort-bar')
+      .attr('x', d => xScale(d.startYear))
+      .attr('width', xScale.bandwidth())
+      .attr('y', d => yScale(Math.max(0, d.difference)))
+      .attr('height', d => Math.abs(yScale(d.difference) - yScale(0)))
+      .attr('fill', d => d.difference > 0 ? '#2563eb' : '#dc2626')
+      .attr('opacity', d => selectedYear === null || selectedYear === d.startYear ? 0.85 : 0.35)
+      .style('cursor', onSelectYear ? 'pointer' : 'default')
+      .on('click', (event, d) => onSelectYear && onSelectYear(d.startYear));
+
+    g.append('line')
+      .attr('x1', 0)
+      .attr('x2', chartWidth)
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0))
+      .attr('stroke', '#374151')
+      .attr('stroke-width', 1);
+
+    // Tooltip
+    const tooltip = d3.select('body').selectAll('.chart-tooltip')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('opacity', 0);
+
+    g.selectAll('.cohort-bar')
+      .on('mouseover', () => d3.select('.chart-tooltip').style('opacity', 1))
+      .on('mouseout', () => d3.select('.chart-tooltip').style('opacity', 0))
+      .on('mousemove', (event, d) => {
+        d3.select('.chart-tooltip')
+          .html(`
+            <div class="tooltip-content">
+              <div class="tooltip-title">Bought in ${d.startYear} (held to ${d.endYear})</div>
+              <div class="tooltip-item">
+                <span class="tooltip-label">Mortgage rate:</span>
+                <span class="tooltip-value">${d.mortgageRate.toFixed(2)}%</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label own">🏠 Own + Invest:</span>
+                <span class="tooltip-value">${formatCurrency(d.ownNetWorth)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label rent">🏠 Rent + Invest:</span>
+                <span class="tooltip-value">${formatCurrency(d.rentNetWorth)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label difference">Advantage:</span>
+                <span class="tooltip-value ${d.difference > 0 ? 'positive' : 'negative'}">
+                  ${d.difference > 0 ? 'Own' : 'Rent'} by ${formatCurrency(Math.abs(d.difference))}
+                </span>
+              </div>
+            </div>
+          `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 10) + 'px');
+      });
+
+    // Only removes the tooltip element if this chart created it
+    return () => tooltip.remove();
+
+  }, [cohorts, selectedYear, onSelectYear, width, height]);
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      style={{ width: '100%', height: 'auto' }}
+      role="img"
+      aria-label="Own minus rent net worth by historical purchase year"
+    />
+  );
+};
+
+export default BacktestChart;
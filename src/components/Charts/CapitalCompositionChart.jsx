@@ -1,11 +1,12 @@
 import React, { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
 import { formatCurrency } from '../../utils/calculations';
+import { drawChartMarkers } from './chartMarkers';
 
 /**
  * Capital Composition Chart - Shows stacked areas for own (above 0) vs rent (below 0) scenarios
  */
-const CapitalCompositionChart = ({ data }) => {
+const CapitalCompositionChart = ({ data, valueLabel = 'Net Worth', markers = [] }) => {
   const svgRef = useRef();
 
   useEffect(() => {
@@ -151,7 +152,7 @@ const CapitalCompositionChart = ({ data }) => {
       .style('font-size', '14px')
       .style('fill', '#374151')
       .style('font-weight', '500')
-      .text('Net Worth');
+      .text(valueLabel);
 
     // Add title
     g.append('text')
@@ -164,6 +165,8 @@ const CapitalCompositionChart = ({ data }) => {
       .style('fill', '#1f2937')
       .text('Capital Composition Over Time');
 
+    drawChartMarkers(g, markers, xScale, height);
+
     // Add legend
     const legend = g.append('g')
       .attr('class', 'legend')
@@ -288,7 +291,7 @@ const CapitalCompositionChart = ({ data }) => {
       d3.select('body').selectAll('.chart-tooltip').remove();
     };
 
-  }, [data]);
+  }, [data, valueLabel, markers]);
 
   return (
     <div className="chart-container">
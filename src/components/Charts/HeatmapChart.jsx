@@ -0,0 +1,250 @@
+import React, { useRef, useEffect, useState } from 'react';
+import * as d3 from 'd3';
+import { formatCurrency, formatPercentage } from '../../utils/calculations';
+import { HEATMAP_PARAMETERS, HEATMAP_GRID_SIZES } from '../../utils/heatmap';
+import { useHeatmap } from '../../hooks/useHeatmap';
+import './NetWorthChart.css';
+import './HeatmapChart.css';
+
+/**
+ * Format an axis input the way it is entered in the form
+ */
+const formatInputValue = (parameter, value, short = false) => {
+  if (parameter.format === 'currency') return formatCurrency(value, short);
+  if (parameter.format === 'years') return `${Math.round(value * 10) / 10} yrs`;
+  return formatPercentage(value, short ? 1 : 2);
+};
+
+/**
+ * Heatmap Chart - own minus rent net worth at the horizon across a grid of two inputs,
+ * with the break-even line where the two strategies tie
+ */
+const HeatmapChart = ({ parameters, realDollars = false, width = 800, height = 560 }) => {
+  const svgRef = useRef();
+  const [xField, setXField] = useState('mortgageRate');
+  const [yField, setYField] = useState('homeAppreciationRate');
+  const [steps, setSteps] = useState(15);
+  const { heatmap, progress, isLoading, error } = useHeatmap(parameters, { xField, yField, steps, realDollars });
+
+  useEffect(() => {
+    if (!heatmap) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const margin = { top: 20, right: 110, bottom: 60, left: 90 };
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+    const xParameter = HEATMAP_PARAMETERS.find(item => item.id === heatmap.xField);
+    const yParameter = HEATMAP_PARAMETERS.find(item => item.id === heatmap.yField);
+    const { xValues, yValues } = heatmap;
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Cells are centred on their grid values, so the axes extend half a step past the ends
+    const xStep = (xValues[xValues.length - 1] - xValues[0]) / (xValues.length - 1);
+    const yStep = (yValues[yValues.length - 1] - yValues[0]) / (yValues.length - 1);
+    const xScale = d3.scaleLinear()
+      .domain([xValues[0] - xStep / 2, xValues[xValues.length - 1] + xStep / 2])
+      .range([0, chartWidth]);
+    const yScale = d3.scaleLinear()
+      .domain([yValues[0] - yStep / 2, yValues[yValues.length - 1] + yStep / 2])
+      .range([chartHeight, 0]);
+    const cellWidth = Math.abs(xScale(xStep) - xScale(0));
+    const cellHeight = Math.abs(yScale(0) - yScale(yStep));
+
+    // Diverging colours: blue favours owning, red favours renting, white is a tie
+    const maxDifference = d3.max(heatmap.cells, d => Math.abs(d.difference)) || 1;
+    const colorScale = d3.scaleDiverging()
+      .domain([-maxDifference, 0, maxDifference])
+      .interpolator(d3.interpolateRdBu);
+
+    g.selectAll('.heatmap-cell')
+      .data(heatmap.cells)
+      .enter()
+      .append('rect')
+      .attr('class', 'heatmap-cell')
+      .attr('x', d => xScale(d.xValue) - cellWidth / 2)
+      .attr('y', d => yScale(d.yValue) - cellHeight / 2)
+      .attr('width', cellWidth)
+      .attr('height', cellHeight)
+      .attr('fill', d => colorScale(d.difference));
+
+    // Break-even contour
+    const line = d3.line()
+      .x(d => xScale(d.x))
+      .y(d => yScale(d.y));
+
+    g.selectAll('.break-even-contour')
+      .data(heatmap.contour)
+      .enter()
+      .append('path')
+      .attr('class', 'break-even-contour')
+      .attr('d', line)
+      .attr('fill', 'none')
+      .attr('stroke', '#111827')
+      .attr('stroke-width', 2)
+      .style('pointer-events', 'none');
+
+    // Today's inputs
+    g.append('circle')
+      .attr('cx', xScale(heatmap.currentX))
+      .attr('cy', yScale(heatmap.currentY))
+      .attr('r', 5)
+      .attr('fill', 'none')
+      .attr('stroke', '#111827')
+      .attr('stroke-width', 2)
+      .style('pointer-events', 'none');
+
+    // Axes
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(8).tickFormat(d => formatInputValue(xParameter, d, true)));
+
+    g.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yScale).ticks(8).tickFormat(d => formatInputValue(yParameter, d, true)));
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('x', chartWidth / 2)
+      .attr('y', chartHeight + 45)
+      .text(xParameter.label);
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -chartHeight / 2)
+      .attr('y', -70)
+      .text(yParameter.label);
+
+    // Colour legend
+    const legendHeight = chartHeight / 2;
+    const legendScale = d3.scaleLinear()
+      .domain([-maxDifference, maxDifference])
+      .range([legendHeight, 0]);
+    const legend = g.append('g')
+      .attr('class', 'legend')
+      .attr('transform', `translate(${chartWidth + 20}, 0)`);
+
+    legend.selectAll('.legend-swatch')
+      .data(d3.range(0, 1.0001, 0.05))
+      .enter()
+      .append('rect')
+      .attr('class', 'legend-swatch')
+      .attr('x', 0)
+      .attr('y', d => legendScale(maxDifference * (2 * d - 1)) - legendHeight / 40)
+      .attr('width', 14)
+      .attr('height', legendHeight / 20 + 1)
+      .attr('fill', d => colorScale(maxDifference * (2 * d - 1)));
+
+    legend.append('g')
+      .attr('transform', 'translate(14,0)')
+      .call(d3.axisRight(legendScale).ticks(5).tickFormat(d => formatCurrency(d, true)));
+
+    legend.append('text')
+      .attr('class', 'legend-text')
+      .attr('x', 0)
+      .attr('y', legendHeight + 20)
+      .style('font-size', '11px')
+      .text('Own − Rent');
+
+    // Tooltip
+    const tooltip = d3.select('body').selectAll('.chart-tooltip')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('opacity', 0);
+
+    g.selectAll('.heatmap-cell')
+      .on('mouseover', () => d3.select('.chart-tooltip').style('opacity', 1))
+      .on('mouseout', () => d3.select('.chart-tooltip').style('opacity', 0))
+      .on('mousemove', (event, d) => {
+        d3.select('.chart-tooltip')
+          .html(`
+            <div class="tooltip-content">
+              <div class="tooltip-item">
+                <span class="tooltip-label">${xParameter.label}:</span>
+                <span class="tooltip-value">${formatInputValue(xParameter, d.xValue)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label">${yParameter.label}:</span>
+                <span class="tooltip-value">${formatInputValue(yParameter, d.yValue)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label difference">Advantage:</span>
+                <span class="tooltip-value ${d.difference > 0 ? 'positive' : 'negative'}">
+                  ${d.difference > 0 ? 'Own' : 'Rent'} by ${formatCurrency(Math.abs(d.difference))}
+                </span>
+              </div>
+            </div>
+          `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 10) + 'px');
+      });
+
+    // Only removes the tooltip element if this chart created it
+    return () => tooltip.remove();
+
+  }, [heatmap, width, height]);
+
+  return (
+    <div className="chart-container heatmap-chart">
+      <div className="chart-header">
+        <h3>🗺️ Two-Input Heatmap</h3>
+        <p>Own minus rent net worth if sold at the horizon across a grid of two inputs; the black line is where they tie</p>
+      </div>
+
+      <div className="heatmap-controls">
+        <div className="input-group">
+          <label htmlFor="heatmap-x-field">Horizontal Axis</label>
+          <select id="heatmap-x-field" value={xField} onChange={(e) => setXField(e.target.value)}>
+            {HEATMAP_PARAMETERS.filter(item => item.id !== yField).map(item => (
+              <option key={item.id} value={item.id}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="heatmap-y-field">Vertical Axis</label>
+          <select id="heatmap-y-field" value={yField} onChange={(e) => setYField(e.target.value)}>
+            {HEATMAP_PARAMETERS.filter(item => item.id !== xField).map(item => (
+              <option key={item.id} value={item.id}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="heatmap-steps">Grid Size</label>
+          <select id="heatmap-steps" value={steps} onChange={(e) => setSteps(Number(e.target.value))}>
+            {HEATMAP_GRID_SIZES.map(size => (
+              <option key={size} value={size}>{size} × {size}</option>
+            ))}
+          </select>
+        </div>
+        {isLoading && (
+          <span className="heatmap-progress">Calculating… {Math.round(progress * 100)}%</span>
+        )}
+      </div>
+
+      {error && <div className="heatmap-message">{error}</div>}
+
+      {heatmap && (
+        <svg
+          ref={svgRef}
+          className={isLoading ? 'heatmap-stale' : ''}
+          viewBox={`0 0 ${width} ${height}`}
+          style={{ width: '100%', height: 'auto' }}
+          role="img"
+          aria-label="Heatmap of own minus rent net worth across two inputs"
+        />
+      )}
+    </div>
+  );
+};
+
+export default HeatmapChart;
@@ -0,0 +1,163 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { formatCurrency } from '../../utils/calculations';
+import './NetWorthChart.css';
+
+/**
+ * Holding Period Chart - own minus rent net worth at the horizon for every year the home could be sold
+ */
+const HoldingPeriodChart = ({ points, selectedYears, minimumStay, onSelectYears, width = 800, height = 320 }) => {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    if (!points || points.length === 0) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const margin = { top: 20, right: 30, bottom: 60, left: 80 };
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleBand()
+      .domain(points.map(d => d.years))
+      .range([0, chartWidth])
+      .padding(0.15);
+
+    const extent = d3.extent(points, d => d.advantage);
+    const yScale = d3.scaleLinear()
+      .domain([Math.min(0, extent[0]) * 1.1, Math.max(0, extent[1]) * 1.1])
+      .range([chartHeight, 0]);
+
+    // Grid and axes
+    g.append('g')
+      .attr('class', 'grid')
+      .call(d3.axisLeft(yScale).tickSize(-chartWidth).tickFormat(''));
+
+    const tickEvery = Math.ceil(points.length / 15);
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickValues(xScale.domain().filter((d, i) => i % tickEvery === 0)));
+
+    g.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yScale).tickFormat(d => formatCurrency(d, true)));
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('x', chartWidth / 2)
+      .attr('y', chartHeight + 45)
+      .text('Years Before Selling');
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -chartHeight / 2)
+      .attr('y', -60)
+      .text('Own − Rent Net Worth');
+
+    // Bars: positive values favour buying, negative values favour renting throughout
+    g.selectAll('.holding-bar')
+      .data(points)
+      .enter()
+      .append('rect')
+      .attr('class', 'holding-bar')
+      .attr('x', d => xScale(d.years))
+      .attr('width', xScale.bandwidth())
+      .attr('y', d => yScale(Math.max(0, d.advantage)))
+      .attr('height', d => Math.abs(yScale(d.advantage) - yScale(0)))
+      .attr('fill', d => d.advantage > 0 ? '#2563eb' : '#dc2626')
+      .attr('opacity', d => d.years === selectedYears ? 1 : 0.45)
+      .style('cursor', onSelectYears ? 'pointer' : 'default')
+      .on('click', (event, d) => onSelectYears && onSelectYears(d.years));
+
+    g.append('line')
+      .attr('x1', 0)
+      .attr('x2', chartWidth)
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0))
+      .attr('stroke', '#374151')
+      .attr('stroke-width', 1);
+
+    // Mark the shortest stay that beats renting
+    if (minimumStay !== null && minimumStay !== undefined) {
+      const markerX = xScale(minimumStay) + xScale.bandwidth() / 2;
+      const marker = g.append('g')
+        .attr('class', 'chart-marker')
+        .attr('transform', `translate(${markerX},0)`);
+
+      marker.append('line')
+        .attr('y1', 0)
+        .attr('y2', chartHeight)
+        .attr('stroke', '#6b7280')
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '4,3');
+
+      marker.append('text')
+        .attr('x', 4)
+        .attr('y', 12)
+        .style('font-size', '11px')
+        .style('fill', '#6b7280')
+        .text(`Minimum stay (yr ${minimumStay})`);
+    }
+
+    // Tooltip
+    const tooltip = d3.select('body').selectAll('.chart-tooltip')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('opacity', 0);
+
+    g.selectAll('.holding-bar')
+      .on('mouseover', () => d3.select('.chart-tooltip').style('opacity', 1))
+      .on('mouseout', () => d3.select('.chart-tooltip').style('opacity', 0))
+      .on('mousemove', (event, d) => {
+        d3.select('.chart-tooltip')
+          .html(`
+            <div class="tooltip-content">
+              <div class="tooltip-title">Sell after ${d.years} year${d.years === 1 ? '' : 's'}</div>
+              <div class="tooltip-item">
+                <span class="tooltip-label own">🏠 Buy, then move:</span>
+                <span class="tooltip-value">${formatCurrency(d.ownNetWorth)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label rent">🏠 Rent + Invest:</span>
+                <span class="tooltip-value">${formatCurrency(d.rentNetWorth)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label difference">Advantage:</span>
+                <span class="tooltip-value ${d.advantage > 0 ? 'positive' : 'negative'}">
+                  ${d.advantage > 0 ? 'Buy' : 'Rent'} by ${formatCurrency(Math.abs(d.advantage))}
+                </span>
+              </div>
+            </div>
+          `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 10) + 'px');
+      });
+
+    // Only removes the tooltip element if this chart created it
+    return () => tooltip.remove();
+
+  }, [points, selectedYears, minimumStay, onSelectYears, width, height]);
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      style={{ width: '100%', height: 'auto' }}
+      role="img"
+      aria-label="Own minus rent net worth at the horizon by holding period"
+    />
+  );
+};
+
+export default HoldingPeriodChart;
@@ -1,12 +1,22 @@
 import React, { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
 import { formatCurrency } from '../../utils/calculations';
+import { drawChartMarkers } from './chartMarkers';
+import { createNetWorthScale, drawLegend, drawNetWorthAxes } from './chartFrame';
 import './NetWorthChart.css';
 
 /**
  * Net Worth Comparison Chart using D3.js
  */
-const NetWorthChart = ({ data, width = 800, height = 400 }) => {
+const NetWorthChart = ({
+  data,
+  width = 800,
+  height = 400,
+  title = '📊 Net Worth Comparison: Own + Invest vs Rent + Invest',
+  description = 'Compare total wealth accumulation between the two strategies over time',
+  valueLabel = 'Net Worth',
+  markers = []
+}) => {
   const svgRef = useRef();
 
   useEffect(() => {
@@ -29,10 +39,24 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
       .domain(d3.extent(data, d => d.year))
       .range([0, chartWidth]);
 
-    const maxNetWorth = d3.max(data, d => Math.max(d.ownNetWorth, d.rentNetWorth));
-    const yScale = d3.scaleLinear()
-      .domain([0, maxNetWorth * 1.1])
-      .range([chartHeight, 0]);
+    // Monte Carlo percentile bands are present when simulation mode is enabled
+    const hasBands = data[0].ownP50 !== undefined;
+    // Liquidation lines are only worth drawing when selling costs or taxes make them differ from paper net worth
+    const hasSaleValue = data.some(d => d.ownNetWorthIfSold !== undefined && d.ownNetWorthIfSold !== d.ownNetWorth);
+    const hasRentSaleValue = data.some(d => d.rentNetWorthIfSold !== undefined && d.rentNetWorthIfSold !== d.rentNetWorth);
+    // Third strategy: pay down the mortgage with the extra cash instead of investing it
+    const hasPrepay = data[0].prepayNetWorth !== undefined;
+
+    // Every value drawn on the chart, so no line or band is clipped (sale values can start below zero)
+    const plottedValues = (d) => [
+      d.ownNetWorth,
+      d.rentNetWorth,
+      ...(hasSaleValue ? [d.ownNetWorthIfSold] : []),
+      ...(hasRentSaleValue ? [d.rentNetWorthIfSold] : []),
+      ...(hasPrepay ? [d.prepayNetWorth] : []),
+      ...(hasBands ? [d.ownP10, d.ownP90, d.rentP10, d.rentP90] : [])
+    ];
+    const yScale = createNetWorthScale(data.flatMap(plottedValues), chartHeight);
 
     // Line generators
     const ownLine = d3.line()
@@ -45,49 +69,45 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
       .y(d => yScale(d.rentNetWorth))
       .curve(d3.curveMonotoneX);
 
-    // Add grid lines
-    const xGrid = d3.axisBottom(xScale)
-      .tickSize(-chartHeight)
-      .tickFormat('');
-
-    const yGrid = d3.axisLeft(yScale)
-      .tickSize(-chartWidth)
-      .tickFormat('');
-
-    g.append('g')
-      .attr('class', 'grid')
-      .attr('transform', `translate(0,${chartHeight})`)
-      .call(xGrid);
-
-    g.append('g')
-      .attr('class', 'grid')
-      .call(yGrid);
-
-    // Add axes
-    g.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0,${chartHeight})`)
-      .call(d3.axisBottom(xScale).tickFormat(d => `Year ${d}`));
-
-    g.append('g')
-      .attr('class', 'y-axis')
-      .call(d3.axisLeft(yScale).tickFormat(d => formatCurrency(d, true)));
-
-    // Add axis labels
-    g.append('text')
-      .attr('class', 'axis-label')
-      .attr('text-anchor', 'middle')
-      .attr('x', chartWidth / 2)
-      .attr('y', chartHeight + 45)
-      .text('Years');
-
-    g.append('text')
-      .attr('class', 'axis-label')
-      .attr('text-anchor', 'middle')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -chartHeight / 2)
-      .attr('y', -50)
-      .text('Net Worth');
+    drawNetWorthAxes(g, { xScale, yScale, chartWidth, chartHeight, valueLabel });
+
+    // Add Monte Carlo fan areas (P10-P90) and median lines beneath the deterministic lines
+    if (hasBands) {
+      const bands = [
+        { key: 'own', color: '#2563eb' },
+        { key: 'rent', color: '#dc2626' }
+      ];
+
+      bands.forEach(({ key, color }) => {
+        const bandArea = d3.area()
+          .x(d => xScale(d.year))
+          .y0(d => yScale(d[`${key}P10`]))
+          .y1(d => yScale(d[`${key}P90`]))
+          .curve(d3.curveMonotoneX);
+
+        const medianLine = d3.line()
+          .x(d => xScale(d.year))
+          .y(d => yScale(d[`${key}P50`]))
+          .curve(d3.curveMonotoneX);
+
+        g.append('path')
+          .datum(data)
+          .attr('class', `band ${key}-band`)
+          .attr('d', bandArea)
+          .attr('fill', color)
+          .attr('fill-opacity', 0.15)
+          .attr('stroke', 'none');
+
+        g.append('path')
+          .datum(data)
+          .attr('class', `median-line ${key}-median`)
+          .attr('d', medianLine)
+          .attr('stroke', color)
+          .attr('stroke-width', 2)
+          .attr('stroke-dasharray', '6,4')
+          .attr('fill', 'none');
+      });
+    }
 
     // Add lines
     g.append('path')
@@ -106,6 +126,42 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
       .attr('stroke-width', 3)
       .attr('fill', 'none');
 
+    if (hasPrepay) {
+      const prepayLine = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d.prepayNetWorth))
+        .curve(d3.curveMonotoneX);
+
+      g.append('path')
+        .datum(data)
+        .attr('class', 'line prepay-line')
+        .attr('d', prepayLine)
+        .attr('stroke', '#059669')
+        .attr('stroke-width', 3)
+        .attr('fill', 'none');
+    }
+
+    const soldLines = [
+      { key: 'own', color: '#2563eb', show: hasSaleValue },
+      { key: 'rent', color: '#dc2626', show: hasRentSaleValue }
+    ];
+
+    soldLines.filter(line => line.show).forEach(({ key, color }) => {
+      const soldLine = d3.line()
+        .x(d => xScale(d.year))
+        .y(d => yScale(d[`${key}NetWorthIfSold`]))
+        .curve(d3.curveMonotoneX);
+
+      g.append('path')
+        .datum(data)
+        .attr('class', `sold-line ${key}-sold-line`)
+        .attr('d', soldLine)
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '2,4')
+        .attr('fill', 'none');
+    });
+
     // Add dots for data points
     g.selectAll('.own-dot')
       .data(data)
@@ -127,37 +183,28 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
       .attr('r', 4)
       .attr('fill', '#dc2626');
 
-    // Add legend
-    const legend = g.append('g')
-      .attr('class', 'legend')
-      .attr('transform', `translate(${chartWidth - 180}, 20)`);
+    drawChartMarkers(g, markers, xScale, chartHeight);
 
+    // Add legend
     const legendItems = [
       { label: '🏠 Own + Invest', color: '#2563eb' },
-      { label: '🏠 Rent + Invest', color: '#dc2626' }
+      { label: '🏠 Rent + Invest', color: '#dc2626' },
+      ...(hasPrepay ? [
+        { label: '🏠 Own + Prepay', color: '#059669' }
+      ] : []),
+      ...(hasSaleValue ? [
+        { label: '🏠 Own, if sold', color: '#2563eb', dash: '2,4' }
+      ] : []),
+      ...(hasRentSaleValue ? [
+        { label: '🏠 Rent, after tax', color: '#dc2626', dash: '2,4' }
+      ] : []),
+      ...(hasBands ? [
+        { label: 'Median (P50)', color: '#6b7280', dash: '6,4' },
+        { label: 'P10-P90 range', color: '#6b7280', band: true }
+      ] : [])
     ];
 
-    const legendItem = legend.selectAll('.legend-item')
-      .data(legendItems)
-      .enter()
-      .append('g')
-      .attr('class', 'legend-item')
-      .attr('transform', (d, i) => `translate(0, ${i * 25})`);
-
-    legendItem.append('line')
-      .attr('x1', 0)
-      .attr('x2', 20)
-      .attr('y1', 0)
-      .attr('y2', 0)
-      .attr('stroke', d => d.color)
-      .attr('stroke-width', 3);
-
-    legendItem.append('text')
-      .attr('x', 25)
-      .attr('y', 0)
-      .attr('dy', '0.35em')
-      .attr('class', 'legend-text')
-      .text(d => d.label);
+    drawLegend(g, legendItems, chartWidth - 180, 20);
 
     // Tooltip
     const tooltip = d3.select('body').selectAll('.chart-tooltip')
@@ -185,6 +232,10 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
         const dataPoint = data.find(d => d.year === year);
         
         if (dataPoint) {
+          // Advantage compares liquidation values when they are available
+          const ownComparable = dataPoint.ownNetWorthIfSold ?? dataPoint.ownNetWorth;
+          const rentComparable = dataPoint.rentNetWorthIfSold ?? dataPoint.rentNetWorth;
+
           tooltip
             .html(`
               <div class="tooltip-content">
@@ -193,16 +244,44 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
                   <span class="tooltip-label own">🏠 Own + Invest:</span>
                   <span class="tooltip-value">${formatCurrency(dataPoint.ownNetWorth)}</span>
                 </div>
+                ${hasSaleValue ? `
+                <div class="tooltip-item">
+                  <span class="tooltip-label own">🏠 Own, if sold:</span>
+                  <span class="tooltip-value">${formatCurrency(dataPoint.ownNetWorthIfSold)}</span>
+                </div>` : ''}
+                ${hasPrepay ? `
+                <div class="tooltip-item">
+                  <span class="tooltip-label prepay">🏠 Own + Prepay:</span>
+                  <span class="tooltip-value">${formatCurrency(dataPoint.prepayNetWorth)}</span>
+                </div>` : ''}
                 <div class="tooltip-item">
                   <span class="tooltip-label rent">🏠 Rent + Invest:</span>
                   <span class="tooltip-value">${formatCurrency(dataPoint.rentNetWorth)}</span>
                 </div>
+                ${hasRentSaleValue ? `
+                <div class="tooltip-item">
+                  <span class="tooltip-label rent">🏠 Rent, after tax:</span>
+                  <span class="tooltip-value">${formatCurrency(dataPoint.rentNetWorthIfSold)}</span>
+                </div>` : ''}
                 <div class="tooltip-item">
                   <span class="tooltip-label difference">Advantage:</span>
-                  <span class="tooltip-value ${dataPoint.ownNetWorth > dataPoint.rentNetWorth ? 'positive' : 'negative'}">
-                    ${dataPoint.ownNetWorth > dataPoint.rentNetWorth ? 'Own' : 'Rent'} by ${formatCurrency(Math.abs(dataPoint.ownNetWorth - dataPoint.rentNetWorth))}
+                  <span class="tooltip-value ${ownComparable > rentComparable ? 'positive' : 'negative'}">
+                    ${ownComparable > rentComparable ? 'Own' : 'Rent'} by ${formatCurrency(Math.abs(ownComparable - rentComparable))}
                   </span>
                 </div>
+                ${hasBands ? `
+                <div class="tooltip-item">
+                  <span class="tooltip-label own">Own P10-P90:</span>
+                  <span class="tooltip-value">${formatCurrency(dataPoint.ownP10, true)} - ${formatCurrency(dataPoint.ownP90, true)}</span>
+                </div>
+                <div class="tooltip-item">
+                  <span class="tooltip-label rent">Rent P10-P90:</span>
+                  <span class="tooltip-value">${formatCurrency(dataPoint.rentP10, true)} - ${formatCurrency(dataPoint.rentP90, true)}</span>
+                </div>
+                <div class="tooltip-item">
+                  <span class="tooltip-label difference">Own wins in:</span>
+                  <span class="tooltip-value">${(dataPoint.probabilityOwnWins * 100).toFixed(0)}% of paths</span>
+                </div>` : ''}
               </div>
             `)
             .style('left', (event.pageX + 10) + 'px')
@@ -210,13 +289,13 @@ const NetWorthChart = ({ data, width = 800, height = 400 }) => {
         }
       });
 
-  }, [data, width, height]);
+  }, [data, width, height, valueLabel, markers]);
 
   return (
     <div className="chart-container">
       <div className="chart-header">
-        <h3>📊 Net Worth Comparison: Own + Invest vs Rent + Invest</h3>
-        <p>Compare total wealth accumulation between the two strategies over time</p>
+        <h3>{title}</h3>
+        <p>{description}</p>
       </div>
       <svg
         ref={svgRef}
@@ -0,0 +1,152 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { formatCurrency } from '../../utils/calculations';
+import { createNetWorthScale, drawLegend, drawNetWorthAxes } from './chartFrame';
+import './NetWorthChart.css';
+
+/**
+ * Escape a user-entered scenario name for the tooltip HTML
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+/**
+ * Scenario Comparison Chart - multi-series net worth chart with one colour per saved scenario.
+ * Solid lines are Own + Invest, dashed lines Rent + Invest, both measured as if sold.
+ */
+const ScenarioComparisonChart = ({ scenarios, width = 800, height = 400, valueLabel = 'Net Worth' }) => {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    if (!scenarios || scenarios.length === 0) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const margin = { top: 20, right: 30, bottom: 60, left: 80 };
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const allPoints = scenarios.flatMap(scenario => scenario.outcome.series);
+    const xScale = d3.scaleLinear()
+      .domain([0, d3.max(allPoints, d => d.year)])
+      .range([0, chartWidth]);
+
+    const yScale = createNetWorthScale(allPoints.flatMap(d => [d.ownNetWorth, d.rentNetWorth]), chartHeight);
+
+    drawNetWorthAxes(g, { xScale, yScale, chartWidth, chartHeight, valueLabel: `${valueLabel} If Sold` });
+
+    // Lines
+    const ownLine = d3.line()
+      .x(d => xScale(d.year))
+      .y(d => yScale(d.ownNetWorth))
+      .curve(d3.curveMonotoneX);
+
+    const rentLine = d3.line()
+      .x(d => xScale(d.year))
+      .y(d => yScale(d.rentNetWorth))
+      .curve(d3.curveMonotoneX);
+
+    scenarios.forEach(scenario => {
+      g.append('path')
+        .datum(scenario.outcome.series)
+        .attr('fill', 'none')
+        .attr('stroke', scenario.color)
+        .attr('stroke-width', 2.5)
+        .attr('d', ownLine);
+
+      g.append('path')
+        .datum(scenario.outcome.series)
+        .attr('fill', 'none')
+        .attr('stroke', scenario.color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '6,4')
+        .attr('d', rentLine);
+    });
+
+    // Shared legend: colours name the scenarios, line styles name the strategies
+    const legendItems = [
+      ...scenarios.map(scenario => ({ label: scenario.name, color: scenario.color })),
+      { label: 'Own + Invest', color: '#6b7280' },
+      { label: 'Rent + Invest', color: '#6b7280', dash: '6,4' }
+    ];
+
+    drawLegend(g, legendItems, 10, 10);
+
+    // Tooltip with every scenario at the hovered year
+    const tooltip = d3.select('body').selectAll('.chart-tooltip')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('opacity', 0);
+
+    const hoverLine = g.append('line')
+      .attr('y1', 0)
+      .attr('y2', chartHeight)
+      .attr('stroke', '#9ca3af')
+      .attr('stroke-width', 1)
+      .style('opacity', 0);
+
+    g.append('rect')
+      .attr('class', 'overlay')
+      .attr('width', chartWidth)
+      .attr('height', chartHeight)
+      .attr('fill', 'none')
+      .attr('pointer-events', 'all')
+      .on('mouseover', () => {
+        d3.select('.chart-tooltip').style('opacity', 1);
+        hoverLine.style('opacity', 1);
+      })
+      .on('mouseout', () => {
+        d3.select('.chart-tooltip').style('opacity', 0);
+        hoverLine.style('opacity', 0);
+      })
+      .on('mousemove', (event) => {
+        const year = Math.round(xScale.invert(d3.pointer(event)[0]));
+        hoverLine.attr('x1', xScale(year)).attr('x2', xScale(year));
+
+        const rows = scenarios
+          .map(scenario => ({ scenario, point: scenario.outcome.series.find(d => d.year === year) }))
+          .filter(({ point }) => point)
+          .map(({ scenario, point }) => `
+            <div class="tooltip-item">
+              <span class="tooltip-label" style="color: ${scenario.color}">${escapeHtml(scenario.name)}:</span>
+              <span class="tooltip-value">${formatCurrency(point.ownNetWorth, true)} own · ${formatCurrency(point.rentNetWorth, true)} rent</span>
+            </div>
+          `)
+          .join('');
+
+        d3.select('.chart-tooltip')
+          .html(`
+            <div class="tooltip-content">
+              <div class="tooltip-title">Year ${year}</div>
+              ${rows}
+            </div>
+          `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 10) + 'px');
+      });
+
+    // Only removes the tooltip element if this chart created it
+    return () => tooltip.remove();
+
+  }, [scenarios, width, height, valueLabel]);
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      style={{ width: '100%', height: 'auto' }}
+      role="img"
+      aria-label="Net worth of each compared scenario over time"
+    />
+  );
+};
+
+export default ScenarioComparisonChart;
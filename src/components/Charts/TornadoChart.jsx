@@ -0,0 +1,253 @@
+import React, { useRef, useEffect, useState, useMemo } from 'react';
+import * as d3 from 'd3';
+import { formatCurrency, formatPercentage } from '../../utils/calculations';
+import { useSensitivity } from '../../hooks/useSensitivity';
+import './NetWorthChart.css';
+import './TornadoChart.css';
+
+/**
+ * Format a tested input the way it is entered in the form
+ */
+const formatInputValue = (item, value) => {
+  if (item.format === 'currency') return formatCurrency(value);
+  if (item.format === 'years') return `${Math.round(value * 10) / 10} yrs`;
+  return formatPercentage(value, 2);
+};
+
+/**
+ * Tornado Chart - how far a low and high shift in each input moves own minus rent net worth
+ */
+const TornadoChart = ({ parameters, realDollars = false, width = 800 }) => {
+  const svgRef = useRef();
+  const [relativeShift, setRelativeShift] = useState(10);
+  const [rateShift, setRateShift] = useState(1);
+  const { sensitivity, error } = useSensitivity(parameters, { relativeShift, rateShift, realDollars });
+
+  // Inputs that do not move the outcome (e.g. zero HOA fees) are left off the chart
+  const bars = useMemo(
+    () => (sensitivity ? sensitivity.results.filter(item => item.swing > 0) : []),
+    [sensitivity]
+  );
+  const rowHeight = 28;
+  const height = Math.max(160, bars.length * rowHeight + 90);
+
+  useEffect(() => {
+    if (!sensitivity || bars.length === 0) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const margin = { top: 30, right: 30, bottom: 50, left: 170 };
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+    const { baseDifference } = sensitivity;
+
+    const g = svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const values = bars.flatMap(d => [d.lowDifference, d.highDifference]).concat(baseDifference, 0);
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(values))
+      .nice()
+      .range([0, chartWidth]);
+
+    const yScale = d3.scaleBand()
+      .domain(bars.map(d => d.id))
+      .range([0, chartHeight])
+      .padding(0.25);
+
+    // Grid and axes
+    g.append('g')
+      .attr('class', 'grid')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickSize(-chartHeight).tickFormat(''));
+
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).ticks(6).tickFormat(d => formatCurrency(d, true)));
+
+    g.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(yScale).tickFormat(id => bars.find(d => d.id === id).label));
+
+    g.append('text')
+      .attr('class', 'axis-label')
+      .attr('text-anchor', 'middle')
+      .attr('x', chartWidth / 2)
+      .attr('y', chartHeight + 40)
+      .text('Own − Rent Net Worth If Sold');
+
+    // One bar from the base case to each shifted result
+    const segments = bars.flatMap(d => [
+      { item: d, side: 'low', value: d.lowValue, difference: d.lowDifference },
+      { item: d, side: 'high', value: d.highValue, difference: d.highDifference }
+    ]);
+
+    g.selectAll('.tornado-bar')
+      .data(segments)
+      .enter()
+      .append('rect')
+      .attr('class', 'tornado-bar')
+      .attr('x', d => xScale(Math.min(baseDifference, d.difference)))
+      .attr('width', d => Math.abs(xScale(d.difference) - xScale(baseDifference)))
+      .attr('y', d => yScale(d.item.id))
+      .attr('height', yScale.bandwidth())
+      .attr('fill', d => d.side === 'low' ? '#f59e0b' : '#7c3aed')
+      .attr('opacity', 0.85);
+
+    // Base case and break-even lines
+    g.append('line')
+      .attr('x1', xScale(baseDifference))
+      .attr('x2', xScale(baseDifference))
+      .attr('y1', -6)
+      .attr('y2', chartHeight)
+      .attr('stroke', '#374151')
+      .attr('stroke-width', 1.5);
+
+    g.append('text')
+      .attr('x', xScale(baseDifference))
+      .attr('y', -12)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '11px')
+      .style('fill', '#6b7280')
+      .text(`Base case ${formatCurrency(baseDifference, true)}`);
+
+    if (xScale(0) !== xScale(baseDifference)) {
+      g.append('line')
+        .attr('x1', xScale(0))
+        .attr('x2', xScale(0))
+        .attr('y1', 0)
+        .attr('y2', chartHeight)
+        .attr('stroke', '#6b7280')
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '4,3');
+    }
+
+    // Legend
+    const legend = g.append('g')
+      .attr('class', 'legend')
+      .attr('transform', `translate(${chartWidth - 150}, ${chartHeight - 40})`);
+
+    const legendItem = legend.selectAll('.legend-item')
+      .data([
+        { label: 'Input lowered', color: '#f59e0b' },
+        { label: 'Input raised', color: '#7c3aed' }
+      ])
+      .enter()
+      .append('g')
+      .attr('class', 'legend-item')
+      .attr('transform', (d, i) => `translate(0, ${i * 20})`);
+
+    legendItem.append('rect')
+      .attr('x', 0)
+      .attr('y', -6)
+      .attr('width', 20)
+      .attr('height', 12)
+      .attr('fill', d => d.color);
+
+    legendItem.append('text')
+      .attr('x', 25)
+      .attr('y', 0)
+      .attr('dy', '0.35em')
+      .attr('class', 'legend-text')
+      .style('font-size', '12px')
+      .text(d => d.label);
+
+    // Tooltip
+    const tooltip = d3.select('body').selectAll('.chart-tooltip')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'chart-tooltip')
+      .style('opacity', 0);
+
+    g.selectAll('.tornado-bar')
+      .on('mouseover', () => d3.select('.chart-tooltip').style('opacity', 1))
+      .on('mouseout', () => d3.select('.chart-tooltip').style('opacity', 0))
+      .on('mousemove', (event, d) => {
+        const change = d.difference - baseDifference;
+        d3.select('.chart-tooltip')
+          .html(`
+            <div class="tooltip-content">
+              <div class="tooltip-title">${d.item.label}: ${formatInputValue(d.item, d.value)}</div>
+              <div class="tooltip-item">
+                <span class="tooltip-label">Base value:</span>
+                <span class="tooltip-value">${formatInputValue(d.item, d.item.baseValue)}</span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label difference">Own − Rent:</span>
+                <span class="tooltip-value ${d.difference > 0 ? 'positive' : 'negative'}">
+                  ${formatCurrency(d.difference)}
+                </span>
+              </div>
+              <div class="tooltip-item">
+                <span class="tooltip-label">Change:</span>
+                <span class="tooltip-value">${change >= 0 ? '+' : '−'}${formatCurrency(Math.abs(change))}</span>
+              </div>
+            </div>
+          `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 10) + 'px');
+      });
+
+    // Only removes the tooltip element if this chart created it
+    return () => tooltip.remove();
+
+  }, [sensitivity, bars, width, height]);
+
+  return (
+    <div className="chart-container tornado-chart">
+      <div className="chart-header">
+        <h3>🌪️ Sensitivity Analysis</h3>
+        <p>Which inputs move the own vs rent outcome the most, one at a time, at the end of the horizon</p>
+      </div>
+
+      <div className="tornado-controls">
+        <div className="input-group">
+          <label htmlFor="tornado-relative-shift">Shift Amounts By (±%)</label>
+          <input
+            type="number"
+            id="tornado-relative-shift"
+            value={relativeShift}
+            onChange={(e) => setRelativeShift(Number(e.target.value) || 0)}
+            min="1"
+            max="50"
+            step="1"
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor="tornado-rate-shift">Shift Rates By (± points)</label>
+          <input
+            type="number"
+            id="tornado-rate-shift"
+            value={rateShift}
+            onChange={(e) => setRateShift(Number(e.target.value) || 0)}
+            min="0.25"
+            max="5"
+            step="0.25"
+          />
+        </div>
+      </div>
+
+      {error && <div className="tornado-message">{error}</div>}
+
+      {sensitivity && bars.length === 0 && (
+        <div className="tornado-message">None of the tested inputs change the outcome at these shift sizes.</div>
+      )}
+
+      {bars.length > 0 && (
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${width} ${height}`}
+          style={{ width: '100%', height: 'auto' }}
+          role="img"
+          aria-label="Tornado chart of own minus rent net worth sensitivity to each input"
+        />
+      )}
+    </div>
+  );
+};
+
+export default TornadoChart;
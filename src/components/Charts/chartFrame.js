@@ -0,0 +1,110 @@
+/**
+ * Shared scales, grid, axes and legend for the D3 net worth charts
+ */
+import * as d3 from 'd3';
+import { formatCurrency } from '../../utils/calculations';
+
+/**
+ * Build the currency scale for a set of plotted values, always including zero
+ * @param {number[]} values - Every value drawn on the chart
+ * @param {number} chartHeight - Height of the plot area
+ * @returns {Function} Linear scale from value to y position
+ */
+export const createNetWorthScale = (values, chartHeight) => {
+  const minValue = Math.min(0, d3.min(values));
+  const maxValue = Math.max(0, d3.max(values));
+  return d3.scaleLinear()
+    .domain([minValue * 1.1, maxValue * 1.1])
+    .range([chartHeight, 0]);
+};
+
+/**
+ * Draw the grid, the year and currency axes, and their labels
+ * @param {Object} g - D3 selection of the chart group
+ * @param {Object} frame - Chart layout
+ * @param {Function} frame.xScale - Linear scale for years
+ * @param {Function} frame.yScale - Linear scale for values
+ * @param {number} frame.chartWidth - Width of the plot area
+ * @param {number} frame.chartHeight - Height of the plot area
+ * @param {string} frame.valueLabel - Label for the value axis
+ */
+export const drawNetWorthAxes = (g, { xScale, yScale, chartWidth, chartHeight, valueLabel }) => {
+  g.append('g')
+    .attr('class', 'grid')
+    .attr('transform', `translate(0,${chartHeight})`)
+    .call(d3.axisBottom(xScale).tickSize(-chartHeight).tickFormat(''));
+
+  g.append('g')
+    .attr('class', 'grid')
+    .call(d3.axisLeft(yScale).tickSize(-chartWidth).tickFormat(''));
+
+  g.append('g')
+    .attr('class', 'x-axis')
+    .attr('transform', `translate(0,${chartHeight})`)
+    .call(d3.axisBottom(xScale).tickFormat(d => `Year ${d}`));
+
+  g.append('g')
+    .attr('class', 'y-axis')
+    .call(d3.axisLeft(yScale).tickFormat(d => formatCurrency(d, true)));
+
+  g.append('text')
+    .attr('class', 'axis-label')
+    .attr('text-anchor', 'middle')
+    .attr('x', chartWidth / 2)
+    .attr('y', chartHeight + 45)
+    .text('Years');
+
+  g.append('text')
+    .attr('class', 'axis-label')
+    .attr('text-anchor', 'middle')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -chartHeight / 2)
+    .attr('y', -50)
+    .text(valueLabel);
+};
+
+/**
+ * Draw a legend of line swatches (solid or dashed) and band swatches
+ * @param {Object} g - D3 selection of the chart group
+ * @param {Array<{label: string, color: string, dash?: string, band?: boolean}>} items - Legend entries
+ * @param {number} x - Left edge of the legend
+ * @param {number} y - Top of the legend
+ */
+export const drawLegend = (g, items, x, y) => {
+  const legend = g.append('g')
+    .attr('class', 'legend')
+    .attr('transform', `translate(${x}, ${y})`);
+
+  const legendItem = legend.selectAll('.legend-item')
+    .data(items)
+    .enter()
+    .append('g')
+    .attr('class', 'legend-item')
+    .attr('transform', (d, i) => `translate(0, ${i * 25})`);
+
+  legendItem.filter(d => !d.band)
+    .append('line')
+    .attr('x1', 0)
+    .attr('x2', 20)
+    .attr('y1', 0)
+    .attr('y2', 0)
+    .attr('stroke', d => d.color)
+    .attr('stroke-width', 3)
+    .attr('stroke-dasharray', d => d.dash || null);
+
+  legendItem.filter(d => d.band)
+    .append('rect')
+    .attr('x', 0)
+    .attr('y', -6)
+    .attr('width', 20)
+    .attr('height', 12)
+    .attr('fill', d => d.color)
+    .attr('fill-opacity', 0.3);
+
+  legendItem.append('text')
+    .attr('x', 25)
+    .attr('y', 0)
+    .attr('dy', '0.35em')
+    .attr('class', 'legend-text')
+    .text(d => d.label);
+};
@@ -0,0 +1,39 @@
+/**
+ * Shared helpers for marking events on D3 chart time axes
+ */
+
+/**
+ * Draw a labelled vertical line for each event that falls inside the x domain
+ * @param {Object} g - D3 selection of the chart group
+ * @param {Array<{year: number, label: string}>} markers - Events to mark
+ * @param {Function} xScale - Linear scale for years
+ * @param {number} chartHeight - Height of the plot area
+ */
+export const drawChartMarkers = (g, markers, xScale, chartHeight) => {
+  if (!markers || markers.length === 0) return;
+
+  const [minYear, maxYear] = xScale.domain();
+  const visible = markers.filter(marker => marker.year >= minYear && marker.year <= maxYear);
+
+  const groups = g.selectAll('.chart-marker')
+    .data(visible)
+    .enter()
+    .append('g')
+    .attr('class', 'chart-marker')
+    .attr('transform', d => `translate(${xScale(d.year)},0)`);
+
+  groups.append('line')
+    .attr('y1', 0)
+    .attr('y2', chartHeight)
+    .attr('stroke', '#6b7280')
+    .attr('stroke-width', 1.5)
+    .attr('stroke-dasharray', '4,3');
+
+  // Stagger labels so neighbouring events stay readable
+  groups.append('text')
+    .attr('x', 4)
+    .attr('y', (d, i) => 12 + (i % 3) * 14)
+    .style('font-size', '11px')
+    .style('fill', '#6b7280')
+    .text(d => `${d.label} (yr ${Number.isInteger(d.year) ? d.year : d.year.toFixed(1)})`);
+};
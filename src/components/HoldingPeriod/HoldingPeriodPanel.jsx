@@ -0,0 +1,88 @@
+import React from 'react';
+import HoldingPeriodChart from '../Charts/HoldingPeriodChart';
+import { useHoldingPeriod } from '../../hooks/useHoldingPeriod';
+import { AFTER_SALE_STRATEGIES } from '../../utils/holdingPeriod';
+import { formatCurrency } from '../../utils/calculations';
+import './HoldingPeriodPanel.css';
+
+/**
+ * Holding Period Panel
+ * Buy now, sell after N years and then rent or buy again: the advantage over renting for every N
+ */
+const HoldingPeriodPanel = ({ parameters, onHoldingPeriodChange, realDollars = false }) => {
+  const { curve, error } = useHoldingPeriod(parameters, { realDollars });
+
+  if (!parameters.holdingPeriodEnabled) return null;
+
+  const timeHorizon = Number(parameters.timeHorizon) || 30;
+  const holdingYears = Math.min(timeHorizon, Math.max(1, Math.round(Number(parameters.holdingPeriod) || 1)));
+  const afterSale = AFTER_SALE_STRATEGIES.find(strategy => strategy.id === parameters.afterSaleStrategy) ||
+    AFTER_SALE_STRATEGIES[0];
+
+  const selected = curve ? curve.points.find(point => point.years === holdingYears) : null;
+  const holdToHorizon = curve ? curve.points[curve.points.length - 1] : null;
+  const best = curve
+    ? curve.points.reduce((top, point) => (point.advantage > top.advantage ? point : top))
+    : null;
+
+  const describeAdvantage = (advantage) => `${advantage > 0 ? 'Buy' : 'Rent'} by ${formatCurrency(Math.abs(advantage), true)}`;
+
+  return (
+    <div className="chart-container holding-period-panel">
+      <div className="chart-header">
+        <h3>🚚 Buy, Sell and Move</h3>
+        <p>
+          Net worth advantage over renting at year {timeHorizon} if you sell after each holding period,
+          then {afterSale.id === 'buy' ? 'buy another home' : 'rent and invest the proceeds'}
+          {realDollars && " (today's dollars)"}
+        </p>
+      </div>
+
+      {error && <div className="holding-period-message">{error}</div>}
+
+      {curve && (
+        <>
+          <div className="holding-period-stats">
+            <div className="holding-period-stat">
+              <span className="stat-label">Minimum stay</span>
+              <span className="stat-value">
+                {curve.minimumStay !== null ? `${curve.minimumStay} years` : 'Renting always wins'}
+              </span>
+              <small>Shortest stay where buying beats renting</small>
+            </div>
+            {selected && (
+              <div className="holding-period-stat">
+                <span className="stat-label">Sell after {holdingYears} years</span>
+                <span className={`stat-value ${selected.advantage > 0 ? 'own' : 'rent'}`}>
+                  {describeAdvantage(selected.advantage)}
+                </span>
+                <small>Net worth {formatCurrency(selected.ownNetWorth, true)}</small>
+              </div>
+            )}
+            <div className="holding-period-stat">
+              <span className="stat-label">Best holding period</span>
+              <span className={`stat-value ${best.advantage > 0 ? 'own' : 'rent'}`}>{best.years} years</span>
+              <small>{describeAdvantage(best.advantage)}</small>
+            </div>
+            <div className="holding-period-stat">
+              <span className="stat-label">Hold for all {timeHorizon} years</span>
+              <span className={`stat-value ${holdToHorizon.advantage > 0 ? 'own' : 'rent'}`}>
+                {describeAdvantage(holdToHorizon.advantage)}
+              </span>
+              <small>The main own scenario</small>
+            </div>
+          </div>
+
+          <HoldingPeriodChart
+            points={curve.points}
+            selectedYears={holdingYears}
+            minimumStay={curve.minimumStay}
+            onSelectYears={onHoldingPeriodChange}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HoldingPeriodPanel;
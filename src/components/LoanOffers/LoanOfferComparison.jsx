@@ -0,0 +1,195 @@
+import React from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { useLoanOffers } from '../../hooks/useLoanOffers';
+import { LOAN_OFFER_TYPES, createLoanOffer } from '../../utils/loanOffers';
+import { formatCurrency } from '../../utils/calculations';
+import './LoanOfferComparison.css';
+
+/**
+ * Loan Offer Comparison
+ * Runs the scenario once per mortgage quote and ranks the quotes at the time horizon
+ */
+const LoanOfferComparison = ({ parameters, onOffersChange, realDollars = false }) => {
+  const offers = Array.isArray(parameters.loanOffers) ? parameters.loanOffers : [];
+  const { outcomes, error } = useLoanOffers(parameters, { realDollars });
+
+  const handleAddOffer = () => {
+    onOffersChange([...offers, createLoanOffer(parameters, uuidv4(), `Offer ${offers.length + 1}`)]);
+  };
+
+  const handleRemoveOffer = (offerId) => {
+    onOffersChange(offers.filter(offer => offer.id !== offerId));
+  };
+
+  const handleOfferChange = (offerId, field, value) => {
+    onOffersChange(offers.map(offer => (offer.id === offerId ? { ...offer, [field]: value } : offer)));
+  };
+
+  const handleNumberChange = (offerId, field, value) => {
+    handleOfferChange(offerId, field, parseFloat(value) || 0);
+  };
+
+  return (
+    <div className="chart-container loan-offers">
+      <div className="chart-header">
+        <h3>🏦 Loan Offers</h3>
+        <p>
+          Compare lender quotes on this scenario. Points and lender fees are paid at closing
+          on top of your other closing costs.
+        </p>
+      </div>
+
+      {offers.length > 0 && (
+        <div className="loan-offers-scroll">
+          <table className="loan-offers-inputs">
+            <thead>
+              <tr>
+                <th>Offer</th>
+                <th>Rate (%)</th>
+                <th>Points</th>
+                <th>Lender Fees</th>
+                <th>Term (years)</th>
+                <th>Type</th>
+                <th aria-label="Remove" />
+              </tr>
+            </thead>
+            <tbody>
+              {offers.map(offer => (
+                <tr key={offer.id}>
+                  <td>
+                    <input
+                      type="text"
+                      value={offer.name}
+                      onChange={(e) => handleOfferChange(offer.id, 'name', e.target.value)}
+                      aria-label="Offer name"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={offer.rate || ''}
+                      onChange={(e) => handleNumberChange(offer.id, 'rate', e.target.value)}
+                      min="0"
+                      max="50"
+                      step="0.01"
+                      aria-label="Interest rate"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={offer.points || ''}
+                      onChange={(e) => handleNumberChange(offer.id, 'points', e.target.value)}
+                      placeholder="0"
+                      min="0"
+                      max="10"
+                      step="0.125"
+                      aria-label="Discount points"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={offer.lenderFees || ''}
+                      onChange={(e) => handleNumberChange(offer.id, 'lenderFees', e.target.value)}
+                      placeholder="0"
+                      min="0"
+                      step="100"
+                      aria-label="Lender fees"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={offer.term || ''}
+                      onChange={(e) => handleNumberChange(offer.id, 'term', e.target.value)}
+                      min="1"
+                      max="50"
+                      step="1"
+                      aria-label="Loan term"
+                    />
+                  </td>
+                  <td>
+                    <select
+                      value={offer.type}
+                      onChange={(e) => handleOfferChange(offer.id, 'type', e.target.value)}
+                      aria-label="Loan type"
+                    >
+                      {LOAN_OFFER_TYPES.map(type => (
+                        <option key={type.id} value={type.id}>{type.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="remove-offer"
+                      onClick={() => handleRemoveOffer(offer.id)}
+                      title="Remove offer"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button type="button" className="btn btn-secondary add-offer" onClick={handleAddOffer}>
+        ➕ Add Offer
+      </button>
+
+      {error && <div className="loan-offers-message">{error}</div>}
+
+      {outcomes.length > 0 && (
+        <div className="loan-offers-scroll">
+          <table className="loan-offers-results">
+            <thead>
+              <tr>
+                <th>Offer</th>
+                <th>Points + Fees</th>
+                <th>Monthly P&I</th>
+                <th>Interest ({parameters.timeHorizon} yrs)</th>
+                <th>Total Cost</th>
+                <th>Net Worth (if sold)</th>
+                <th>Points Break-even</th>
+              </tr>
+            </thead>
+            <tbody>
+              {outcomes.map(outcome => (
+                <tr key={outcome.offer.id}>
+                  <td>{outcome.offer.name}</td>
+                  <td>{formatCurrency(outcome.upfrontCost)}</td>
+                  <td>{formatCurrency(outcome.monthlyPayment)}</td>
+                  <td>{formatCurrency(outcome.interestPaid)}</td>
+                  <td>
+                    {formatCurrency(outcome.totalCost)}
+                    <span className={`offer-rank ${outcome.costRank === 1 ? 'best' : ''}`}>#{outcome.costRank}</span>
+                  </td>
+                  <td>
+                    {formatCurrency(outcome.netWorthIfSold)}
+                    <span className={`offer-rank ${outcome.netWorthRank === 1 ? 'best' : ''}`}>#{outcome.netWorthRank}</span>
+                  </td>
+                  <td>
+                    {outcome.isReference && 'Baseline'}
+                    {!outcome.isReference && (outcome.breakEvenMonths !== null
+                      ? `${outcome.breakEvenMonths} months`
+                      : '—')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <small className="loan-offers-note">
+            Total cost and net worth are at year {parameters.timeHorizon}{realDollars && " in today's dollars"}.
+            Break-even compares each offer with the one that costs least upfront.
+          </small>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoanOfferComparison;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { formatCurrency } from '../../utils/calculations';
+import { formatParameterValue } from '../../utils/scenarioComparison';
+import { useScenarioComparison } from '../../hooks/useScenarioComparison';
+import ScenarioComparisonChart from '../Charts/ScenarioComparisonChart';
+import './ScenarioComparison.css';
+
+/**
+ * Headline metrics shown in one column per scenario
+ */
+const SUMMARY_METRICS = [
+  { label: 'Own + Invest (if sold)', value: outcome => formatCurrency(outcome.ownNetWorthIfSold) },
+  { label: 'Rent + Invest (after tax)', value: outcome => formatCurrency(outcome.rentNetWorthIfSold) },
+  {
+    label: 'Advantage',
+    value: outcome => `${outcome.recommendation === 'own' ? 'Own' : 'Rent'} by ${formatCurrency(Math.abs(outcome.difference))}`
+  },
+  {
+    label: 'Break-even',
+    value: outcome => outcome.breakEvenPoint !== null ? `${outcome.breakEvenPoint.toFixed(1)} years` : 'Never'
+  },
+  { label: 'Mortgage payment', value: outcome => `${formatCurrency(outcome.monthlyMortgagePayment)}/mo` },
+  { label: 'Housing cost (first month)', value: outcome => `${formatCurrency(outcome.monthlyHousingCost)}/mo` },
+  { label: 'Total ownership costs', value: outcome => formatCurrency(outcome.ownTotalCosts) },
+  { label: 'Total rent paid', value: outcome => formatCurrency(outcome.rentTotalCosts) }
+];
+
+/**
+ * Scenario Comparison
+ * Puts two or more saved scenarios side by side: summary metrics, overlaid net worth and a parameter diff
+ */
+const ScenarioComparison = ({ scenarios, realDollars, onClose }) => {
+  const [changedOnly, setChangedOnly] = useState(true);
+  const { comparison, error } = useScenarioComparison(scenarios, { realDollars });
+
+  if (!comparison && !error) return null;
+
+  const rows = comparison ? comparison.rows.filter(row => !changedOnly || row.changed) : [];
+
+  return (
+    <div className="chart-container scenario-comparison">
+      <div className="chart-header scenario-comparison-header">
+        <div>
+          <h3>⚖️ Scenario Comparison</h3>
+          <p>Saved scenarios side by side{realDollars ? ", in today's dollars" : ''}</p>
+        </div>
+        <button type="button" className="btn btn-secondary btn-small" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <div className="scenario-comparison-message">{error}</div>}
+
+      {comparison && (
+        <>
+          <div className="scenario-comparison-scroll">
+            <table className="scenario-comparison-table">
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  {comparison.scenarios.map(scenario => (
+                    <th key={scenario.id}>
+                      <span className="scenario-swatch" style={{ background: scenario.color }} />
+                      {scenario.name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {SUMMARY_METRICS.map(metric => (
+                  <tr key={metric.label}>
+                    <td>{metric.label}</td>
+                    {comparison.scenarios.map(scenario => (
+                      <td
+                        key={scenario.id}
+                        className={metric.label === 'Advantage' ? scenario.outcome.recommendation : ''}
+                      >
+                        {metric.value(scenario.outcome)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <ScenarioComparisonChart
+            scenarios={comparison.scenarios}
+            valueLabel={realDollars ? "Net Worth (today's dollars)" : 'Net Worth'}
+          />
+
+          <div className="scenario-diff-header">
+            <h4>Inputs</h4>
+            <label className="toggle-label">
+              <input
+                type="checkbox"
+                checked={changedOnly}
+                onChange={(e) => setChangedOnly(e.target.checked)}
+              />
+              Only show inputs that differ
+            </label>
+          </div>
+
+          {rows.length === 0 ? (
+            <div className="scenario-comparison-message">These scenarios use identical inputs.</div>
+          ) : (
+            <div className="scenario-comparison-scroll">
+              <table className="scenario-comparison-table scenario-diff-table">
+                <thead>
+                  <tr>
+                    <th>Input</th>
+                    {comparison.scenarios.map(scenario => (
+                      <th key={scenario.id}>{scenario.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.key} className={row.changed ? 'changed' : ''}>
+                      <td>{row.label}</td>
+                      {row.values.map((value, index) => (
+                        <td key={comparison.scenarios[index].id}>{formatParameterValue(value)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  IMPORT_ACTIONS,
+  isEncryptedBundle,
+  readScenarioBundle,
+  planScenarioImport
+} from '../../utils/scenarioBundle';
+import { validateParameters } from '../../utils/parameters';
+import { defaultParameters } from '../../data/presetTemplates';
+
+/**
+ * Validate imported inputs the same way the calculator does, filling gaps with defaults
+ */
+const validateImportedParameters = (parameters) => validateParameters({ ...defaultParameters, ...parameters });
+
+/**
+ * Actions that make sense for an entry: invalid entries can only be skipped,
+ * duplicates can replace the existing scenario or sit next to it
+ */
+const getAvailableActions = (entry) => {
+  if (!entry.scenario || Object.keys(entry.errors).length > 0) return ['skip'];
+  if (entry.duplicateOf) return ['replace', 'keepBoth', 'skip'];
+  return ['import', 'skip'];
+};
+
+/**
+ * Import Dialog
+ * Previews an exported file (unlocking it first if encrypted), then merges the chosen entries
+ */
+const ImportDialog = ({ fileName, bundle, existingScenarios, onImport, onClose }) => {
+  const encrypted = isEncryptedBundle(bundle);
+  const [passphrase, setPassphrase] = useState('');
+  const [entries, setEntries] = useState(null);
+  const [verified, setVerified] = useState(false);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadEntries = useCallback(async (bundlePassphrase) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const contents = await readScenarioBundle(bundle, { passphrase: bundlePassphrase });
+      if (!Array.isArray(contents.scenarios)) {
+        throw new Error('This file does not contain a list of scenarios');
+      }
+      setVerified(contents.verified);
+      setEntries(await planScenarioImport(contents.scenarios, existingScenarios, validateImportedParameters));
+    } catch (loadError) {
+      console.error('Import error:', loadError);
+      setError(loadError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }, [bundle, existingScenarios]);
+
+  // Unencrypted files can be previewed straight away
+  useEffect(() => {
+    if (!encrypted && !entries) loadEntries();
+  }, [encrypted, entries, loadEntries]);
+
+  const setEntryAction = (key, action) => {
+    setEntries(current => current.map(entry => (entry.key === key ? { ...entry, action } : entry)));
+  };
+
+  const selectedCount = entries ? entries.filter(entry => entry.action !== 'skip').length : 0;
+
+  return (
+    <div className="save-dialog">
+      <div className="dialog-content import-dialog">
+        <h4>Import Scenarios</h4>
+        <p className="import-file-name">
+          {fileName}
+          {entries && (verified ? ' · checksum verified' : ' · older export without a checksum')}
+        </p>
+
+        {encrypted && !entries && (
+          <form
+            className="input-group"
+            onSubmit={(e) => {
+              e.preventDefault();
+              loadEntries(passphrase);
+            }}
+          >
+            <label htmlFor="import-passphrase">This file is encrypted. Passphrase:</label>
+            <input
+              type="password"
+              id="import-passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoFocus
+            />
+          </form>
+        )}
+
+        {error && <div className="share-message error">{error}</div>}
+        {isBusy && <p className="import-status">Reading file…</p>}
+
+        {entries && entries.length === 0 && <p className="import-status">This file contains no scenarios.</p>}
+
+        {entries && entries.length > 0 && (
+          <div className="import-preview">
+            <table>
+              <thead>
+                <tr>
+                  <th>Scenario</th>
+                  <th>Status</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => {
+                  const errorMessages = Object.values(entry.errors);
+                  return (
+                    <tr key={entry.key} className={errorMessages.length > 0 ? 'invalid' : ''}>
+                      <td>{entry.name}</td>
+                      <td>
+                        {errorMessages.length > 0 ? (
+                          <ul className="import-errors">
+                            {errorMessages.map(message => <li key={message}>{message}</li>)}
+                          </ul>
+                        ) : entry.duplicateOf ? (
+                          `Same inputs as "${entry.duplicateOf.name}"`
+                        ) : (
+                          'New'
+                        )}
+                      </td>
+                      <td>
+                        <select
+                          value={entry.action}
+                          onChange={(e) => setEntryAction(entry.key, e.target.value)}
+                          disabled={getAvailableActions(entry).length === 1}
+                          aria-label={`Import action for ${entry.name}`}
+                        >
+                          {getAvailableActions(entry).map(action => (
+                            <option key={action} value={action}>{IMPORT_ACTIONS[action]}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="dialog-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          {encrypted && !entries ? (
+            <button className="btn btn-primary" onClick={() => loadEntries(passphrase)} disabled={!passphrase || isBusy}>
+              Unlock
+            </button>
+          ) : (
+            <button
+              className="btn btn-primary"
+              onClick={() => onImport(entries)}
+              disabled={!entries || selectedCount === 0}
+            >
+              Import {selectedCount > 0 ? `(${selectedCount})` : ''}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
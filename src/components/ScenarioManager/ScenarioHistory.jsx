@@ -0,0 +1,96 @@
+import React, { useState, useMemo } from 'react';
+import { buildParameterDiff, formatParameterValue } from '../../utils/scenarioComparison';
+import { getScenarioVersions } from '../../utils/scenarioStore';
+import { defaultParameters } from '../../data/presetTemplates';
+
+/**
+ * Scenario History
+ * Lists a scenario's versions, diffs any two of them and restores earlier ones
+ */
+const ScenarioHistory = ({ scenario, onRestoreVersion, formatDate }) => {
+  const versions = useMemo(() => getScenarioVersions(scenario), [scenario]);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState('current');
+
+  // Default to comparing the previous version with the current one
+  const fromVersion = versions.find(version => version.id === fromId) || versions[Math.max(0, versions.length - 2)];
+  const toVersion = versions.find(version => version.id === toId) || versions[versions.length - 1];
+
+  const changes = useMemo(() => (
+    buildParameterDiff([
+      { ...defaultParameters, ...fromVersion.parameters },
+      { ...defaultParameters, ...toVersion.parameters }
+    ]).filter(row => row.changed)
+  ), [fromVersion, toVersion]);
+
+  const versionLabel = (version, index) => (
+    `v${index + 1} · ${formatDate(version.savedAt)}${version.current ? ' (current)' : ''}`
+  );
+
+  return (
+    <div className="scenario-history">
+      <ol className="version-list" reversed>
+        {[...versions].reverse().map(version => {
+          const index = versions.indexOf(version);
+          return (
+            <li key={version.id} className={version.current ? 'current' : ''}>
+              <div className="version-info">
+                <span className="version-label">{versionLabel(version, index)}</span>
+                {version.note && <span className="version-note">{version.note}</span>}
+              </div>
+              {!version.current && (
+                <button
+                  className="btn btn-small btn-secondary"
+                  onClick={() => {
+                    if (window.confirm(`Restore v${index + 1} of "${scenario.name}"? The current inputs stay in the history.`)) {
+                      onRestoreVersion(version.id);
+                    }
+                  }}
+                >
+                  Restore
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {versions.length > 1 && (
+        <div className="version-diff">
+          <div className="version-diff-controls">
+            <select value={fromVersion.id} onChange={(e) => setFromId(e.target.value)} aria-label="Compare from version">
+              {versions.map((version, index) => (
+                <option key={version.id} value={version.id}>{versionLabel(version, index)}</option>
+              ))}
+            </select>
+            <span>→</span>
+            <select value={toVersion.id} onChange={(e) => setToId(e.target.value)} aria-label="Compare to version">
+              {versions.map((version, index) => (
+                <option key={version.id} value={version.id}>{versionLabel(version, index)}</option>
+              ))}
+            </select>
+          </div>
+
+          {changes.length === 0 ? (
+            <p className="version-diff-empty">No input changes between these versions.</p>
+          ) : (
+            <table className="version-diff-table">
+              <tbody>
+                {changes.map(row => (
+                  <tr key={row.key}>
+                    <td>{row.label}</td>
+                    <td>{formatParameterValue(row.values[0])}</td>
+                    <td>→</td>
+                    <td>{formatParameterValue(row.values[1])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioHistory;
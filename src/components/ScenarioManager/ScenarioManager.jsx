@@ -1,6 +1,12 @@
 import React, { useState } from 'react';
-import { v4 as uuidv4 } from 'uuid';
 import { useURLParams } from '../../hooks/useURLParams';
+import { MAX_COMPARED_SCENARIOS } from '../../utils/scenarioComparison';
+import { createScenario } from '../../utils/scenarioStore';
+import { createScenarioBundle } from '../../utils/scenarioBundle';
+import { defaultParameters } from '../../data/presetTemplates';
+import ScenarioHistory from './ScenarioHistory';
+import ImportDialog from './ImportDialog';
+import SharedLinkBanner from './SharedLinkBanner';
 import './ScenarioManager.css';
 
 /**
@@ -10,15 +16,32 @@ import './ScenarioManager.css';
 const ScenarioManager = ({ 
   parameters, 
   scenarios, 
+  isLoading = false,
+  storageError,
   onSaveScenario, 
   onLoadScenario, 
-  onDeleteScenario 
+  onDeleteScenario,
+  onUpdateScenario,
+  onRenameScenario,
+  onDuplicateScenario,
+  onRestoreVersion,
+  onImportScenarios,
+  comparedScenarioIds = [],
+  onToggleCompare,
+  onClearComparison,
+  sharedLink,
+  onSaveSharedLink,
+  onDismissSharedLink
 }) => {
   const [showSaveDialog, setShowSaveDialog] = useState(false);
   const [scenarioName, setScenarioName] = useState('');
   const [shareMessage, setShareMessage] = useState('');
+  const [historyScenarioId, setHistoryScenarioId] = useState(null);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [transferMessage, setTransferMessage] = useState(null);
   
-  const { generateShareURL, copyShareURL } = useURLParams();
+  const { copyShareURL } = useURLParams(defaultParameters);
 
   const handleSaveScenario = () => {
     if (!scenarioName.trim()) {
@@ -26,24 +49,72 @@ const ScenarioManager = ({
       return;
     }
 
-    const scenario = {
-      id: uuidv4(),
-      name: scenarioName.trim(),
-      parameters: { ...parameters },
-      createdAt: new Date().toISOString(),
-      lastModified: new Date().toISOString()
-    };
-
-    onSaveScenario(scenario);
+    onSaveScenario(createScenario(scenarioName.trim(), parameters));
     setScenarioName('');
     setShowSaveDialog(false);
   };
 
-  const handleShareScenario = async () => {
-    const result = await copyShareURL(parameters);
+  const handleUpdateScenario = (scenario) => {
+    const note = window.prompt(
+      `Replace "${scenario.name}" with the current inputs? The previous inputs stay in its history.\n\nOptional note for this version:`,
+      ''
+    );
+    if (note === null) return;
+    onUpdateScenario(scenario.id, note);
+  };
+
+  const handleRenameScenario = (scenario) => {
+    const name = window.prompt('Rename scenario:', scenario.name);
+    if (name === null || !name.trim()) return;
+    onRenameScenario(scenario.id, name.trim().slice(0, 50));
+  };
+
+  const showTransferMessage = (text, type) => {
+    setTransferMessage({ text, type });
+    setTimeout(() => setTransferMessage(null), 5000);
+  };
+
+  const handleExport = async () => {
+    try {
+      await exportScenarios(scenarios, exportPassphrase);
+      setExportPassphrase('');
+    } catch (error) {
+      console.error('Export error:', error);
+      showTransferMessage('Export failed. Please try again.', 'error');
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Reset file input
+    if (!file) return;
+
+    try {
+      setImportFile({ name: file.name, bundle: await readImportFile(file) });
+    } catch (error) {
+      showTransferMessage(error.message, 'error');
+    }
+  };
+
+  const handleImport = async (entries) => {
+    const counts = await onImportScenarios(entries);
+    setImportFile(null);
+    // Storage failures are reported through storageError
+    if (!counts) return;
+
+    const parts = [
+      counts.import + counts.keepBoth > 0 && `${counts.import + counts.keepBoth} imported`,
+      counts.replace > 0 && `${counts.replace} replaced`,
+      counts.skip > 0 && `${counts.skip} skipped`
+    ].filter(Boolean);
+    showTransferMessage(`Import finished: ${parts.join(', ')}.`, 'success');
+  };
+
+  const copyLink = async (content, successMessage) => {
+    const result = await copyShareURL(content);
     
     if (result.success) {
-      setShareMessage('Share URL copied to clipboard!');
+      setShareMessage(successMessage);
       setTimeout(() => setShareMessage(''), 3000);
     } else {
       setShareMessage('Failed to copy URL. Please try again.');
@@ -51,6 +122,21 @@ const ScenarioManager = ({
     }
   };
 
+  const handleShareScenario = () => copyLink({ parameters }, 'Share URL copied to clipboard!');
+
+  const handleShareSavedScenario = (scenario) => copyLink(
+    { name: scenario.name, parameters: scenario.parameters },
+    `Link to "${scenario.name}" copied to clipboard!`
+  );
+
+  const handleShareComparison = () => {
+    const compared = scenarios.filter(scenario => comparedScenarioIds.includes(scenario.id));
+    copyLink(
+      { scenarios: compared.map(scenario => ({ name: scenario.name, parameters: scenario.parameters })) },
+      `Link to the comparison of ${compared.length} scenarios copied to clipboard!`
+    );
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -81,6 +167,14 @@ const ScenarioManager = ({
         </div>
       </div>
 
+      {sharedLink && (
+        <SharedLinkBanner sharedLink={sharedLink} onSave={onSaveSharedLink} onDismiss={onDismissSharedLink} />
+      )}
+
+      {storageError && (
+        <div className="share-message error">Saved scenarios: {storageError}</div>
+      )}
+
       {shareMessage && (
         <div className={`share-message ${shareMessage.includes('copied') ? 'success' : 'error'}`}>
           {shareMessage}
@@ -129,46 +223,120 @@ const ScenarioManager = ({
           <h4>Saved Scenarios ({scenarios.length})</h4>
           <div className="scenarios-list">
             {scenarios.map(scenario => (
-              <div key={scenario.id} className="scenario-item">
-                <div className="scenario-info">
-                  <div className="scenario-name">{scenario.name}</div>
-                  <div className="scenario-meta">
-                    <span className="scenario-date">
-                      Saved: {formatDate(scenario.createdAt)}
-                    </span>
-                    <span className="scenario-preview">
-                      ${(scenario.parameters.homePrice || 0).toLocaleString()} home, 
-                      {scenario.parameters.timeHorizon || 0} years
-                    </span>
+              <React.Fragment key={scenario.id}>
+                <div className="scenario-item">
+                  <div className="scenario-info">
+                    <div className="scenario-name">{scenario.name}</div>
+                    <div className="scenario-meta">
+                      <span className="scenario-date">
+                        Saved: {formatDate(scenario.createdAt)}
+                        {scenario.lastModified !== scenario.createdAt && ` · Updated: ${formatDate(scenario.lastModified)}`}
+                      </span>
+                      <span className="scenario-preview">
+                        ${(scenario.parameters.homePrice || 0).toLocaleString()} home, 
+                        {scenario.parameters.timeHorizon || 0} years
+                      </span>
+                    </div>
+                  </div>
+                  <div className="scenario-actions">
+                    <label className="scenario-compare-toggle" title="Include in the side-by-side comparison">
+                      <input
+                        type="checkbox"
+                        checked={comparedScenarioIds.includes(scenario.id)}
+                        disabled={
+                          !comparedScenarioIds.includes(scenario.id) &&
+                          comparedScenarioIds.length >= MAX_COMPARED_SCENARIOS
+                        }
+                        onChange={() => onToggleCompare(scenario.id)}
+                      />
+                      Compare
+                    </label>
+                    <button
+                      className="btn btn-small btn-primary"
+                      onClick={() => onLoadScenario(scenario)}
+                      title="Load this scenario"
+                    >
+                      📂 Load
+                    </button>
+                    <button
+                      className="btn btn-small btn-secondary"
+                      onClick={() => handleUpdateScenario(scenario)}
+                      title="Save the current inputs to this scenario"
+                    >
+                      💾
+                    </button>
+                    <button
+                      className="btn btn-small btn-secondary"
+                      onClick={() => handleRenameScenario(scenario)}
+                      title="Rename this scenario"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      className="btn btn-small btn-secondary"
+                      onClick={() => handleShareSavedScenario(scenario)}
+                      title="Copy a link to this scenario"
+                    >
+                      🔗
+                    </button>
+                    <button
+                      className="btn btn-small btn-secondary"
+                      onClick={() => onDuplicateScenario(scenario.id)}
+                      title="Duplicate this scenario"
+                    >
+                      ⧉
+                    </button>
+                    <button
+                      className={`btn btn-small btn-secondary${historyScenarioId === scenario.id ? ' active' : ''}`}
+                      onClick={() => setHistoryScenarioId(historyScenarioId === scenario.id ? null : scenario.id)}
+                      title="Show version history"
+                    >
+                      🕘 {scenario.versions.length + 1}
+                    </button>
+                    <button
+                      className="btn btn-small btn-danger"
+                      onClick={() => {
+                        if (window.confirm(`Delete scenario "${scenario.name}"?`)) {
+                          onDeleteScenario(scenario.id);
+                        }
+                      }}
+                      title="Delete this scenario"
+                    >
+                      🗑️
+                    </button>
                   </div>
                 </div>
-                <div className="scenario-actions">
-                  <button
-                    className="btn btn-small btn-primary"
-                    onClick={() => onLoadScenario(scenario)}
-                    title="Load this scenario"
-                  >
-                    📂 Load
-                  </button>
-                  <button
-                    className="btn btn-small btn-danger"
-                    onClick={() => {
-                      if (window.confirm(`Delete scenario "${scenario.name}"?`)) {
-                        onDeleteScenario(scenario.id);
-                      }
-                    }}
-                    title="Delete this scenario"
-                  >
-                    🗑️
-                  </button>
-                </div>
-              </div>
+                {historyScenarioId === scenario.id && (
+                  <ScenarioHistory
+                    scenario={scenario}
+                    onRestoreVersion={(versionId) => onRestoreVersion(scenario.id, versionId)}
+                    formatDate={formatDate}
+                  />
+                )}
+              </React.Fragment>
             ))}
           </div>
+          {comparedScenarioIds.length > 0 && (
+            <div className="compare-actions">
+              <span>
+                {comparedScenarioIds.length < 2
+                  ? 'Select one more scenario to compare'
+                  : `Comparing ${comparedScenarioIds.length} scenarios`}
+              </span>
+              {comparedScenarioIds.length >= 2 && (
+                <button className="btn btn-small btn-secondary" onClick={handleShareComparison}>
+                  🔗 Share
+                </button>
+              )}
+              <button className="btn btn-small btn-secondary" onClick={onClearComparison}>
+                Clear
+              </button>
+            </div>
+          )}
         </div>
       )}
 
-      {scenarios.length === 0 && (
+      {!isLoading && scenarios.length === 0 && (
         <div className="empty-state">
           <div className="empty-icon">📋</div>
           <div className="empty-text">
@@ -180,10 +348,21 @@ const ScenarioManager = ({
 
       <div className="export-import">
         <h4>Export & Import</h4>
+        <div className="export-passphrase">
+          <label htmlFor="export-passphrase">Passphrase (optional, encrypts the export)</label>
+          <input
+            type="password"
+            id="export-passphrase"
+            value={exportPassphrase}
+            onChange={(e) => setExportPassphrase(e.target.value)}
+            autoComplete="new-password"
+          />
+        </div>
         <div className="export-buttons">
           <button 
             className="btn btn-outline"
-            onClick={() => exportScenarios(scenarios)}
+            onClick={handleExport}
+            disabled={scenarios.length === 0}
           >
             📤 Export All
           </button>
@@ -192,68 +371,60 @@ const ScenarioManager = ({
             <input
               type="file"
               accept=".json"
-              onChange={(e) => handleImportScenarios(e, onSaveScenario)}
+              onChange={handleImportFile}
               style={{ display: 'none' }}
             />
           </label>
         </div>
+        {transferMessage && (
+          <div className={`share-message ${transferMessage.type}`}>{transferMessage.text}</div>
+        )}
       </div>
+
+      {importFile && (
+        <ImportDialog
+          fileName={importFile.name}
+          bundle={importFile.bundle}
+          existingScenarios={scenarios}
+          onImport={handleImport}
+          onClose={() => setImportFile(null)}
+        />
+      )}
     </div>
   );
 };
 
 /**
- * Export scenarios to JSON file
+ * Export scenarios to a bundle file, encrypted when a passphrase is given
  */
-const exportScenarios = (scenarios) => {
-  const dataStr = JSON.stringify(scenarios, null, 2);
+const exportScenarios = async (scenarios, passphrase) => {
+  const bundle = await createScenarioBundle(scenarios, { passphrase });
+  const dataStr = JSON.stringify(bundle, null, 2);
   const dataBlob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
   
   const link = document.createElement('a');
   link.href = url;
-  link.download = `own-vs-rent-scenarios-${new Date().toISOString().split('T')[0]}.json`;
+  link.download = `own-vs-rent-scenarios-${new Date().toISOString().split('T')[0]}${passphrase ? '-encrypted' : ''}.json`;
   link.click();
   
   URL.revokeObjectURL(url);
 };
 
 /**
- * Import scenarios from JSON file
+ * Read an import file as parsed JSON
  */
-const handleImportScenarios = (event, onSaveScenario) => {
-  const file = event.target.files[0];
-  if (!file) return;
-
+const readImportFile = (file) => new Promise((resolve, reject) => {
   const reader = new FileReader();
   reader.onload = (e) => {
     try {
-      const importedScenarios = JSON.parse(e.target.result);
-      
-      if (Array.isArray(importedScenarios)) {
-        importedScenarios.forEach(scenario => {
-          // Validate scenario structure
-          if (scenario.name && scenario.parameters) {
-            const newScenario = {
-              ...scenario,
-              id: uuidv4(), // Generate new ID to avoid conflicts
-              lastModified: new Date().toISOString()
-            };
-            onSaveScenario(newScenario);
-          }
-        });
-        alert(`Successfully imported ${importedScenarios.length} scenarios!`);
-      } else {
-        throw new Error('Invalid file format');
-      }
-    } catch (error) {
-      alert('Error importing scenarios. Please check the file format.');
-      console.error('Import error:', error);
+      resolve(JSON.parse(e.target.result));
+    } catch {
+      reject(new Error('This file is not valid JSON'));
     }
   };
-  
+  reader.onerror = () => reject(new Error('The file could not be read'));
   reader.readAsText(file);
-  event.target.value = ''; // Reset file input
-};
+});
 
 export default ScenarioManager;
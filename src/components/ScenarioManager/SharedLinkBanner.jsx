@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * Shared Link Banner
+ * Offers to save a named scenario or a comparison set opened from a share link
+ */
+const SharedLinkBanner = ({ sharedLink, onSave, onDismiss }) => {
+  if (sharedLink.error) {
+    return (
+      <div className="shared-link-banner error">
+        <span>{sharedLink.error}</span>
+        <button className="btn btn-small btn-secondary" onClick={onDismiss}>
+          Dismiss
+        </button>
+      </div>
+    );
+  }
+
+  const isComparison = Boolean(sharedLink.scenarios);
+
+  return (
+    <div className="shared-link-banner">
+      <span>
+        {isComparison
+          ? `Shared comparison: ${sharedLink.scenarios.map(scenario => scenario.name || 'Untitled').join(', ')}`
+          : `Shared scenario: ${sharedLink.name}`}
+      </span>
+      <div className="shared-link-actions">
+        <button className="btn btn-small btn-primary" onClick={onSave}>
+          {isComparison ? 'Save & compare' : 'Save to my scenarios'}
+        </button>
+        <button className="btn btn-small btn-secondary" onClick={onDismiss}>
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SharedLinkBanner;
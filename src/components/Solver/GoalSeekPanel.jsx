@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { SOLVER_TARGETS } from '../../utils/goalSeek';
+import { formatCurrency, formatPercentage } from '../../utils/calculations';
+import { useCalculationJob } from '../../hooks/useCalculationJob';
+import './GoalSeekPanel.css';
+
+/**
+ * Format a solver value the way its input is entered
+ */
+const formatTargetValue = (target, value) => (
+  target.format === 'currency' ? formatCurrency(value) : formatPercentage(value, 2)
+);
+
+/**
+ * Round a solution to the precision its input uses
+ */
+const roundTargetValue = (target, value) => (
+  target.format === 'currency' ? Math.round(value) : Math.round(value * 100) / 100
+);
+
+/**
+ * Goal Seek Panel
+ * Finds the value of one input where owning and renting end up with the same net worth
+ */
+const GoalSeekPanel = ({ parameters, onApply }) => {
+  const [field, setField] = useState('monthlyRent');
+  const [year, setYear] = useState('');
+  // The solve in progress or last solved, run in the calculation worker
+  const [request, setRequest] = useState(null);
+  const { result, isLoading, error } = useCalculationJob(request ? 'goalSeek' : null, request);
+  const solution = isLoading ? null : result;
+
+  const timeHorizon = Number(parameters.timeHorizon) || 30;
+  const target = SOLVER_TARGETS.find(item => item.id === field);
+
+  // Any change to the inputs makes the last solution stale and cancels a solve in progress
+  useEffect(() => {
+    setRequest(null);
+  }, [parameters, field, year]);
+
+  const handleSolve = () => {
+    setRequest({ params: parameters, field, year: Number(year) || timeHorizon });
+  };
+
+  const handleApply = () => {
+    onApply(field, roundTargetValue(target, solution.value));
+  };
+
+  return (
+    <div className="chart-container goal-seek-panel">
+      <div className="chart-header">
+        <h3>🎯 What Would It Take?</h3>
+        <p>Find the value of one input where owning and renting come out even, after selling</p>
+      </div>
+
+      <div className="goal-seek-controls">
+        <div className="input-group">
+          <label htmlFor="goal-seek-field">Solve For</label>
+          <select id="goal-seek-field" value={field} onChange={(e) => setField(e.target.value)}>
+            {SOLVER_TARGETS.map(item => (
+              <option key={item.id} value={item.id}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="input-group">
+          <label htmlFor="goal-seek-year">Equal At Year</label>
+          <input
+            type="number"
+            id="goal-seek-year"
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            placeholder={String(timeHorizon)}
+            min="1"
+            max={timeHorizon}
+            step="1"
+          />
+        </div>
+
+        <button type="button" className="btn btn-primary" onClick={handleSolve} disabled={isLoading}>
+          {isLoading ? 'Solving…' : 'Solve'}
+        </button>
+      </div>
+
+      {error && <div className="goal-seek-message">{error}</div>}
+
+      {solution && !solution.found && (
+        <div className="goal-seek-message">
+          No {target.label.toLowerCase()} in the searched range makes owning and renting equal at year {solution.year}.
+          {solution.currentGap > 0 ? ' Owning stays ahead throughout.' : ' Renting stays ahead throughout.'}
+        </div>
+      )}
+
+      {solution && solution.found && (
+        <div className="goal-seek-result">
+          <div className="goal-seek-values">
+            <div className="goal-seek-value">
+              <span className="value-label">Current {target.label.toLowerCase()}</span>
+              <span className="value-amount">{formatTargetValue(target, solution.currentValue)}</span>
+              <small>
+                {solution.currentGap > 0 ? 'Own' : 'Rent'} ahead by {formatCurrency(Math.abs(solution.currentGap))} at year {solution.year}
+              </small>
+            </div>
+            <span className="goal-seek-arrow">→</span>
+            <div className="goal-seek-value solved">
+              <span className="value-label">Break-even {target.label.toLowerCase()}</span>
+              <span className="value-amount">{formatTargetValue(target, solution.value)}</span>
+              <small>Owning and renting tie at year {solution.year}</small>
+            </div>
+          </div>
+          <button type="button" className="btn btn-secondary" onClick={handleApply}>
+            Apply {formatTargetValue(target, roundTargetValue(target, solution.value))}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalSeekPanel;
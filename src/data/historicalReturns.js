@@ -0,0 +1,73 @@
+/**
+ * Bundled historical market and housing data for backtesting.
+ *
+ * Annual figures (percentages), rounded, compiled offline from public sources:
+ * - stockReturn: S&P 500 total return including reinvested dividends
+ * - homePriceChange: US national home price index, year-over-year change
+ * - mortgageRate: 30-year fixed mortgage rate, annual average
+ * - inflation: CPI-U, December to December change
+ */
+
+export const historicalReturns = [
+  { year: 1972, stockReturn: 18.76, homePriceChange: 5.5, mortgageRate: 7.38, inflation: 3.4 },
+  { year: 1973, stockReturn: -14.31, homePriceChange: 8.6, mortgageRate: 8.04, inflation: 8.7 },
+  { year: 1974, stockReturn: -25.90, homePriceChange: 9.9, mortgageRate: 9.19, inflation: 12.3 },
+  { year: 1975, stockReturn: 37.00, homePriceChange: 7.9, mortgageRate: 9.05, inflation: 6.9 },
+  { year: 1976, stockReturn: 23.83, homePriceChange: 8.6, mortgageRate: 8.87, inflation: 4.9 },
+  { year: 1977, stockReturn: -6.98, homePriceChange: 13.4, mortgageRate: 8.85, inflation: 6.7 },
+  { year: 1978, stockReturn: 6.51, homePriceChange: 14.9, mortgageRate: 9.64, inflation: 9.0 },
+  { year: 1979, stockReturn: 18.52, homePriceChange: 13.4, mortgageRate: 11.20, inflation: 13.3 },
+  { year: 1980, stockReturn: 31.74, homePriceChange: 8.8, mortgageRate: 13.74, inflation: 12.5 },
+  { year: 1981, stockReturn: -4.70, homePriceChange: 5.5, mortgageRate: 16.63, inflation: 8.9 },
+  { year: 1982, stockReturn: 20.42, homePriceChange: 2.8, mortgageRate: 16.04, inflation: 3.8 },
+  { year: 1983, stockReturn: 22.34, homePriceChange: 3.8, mortgageRate: 13.24, inflation: 3.8 },
+  { year: 1984, stockReturn: 6.15, homePriceChange: 3.8, mortgageRate: 13.88, inflation: 3.9 },
+  { year: 1985, stockReturn: 31.24, homePriceChange: 5.9, mortgageRate: 12.43, inflation: 3.8 },
+  { year: 1986, stockReturn: 18.49, homePriceChange: 7.6, mortgageRate: 10.19, inflation: 1.1 },
+  { year: 1987, stockReturn: 5.81, homePriceChange: 7.0, mortgageRate: 10.21, inflation: 4.4 },
+  { year: 1988, stockReturn: 16.54, homePriceChange: 6.3, mortgageRate: 10.34, inflation: 4.4 },
+  { year: 1989, stockReturn: 31.48, homePriceChange: 4.5, mortgageRate: 10.32, inflation: 4.6 },
+  { year: 1990, stockReturn: -3.06, homePriceChange: -0.3, mortgageRate: 10.13, inflation: 6.1 },
+  { year: 1991, stockReturn: 30.23, homePriceChange: 1.5, mortgageRate: 9.25, inflation: 3.1 },
+  { year: 1992, stockReturn: 7.49, homePriceChange: 1.6, mortgageRate: 8.39, inflation: 2.9 },
+  { year: 1993, stockReturn: 9.97, homePriceChange: 2.0, mortgageRate: 7.31, inflation: 2.7 },
+  { year: 1994, stockReturn: 1.33, homePriceChange: 2.9, mortgageRate: 8.38, inflation: 2.7 },
+  { year: 1995, stockReturn: 37.20, homePriceChange: 2.3, mortgageRate: 7.93, inflation: 2.5 },
+  { year: 1996, stockReturn: 22.68, homePriceChange: 3.0, mortgageRate: 7.81, inflation: 3.3 },
+  { year: 1997, stockReturn: 33.10, homePriceChange: 4.0, mortgageRate: 7.60, inflation: 1.7 },
+  { year: 1998, stockReturn: 28.34, homePriceChange: 6.0, mortgageRate: 6.94, inflation: 1.6 },
+  { year: 1999, stockReturn: 20.89, homePriceChange: 7.1, mortgageRate: 7.44, inflation: 2.7 },
+  { year: 2000, stockReturn: -9.03, homePriceChange: 8.9, mortgageRate: 8.05, inflation: 3.4 },
+  { year: 2001, stockReturn: -11.85, homePriceChange: 6.7, mortgageRate: 6.97, inflation: 1.6 },
+  { year: 2002, stockReturn: -21.97, homePriceChange: 9.7, mortgageRate: 6.54, inflation: 2.4 },
+  { year: 2003, stockReturn: 28.36, homePriceChange: 9.9, mortgageRate: 5.83, inflation: 1.9 },
+  { year: 2004, stockReturn: 10.74, homePriceChange: 13.5, mortgageRate: 5.84, inflation: 3.3 },
+  { year: 2005, stockReturn: 4.83, homePriceChange: 13.9, mortgageRate: 5.87, inflation: 3.4 },
+  { year: 2006, stockReturn: 15.61, homePriceChange: 1.7, mortgageRate: 6.41, inflation: 2.5 },
+  { year: 2007, stockReturn: 5.48, homePriceChange: -5.4, mortgageRate: 6.34, inflation: 4.1 },
+  { year: 2008, stockReturn: -36.55, homePriceChange: -12.0, mortgageRate: 6.03, inflation: 0.1 },
+  { year: 2009, stockReturn: 25.94, homePriceChange: -3.9, mortgageRate: 5.04, inflation: 2.7 },
+  { year: 2010, stockReturn: 14.82, homePriceChange: -4.0, mortgageRate: 4.69, inflation: 1.5 },
+  { year: 2011, stockReturn: 2.10, homePriceChange: -3.9, mortgageRate: 4.45, inflation: 3.0 },
+  { year: 2012, stockReturn: 15.89, homePriceChange: 6.4, mortgageRate: 3.66, inflation: 1.7 },
+  { year: 2013, stockReturn: 32.15, homePriceChange: 10.7, mortgageRate: 3.98, inflation: 1.5 },
+  { year: 2014, stockReturn: 13.52, homePriceChange: 4.5, mortgageRate: 4.17, inflation: 0.8 },
+  { year: 2015, stockReturn: 1.38, homePriceChange: 5.2, mortgageRate: 3.85, inflation: 0.7 },
+  { year: 2016, stockReturn: 11.77, homePriceChange: 5.3, mortgageRate: 3.65, inflation: 2.1 },
+  { year: 2017, stockReturn: 21.61, homePriceChange: 6.2, mortgageRate: 3.99, inflation: 2.1 },
+  { year: 2018, stockReturn: -4.23, homePriceChange: 4.6, mortgageRate: 4.54, inflation: 1.9 },
+  { year: 2019, stockReturn: 31.21, homePriceChange: 3.8, mortgageRate: 3.94, inflation: 2.3 },
+  { year: 2020, stockReturn: 18.02, homePriceChange: 10.4, mortgageRate: 3.11, inflation: 1.4 },
+  { year: 2021, stockReturn: 28.47, homePriceChange: 18.9, mortgageRate: 2.96, inflation: 7.0 },
+  { year: 2022, stockReturn: -18.04, homePriceChange: 5.7, mortgageRate: 5.34, inflation: 6.5 },
+  { year: 2023, stockReturn: 26.06, homePriceChange: 5.5, mortgageRate: 6.81, inflation: 3.4 },
+  { year: 2024, stockReturn: 24.88, homePriceChange: 3.9, mortgageRate: 6.72, inflation: 2.9 }
+];
+
+/**
+ * First and last calendar years covered by the bundled dataset
+ */
+export const historicalDataRange = {
+  firstYear: historicalReturns[0].year,
+  lastYear: historicalReturns[historicalReturns.length - 1].year
+};
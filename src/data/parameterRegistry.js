@@ -0,0 +1,499 @@
+/**
+ * Parameter registry: one declarative entry per calculator input. The input form, validation,
+ * share links, defaults, preset checks and the engine's input coercion are all generated
+ * from these entries (see utils/parameters.js).
+ *
+ * Entry fields:
+ * - key: parameter name; urlKey: short key in share links
+ * - type: 'number', 'boolean', 'option' (one of options), 'list' (comma-separated numbers kept
+ *   as a string) or 'json' (structured value, only carried in encoded link payloads)
+ * - label, help, icon: form text
+ * - section, group: where the form shows the input (null for inputs edited elsewhere)
+ * - unit: 'currency', 'percent', 'years', 'month', 'count' or 'ratio', used for messages and
+ *   input adornments; prefix/suffix override the adornments
+ * - default: value for new scenarios
+ * - min, max, exclusiveMinimum, required: valid range, also used as input limits. min and max
+ *   may be functions of the other parameters
+ * - step, placeholder: input hints
+ * - visibleWhen: only shown and validated when this returns true for the parameters
+ * - message: validation message used instead of the generated one
+ * - fallback: value the engine uses when the input is missing or not a number (the default,
+ *   false or an empty list otherwise)
+ * - clamp: [min, max] the engine holds the value to; integer: the engine rounds it
+ * - unitFor: an option shown as the unit selector of another input
+ *
+ * URL keys are part of the share link format: never reuse or change one, only add new keys.
+ */
+
+export const PARAMETER_SECTIONS = [
+  { id: 'property', label: 'Property & Mortgage', icon: '🏠', title: 'Property & Mortgage Details' },
+  { id: 'rental', label: 'Rental', icon: '🏠', title: 'Rental Details' },
+  { id: 'investment', label: 'Investment', icon: '📈', title: 'Investment Strategy' },
+  { id: 'taxes', label: 'Taxes', icon: '🧾', title: 'Income Taxes' },
+  { id: 'analysis', label: 'Analysis Period', icon: '📅', title: 'Analysis Period' }
+];
+
+/**
+ * Groups of inputs within a section, in form order. A group with a toggle only shows (and
+ * validates) its other inputs while the toggle is on.
+ */
+export const PARAMETER_GROUPS = [
+  { id: 'home', section: 'property' },
+  { id: 'loanType', section: 'property', heading: 'Loan Type' },
+  { id: 'mortgageInsurance', section: 'property', heading: 'Mortgage Insurance' },
+  { id: 'refinance', section: 'property', heading: 'Refinance', toggle: 'refinanceEnabled' },
+  { id: 'prepayment', section: 'property', heading: 'Extra Principal Payments' },
+  { id: 'costGrowth', section: 'property', heading: 'Ownership Cost Growth' },
+  { id: 'rent', section: 'rental' },
+  { id: 'budget', section: 'investment' },
+  { id: 'taxes', section: 'taxes', toggle: 'includeTaxes' },
+  { id: 'horizon', section: 'analysis' },
+  { id: 'holding', section: 'analysis', toggle: 'holdingPeriodEnabled' },
+  { id: 'monteCarlo', section: 'analysis', toggle: 'monteCarloEnabled' }
+];
+
+const isArm = (params) => params.loanType === 'arm';
+const isFha = (params) => params.loanProgram === 'fha';
+
+export const parameterRegistry = [
+  // Property & mortgage
+  {
+    key: 'homePrice', urlKey: 'hp', type: 'number', label: 'Home Purchase Price',
+    section: 'property', group: 'home', unit: 'currency',
+    default: 500000, min: 0, exclusiveMinimum: true, required: true, step: 1000
+  },
+  {
+    key: 'downPayment', urlKey: 'dp', type: 'number', label: 'Down Payment',
+    section: 'property', group: 'home', unit: 'percent',
+    default: 20, min: 0, max: 100, step: 0.1
+  },
+  {
+    key: 'mortgageRate', urlKey: 'mr', type: 'number', label: 'Mortgage Interest Rate',
+    section: 'property', group: 'home', unit: 'percent',
+    default: 6.5, min: 0, max: 50, step: 0.01
+  },
+  {
+    key: 'loanTerm', urlKey: 'lt', type: 'number', label: 'Loan Term',
+    section: 'property', group: 'home', unit: 'years',
+    default: 30, min: 1, max: 50, required: true, step: 1, fallback: 30, clamp: [1]
+  },
+  {
+    key: 'propertyTaxRate', urlKey: 'pt', type: 'number', label: 'Property Tax Rate',
+    section: 'property', group: 'home', unit: 'percent',
+    default: 1.2, min: 0, max: 10, step: 0.01
+  },
+  {
+    key: 'homeInsurance', urlKey: 'hi', type: 'number', label: 'Home Insurance',
+    section: 'property', group: 'home', unit: 'currency', suffix: '/year',
+    default: 1500, min: 0, step: 100
+  },
+  {
+    key: 'maintenanceCost', urlKey: 'mc', type: 'number', label: 'Maintenance & Repairs',
+    section: 'property', group: 'home', unit: 'currency', suffix: '/year',
+    default: 5000, min: 0, step: 100
+  },
+  {
+    key: 'hoaFees', urlKey: 'hoa', type: 'number', label: 'HOA Fees',
+    section: 'property', group: 'home', unit: 'currency', suffix: '/month',
+    default: 0, min: 0, step: 10
+  },
+  {
+    key: 'homeAppreciationRate', urlKey: 'har', type: 'number', label: 'Home Appreciation Rate',
+    section: 'property', group: 'home', unit: 'percent', suffix: '%/year',
+    help: 'Expected annual increase in home value (historical average ~3-4%)',
+    // 0% appreciation is a valid input; only a missing value falls back to 3%
+    default: 3.0, min: -10, max: 20, step: 0.1, fallback: 3.0
+  },
+  {
+    key: 'rentalIncome', urlKey: 'ri', type: 'number', label: 'Rental Income (Optional)',
+    section: 'property', group: 'home', unit: 'currency', suffix: '/month',
+    help: 'Income from renting out rooms, basement, or duplex unit',
+    default: 0, min: 0, step: 100
+  },
+  {
+    key: 'closingCosts', urlKey: 'cc', type: 'number', label: 'Closing Costs',
+    section: 'property', group: 'home', unit: 'percent',
+    prefix: (params) => (params.closingCostType === 'flat' ? '$' : null), suffix: null,
+    help: 'Lender fees, title, transfer taxes and other buyer costs, paid from your starting balance',
+    default: 3.0, min: 0, max: (params) => (params.closingCostType === 'flat' ? undefined : 20),
+    step: (params) => (params.closingCostType === 'flat' ? 500 : 0.1),
+    placeholder: (params) => (params.closingCostType === 'flat' ? '12,000' : '3.0')
+  },
+  {
+    key: 'closingCostType', urlKey: 'cct', type: 'option', label: 'Closing Cost Unit',
+    section: 'property', group: 'home', unitFor: 'closingCosts',
+    options: ['percent', 'flat'], default: 'percent'
+  },
+  {
+    key: 'sellingCostRate', urlKey: 'sc', type: 'number', label: 'Selling Costs',
+    section: 'property', group: 'home', unit: 'percent', suffix: '% of sale',
+    help: 'Realtor commission, transfer taxes and seller concessions when you sell',
+    default: 6.0, min: 0, max: 20, step: 0.1
+  },
+
+  // Loan type
+  {
+    key: 'loanType', urlKey: 'ltp', type: 'option', label: 'Rate Type',
+    section: 'property', group: 'loanType',
+    help: 'An ARM starts at the mortgage interest rate above, then follows an index',
+    options: ['fixed', 'arm'], default: 'fixed'
+  },
+  {
+    key: 'armProduct', urlKey: 'arm', type: 'option', label: 'ARM Product',
+    section: 'property', group: 'loanType', visibleWhen: isArm,
+    help: 'Years at the initial rate / how often it resets after that',
+    options: ['5/1', '7/1', '10/6'], default: '5/1'
+  },
+  {
+    key: 'armMargin', urlKey: 'amg', type: 'number', label: 'Margin',
+    section: 'property', group: 'loanType', visibleWhen: isArm, unit: 'percent',
+    help: 'Added to the index at each reset',
+    default: 2.75, min: 0, max: 10, step: 0.125, clamp: [0]
+  },
+  {
+    key: 'armInitialCap', urlKey: 'aic', type: 'number', label: 'Initial Adjustment Cap',
+    section: 'property', group: 'loanType', visibleWhen: isArm, unit: 'percent',
+    help: 'Largest change allowed at the first reset',
+    default: 2, min: 0, max: 20, step: 0.5, clamp: [0]
+  },
+  {
+    key: 'armPeriodicCap', urlKey: 'apc', type: 'number', label: 'Periodic Adjustment Cap',
+    section: 'property', group: 'loanType', visibleWhen: isArm, unit: 'percent',
+    help: 'Largest change allowed at each later reset',
+    default: 2, min: 0, max: 20, step: 0.5, clamp: [0]
+  },
+  {
+    key: 'armLifetimeCap', urlKey: 'alc', type: 'number', label: 'Lifetime Cap',
+    section: 'property', group: 'loanType', visibleWhen: isArm, unit: 'percent',
+    help: 'Most the rate can ever rise above the initial rate',
+    default: 5, min: 0, max: 20, step: 0.5, clamp: [0]
+  },
+  {
+    key: 'armIndexRate', urlKey: 'aix', type: 'number', label: 'Starting Index Rate',
+    section: 'property', group: 'loanType', visibleWhen: isArm, unit: 'percent',
+    help: "Today's value of the index, such as SOFR",
+    default: 4.0, min: 0, max: 20, step: 0.01, clamp: [0]
+  },
+  {
+    key: 'armIndexPath', urlKey: 'aip', type: 'option', label: 'Index Path',
+    section: 'property', group: 'loanType', visibleWhen: isArm,
+    help: 'How the index moves over the life of the loan',
+    options: ['flat', 'rising', 'falling', 'custom'], default: 'flat'
+  },
+  {
+    key: 'armIndexChange', urlKey: 'aid', type: 'number', label: 'Index Change',
+    section: 'property', group: 'loanType', unit: 'percent', suffix: 'pts/year',
+    visibleWhen: (params) => isArm(params) && (params.armIndexPath === 'rising' || params.armIndexPath === 'falling'),
+    help: 'How far the index moves each year',
+    default: 0.25, min: 0, max: 5, step: 0.05
+  },
+  {
+    key: 'armCustomIndex', urlKey: 'aci', type: 'list', label: 'Custom Index Path',
+    section: 'property', group: 'loanType', unit: 'percent',
+    visibleWhen: (params) => isArm(params) && params.armIndexPath === 'custom',
+    help: 'Index rate for years 1, 2, 3... separated by commas; the last value holds after that',
+    message: 'Custom index path must be a comma-separated list of yearly rates',
+    default: '', placeholder: '4.0, 4.5, 5.0, 5.5'
+  },
+
+  // Mortgage insurance
+  {
+    key: 'loanProgram', urlKey: 'lp', type: 'option', label: 'Loan Program',
+    section: 'property', group: 'mortgageInsurance',
+    help: 'Conventional loans charge PMI below 20% down; FHA loans charge MIP at any down payment',
+    options: ['conventional', 'fha'], default: 'conventional'
+  },
+  {
+    key: 'fhaUpfrontMip', urlKey: 'fum', type: 'number', label: 'Upfront MIP',
+    section: 'property', group: 'mortgageInsurance', visibleWhen: isFha, unit: 'percent', suffix: '% of loan',
+    help: 'Added to the loan balance at closing',
+    default: 1.75, min: 0, max: 5, step: 0.05, clamp: [0]
+  },
+  {
+    key: 'fhaAnnualMip', urlKey: 'fam', type: 'number', label: 'Annual MIP',
+    section: 'property', group: 'mortgageInsurance', visibleWhen: isFha, unit: 'percent', suffix: '%/year',
+    help: 'Charged on the balance; ends after 11 years with 10% or more down, otherwise lasts the life of the loan',
+    default: 0.55, min: 0, max: 5, step: 0.05, clamp: [0]
+  },
+  {
+    key: 'pmiRate', urlKey: 'pmi', type: 'number', label: 'PMI Rate',
+    section: 'property', group: 'mortgageInsurance', visibleWhen: (params) => !isFha(params),
+    unit: 'percent', suffix: '%/year',
+    help: 'Annual premium as a percent of the original loan',
+    default: 0.5, min: 0, max: 5, step: 0.05, clamp: [0]
+  },
+  {
+    key: 'pmiRemoval', urlKey: 'pmr', type: 'option', label: 'PMI Removal',
+    section: 'property', group: 'mortgageInsurance', visibleWhen: (params) => !isFha(params),
+    help: 'Loan-to-value ratio at which PMI comes off',
+    options: ['request', 'automatic'], default: 'request'
+  },
+  {
+    key: 'pmiLtvBasis', urlKey: 'plb', type: 'option', label: 'Loan-to-Value Based On',
+    section: 'property', group: 'mortgageInsurance', visibleWhen: (params) => !isFha(params),
+    help: 'An appraisal can count appreciation toward removing PMI',
+    options: ['original', 'current'], default: 'original'
+  },
+
+  // Refinance
+  {
+    key: 'refinanceEnabled', urlKey: 'rf', type: 'boolean', label: 'Refinance the mortgage', icon: '🔁',
+    section: 'property', group: 'refinance',
+    help: 'Replace the loan with a new rate and term partway through',
+    default: false
+  },
+  {
+    key: 'refinanceYear', urlKey: 'rfy', type: 'number', label: 'Refinance In Year',
+    section: 'property', group: 'refinance', unit: 'years',
+    message: 'Refinance year must fall within the original loan term',
+    default: 5, min: 1, max: (params) => Number(params.loanTerm) || 50, step: 1, clamp: [0]
+  },
+  {
+    key: 'refinanceRate', urlKey: 'rfr', type: 'number', label: 'New Interest Rate',
+    section: 'property', group: 'refinance', unit: 'percent',
+    default: 5.5, min: 0, max: 50, step: 0.01
+  },
+  {
+    key: 'refinanceTerm', urlKey: 'rft', type: 'number', label: 'New Loan Term',
+    section: 'property', group: 'refinance', unit: 'years',
+    default: 30, min: 1, max: 50, step: 1, fallback: 30, clamp: [1]
+  },
+  {
+    key: 'refinanceCashOut', urlKey: 'rfc', type: 'number', label: 'Cash-Out Amount',
+    section: 'property', group: 'refinance', unit: 'currency',
+    help: 'Added to the new loan and invested',
+    default: 0, min: 0, step: 1000, clamp: [0]
+  },
+  {
+    key: 'refinanceClosingCosts', urlKey: 'rfcc', type: 'number', label: 'Refinance Closing Costs',
+    section: 'property', group: 'refinance', unit: 'currency',
+    help: 'Paid from your investment portfolio',
+    default: 5000, min: 0, step: 500, clamp: [0]
+  },
+
+  // Extra principal payments
+  {
+    key: 'extraMonthlyPrincipal', urlKey: 'xmp', type: 'number', label: 'Extra Monthly Principal',
+    section: 'property', group: 'prepayment', unit: 'currency', suffix: '/month',
+    help: 'Compared as a third strategy against investing the same cash',
+    default: 0, min: 0, step: 50, clamp: [0]
+  },
+  {
+    key: 'annualLumpSum', urlKey: 'als', type: 'number', label: 'Annual Lump Sum',
+    section: 'property', group: 'prepayment', unit: 'currency', suffix: '/year',
+    default: 0, min: 0, step: 500, clamp: [0]
+  },
+  {
+    key: 'annualLumpSumMonth', urlKey: 'alm', type: 'number', label: 'Lump Sum Month',
+    section: 'property', group: 'prepayment', unit: 'month', suffix: 'of each year',
+    default: 12, min: 1, max: 12, step: 1, fallback: 12, clamp: [1, 12], integer: true
+  },
+  {
+    key: 'oneTimePrepayment', urlKey: 'otp', type: 'number', label: 'One-Time Prepayment',
+    section: 'property', group: 'prepayment', unit: 'currency',
+    help: 'Paid from your investment portfolio',
+    default: 0, min: 0, step: 1000, clamp: [0]
+  },
+  {
+    key: 'oneTimePrepaymentMonth', urlKey: 'otm', type: 'number', label: 'Prepayment Month',
+    section: 'property', group: 'prepayment', unit: 'month', suffix: 'month of loan',
+    default: 12, min: 1, step: 1, fallback: 12, clamp: [1], integer: true
+  },
+
+  // Ownership cost growth
+  {
+    key: 'propertyTaxBasis', urlKey: 'ptb', type: 'option', label: 'Property Tax Basis',
+    section: 'property', group: 'costGrowth',
+    help: 'What the property tax rate is applied to each year',
+    // Scenarios saved before the basis existed were taxed on the purchase price
+    options: ['purchase', 'market', 'assessed'], default: 'market', fallback: 'purchase'
+  },
+  {
+    key: 'assessmentCap', urlKey: 'acap', type: 'number', label: 'Reassessment Cap',
+    section: 'property', group: 'costGrowth', unit: 'percent', suffix: '%/year',
+    visibleWhen: (params) => params.propertyTaxBasis === 'assessed',
+    help: "Assessed value rises by at most this much per year, as under California's Prop 13",
+    default: 2.0, min: 0, max: 20, step: 0.1, clamp: [0]
+  },
+  {
+    key: 'insuranceGrowthRate', urlKey: 'igr', type: 'number', label: 'Insurance Growth',
+    section: 'property', group: 'costGrowth', unit: 'percent', suffix: '%/year',
+    default: 3.0, min: -10, max: 20, step: 0.1
+  },
+  {
+    key: 'maintenanceGrowthRate', urlKey: 'mgr', type: 'number', label: 'Maintenance Growth',
+    section: 'property', group: 'costGrowth', unit: 'percent', suffix: '%/year',
+    default: 3.0, min: -10, max: 20, step: 0.1
+  },
+  {
+    key: 'hoaGrowthRate', urlKey: 'hgr', type: 'number', label: 'HOA Fee Growth',
+    section: 'property', group: 'costGrowth', unit: 'percent', suffix: '%/year',
+    default: 3.0, min: -10, max: 20, step: 0.1
+  },
+
+  // Lender quotes are edited in the loan offer comparison, not the form
+  {
+    key: 'loanOffers', urlKey: 'lo', type: 'json', label: 'Lender Quotes',
+    section: null, group: null,
+    default: []
+  },
+
+  // Rental
+  {
+    key: 'monthlyRent', urlKey: 'rent', type: 'number', label: 'Monthly Rent',
+    section: 'rental', group: 'rent', unit: 'currency', suffix: '/month',
+    default: 2500, min: 0, exclusiveMinimum: true, required: true, step: 50
+  },
+  {
+    key: 'rentIncreaseRate', urlKey: 'rir', type: 'number', label: 'Annual Rent Increase',
+    section: 'rental', group: 'rent', unit: 'percent',
+    default: 3.0, min: 0, max: 20, step: 0.1
+  },
+
+  // Investment
+  {
+    key: 'investmentStartBalance', urlKey: 'isb', type: 'number', label: 'Starting Investment Balance',
+    section: 'investment', group: 'budget', unit: 'currency',
+    help: 'Money you already have available to invest',
+    default: 120000, min: 0, step: 1000
+  },
+  // 'mi' was used for a monthlyInvestment input the calculator never read; it stays retired
+  {
+    key: 'monthlyBudget', urlKey: 'mb', type: 'number', label: 'Monthly Budget Allocation',
+    section: 'investment', group: 'budget', unit: 'currency', suffix: '/month',
+    help: 'Total monthly budget for housing + investing (allocated differently in each scenario)',
+    default: 3500, min: 0, step: 50
+  },
+  {
+    key: 'investmentReturn', urlKey: 'ir', type: 'number', label: 'Expected Annual Return',
+    section: 'investment', group: 'budget', unit: 'percent',
+    help: 'Long-term average return for index funds (~7%), bonds (~4%), or other investments',
+    default: 7.0, min: -50, max: 50, step: 0.1
+  },
+  {
+    key: 'inflationRate', urlKey: 'inf', type: 'number', label: 'Inflation Rate',
+    section: 'investment', group: 'budget', unit: 'percent',
+    help: "Used for the today's-dollars view and an inflation-linked budget",
+    default: 2.5, min: -5, max: 20, step: 0.1
+  },
+  {
+    key: 'budgetGrowthMode', urlKey: 'bgm', type: 'option', label: 'Budget Growth',
+    section: 'investment', group: 'budget',
+    help: 'How your monthly budget rises each year',
+    options: ['flat', 'inflation', 'wage'], default: 'flat'
+  },
+  {
+    key: 'wageGrowthRate', urlKey: 'wg', type: 'number', label: 'Wage Growth Rate',
+    section: 'investment', group: 'budget', unit: 'percent',
+    visibleWhen: (params) => params.budgetGrowthMode === 'wage',
+    help: 'Annual raise applied to the monthly budget',
+    default: 3.5, min: -10, max: 20, step: 0.1
+  },
+
+  // Taxes
+  {
+    key: 'includeTaxes', urlKey: 'tx', type: 'boolean', label: 'Include Income Taxes', icon: '🧾',
+    section: 'taxes', group: 'taxes',
+    help: 'Mortgage interest and property tax deductions, plus capital gains tax when assets are sold',
+    default: false
+  },
+  {
+    key: 'filingStatus', urlKey: 'fs', type: 'option', label: 'Filing Status',
+    section: 'taxes', group: 'taxes',
+    help: 'Sets the standard deduction and the $250k/$500k home sale exclusion',
+    options: ['single', 'married'], default: 'married'
+  },
+  {
+    key: 'marginalTaxRate', urlKey: 'mtr', type: 'number', label: 'Marginal Income Tax Rate',
+    section: 'taxes', group: 'taxes', unit: 'percent',
+    help: 'Federal bracket your last dollar of income falls in',
+    default: 22, min: 0, max: 60, step: 1
+  },
+  {
+    key: 'stateLocalIncomeTax', urlKey: 'slt', type: 'number', label: 'State & Local Income Tax',
+    section: 'taxes', group: 'taxes', unit: 'currency', suffix: '/year',
+    help: 'Shares the SALT cap with property taxes',
+    default: 5000, min: 0, step: 500
+  },
+  {
+    key: 'saltCap', urlKey: 'salt', type: 'number', label: 'SALT Deduction Cap',
+    section: 'taxes', group: 'taxes', unit: 'currency', suffix: '/year',
+    help: 'Limit on deductible state, local and property taxes combined',
+    // A missing cap means deductions are not capped
+    default: 40400, min: 0, step: 1000, fallback: null
+  },
+  {
+    key: 'capitalGainsTaxRate', urlKey: 'cgr', type: 'number', label: 'Capital Gains Tax Rate',
+    section: 'taxes', group: 'taxes', unit: 'percent',
+    help: 'Applied to portfolio gains and home sale gains above the exclusion',
+    default: 15, min: 0, max: 50, step: 1
+  },
+
+  // Analysis
+  {
+    key: 'timeHorizon', urlKey: 'th', type: 'number', label: 'Time Horizon',
+    section: 'analysis', group: 'horizon', unit: 'years',
+    default: 30, min: 1, max: 50, required: true, step: 1, fallback: 30, clamp: [1]
+  },
+  {
+    key: 'holdingPeriodEnabled', urlKey: 'hpe', type: 'boolean', label: 'Sell and Move Later', icon: '🚚',
+    section: 'analysis', group: 'holding',
+    help: 'Sell the home after a holding period and see how long you need to stay for buying to pay off',
+    default: false
+  },
+  {
+    key: 'holdingPeriod', urlKey: 'hold', type: 'number', label: 'Holding Period',
+    section: 'analysis', group: 'holding', unit: 'years',
+    help: 'The home is sold at its appreciated value, less selling costs and the loan payoff',
+    message: 'Holding period must be between 1 year and the time horizon',
+    default: 7, min: 1, max: (params) => Number(params.timeHorizon) || 50, step: 1
+  },
+  {
+    key: 'afterSaleStrategy', urlKey: 'asr', type: 'option', label: 'After Selling',
+    section: 'analysis', group: 'holding',
+    help: "Buying again uses the same down payment, loan and cost settings at that year's prices",
+    options: ['rent', 'buy'], default: 'rent'
+  },
+  {
+    key: 'monteCarloEnabled', urlKey: 'mce', type: 'boolean', label: 'Monte Carlo Simulation', icon: '🎲',
+    section: 'analysis', group: 'monteCarlo',
+    help: 'Replace the single fixed-return projection with thousands of randomized market paths',
+    default: false
+  },
+  {
+    key: 'investmentVolatility', urlKey: 'iv', type: 'number', label: 'Investment Volatility',
+    section: 'analysis', group: 'monteCarlo', unit: 'percent', suffix: '%/year',
+    help: 'Standard deviation of annual stock returns (broad index ~15-20%)',
+    default: 15.0, min: 0, max: 100, step: 0.5
+  },
+  {
+    key: 'homeAppreciationVolatility', urlKey: 'hav', type: 'number', label: 'Home Price Volatility',
+    section: 'analysis', group: 'monteCarlo', unit: 'percent', suffix: '%/year',
+    help: 'Standard deviation of annual home price changes (national average ~5%)',
+    default: 5.0, min: 0, max: 50, step: 0.5
+  },
+  {
+    key: 'returnCorrelation', urlKey: 'rc', type: 'number', label: 'Stock / Housing Correlation',
+    section: 'analysis', group: 'monteCarlo', unit: 'ratio',
+    help: 'How strongly stock and home returns move together (-1 to 1)',
+    default: 0.2, min: -1, max: 1, step: 0.05
+  },
+  {
+    key: 'simulationCount', urlKey: 'sims', type: 'number', label: 'Number of Simulations',
+    section: 'analysis', group: 'monteCarlo', unit: 'count', suffix: 'paths',
+    default: 1000, min: 100, max: 10000, step: 100
+  },
+  {
+    key: 'simulationSeed', urlKey: 'seed', type: 'number', label: 'Random Seed',
+    section: 'analysis', group: 'monteCarlo', unit: 'count',
+    help: 'The same seed always reproduces the same set of paths',
+    default: 42, step: 1
+  }
+];
+
+/**
+ * Look up a parameter's registry entry
+ * @param {string} key - Parameter name
+ * @returns {Object|null} Registry entry
+ */
+export const getParameterDefinition = (key) => parameterRegistry.find(definition => definition.key === key) || null;
@@ -1,6 +1,7 @@
 /**
  * Preset templates for common Own vs Rent scenarios
  */
+import { checkPresetParameters, getDefaultParameters } from '../utils/parameters';
 
 export const presetTemplates = {
   firstTimeBuyer: {
@@ -143,23 +144,16 @@ export const getPresetTemplate = (id) => {
 };
 
 /**
- * Default parameter values
+ * Default parameter values, from the parameter registry
  */
-export const defaultParameters = {
-  homePrice: 500000,
-  downPayment: 20,
-  mortgageRate: 6.5,
-  loanTerm: 30,
-  propertyTaxRate: 1.2,
-  homeInsurance: 1500,
-  maintenanceCost: 5000,
-  hoaFees: 0,
-  homeAppreciationRate: 3.0,
-  rentalIncome: 0,
-  monthlyRent: 2500,
-  rentIncreaseRate: 3.0,
-  investmentStartBalance: 120000, // Increased to cover $100k down payment + buffer
-  monthlyBudget: 3500, // Budget allocation for housing + investing
-  investmentReturn: 7.0,
-  timeHorizon: 30
-};
+export const defaultParameters = getDefaultParameters();
+
+// Catch presets that use retired keys or fail validation while developing
+if (import.meta.env && import.meta.env.DEV) {
+  Object.values(presetTemplates).forEach(template => {
+    const problems = checkPresetParameters(template.parameters, defaultParameters);
+    if (problems.length > 0) {
+      console.warn(`Preset "${template.name}" does not match the parameter schema:`, problems);
+    }
+  });
+}
@@ -0,0 +1,25 @@
+import { useMemo } from 'react';
+import { useCalculationJob } from './useCalculationJob';
+
+/**
+ * Custom hook for replaying the scenario against historical data, in the calculation worker
+ * @param {Object} parameters - Calculation parameters
+ * @param {Object} options - Backtest options (startYear, useHistoricalMortgageRate, rentFollowsInflation)
+ * @returns {Object} - Backtest results, loading and error state
+ */
+export const useBacktest = (parameters, options) => {
+  const { startYear, useHistoricalMortgageRate, rentFollowsInflation } = options;
+  const payload = useMemo(() => ({
+    params: parameters,
+    startYear,
+    useHistoricalMortgageRate,
+    rentFollowsInflation
+  }), [parameters, startYear, useHistoricalMortgageRate, rentFollowsInflation]);
+  const { result, isLoading, error } = useCalculationJob('backtest', payload);
+
+  return {
+    backtest: result,
+    isLoading,
+    error
+  };
+};
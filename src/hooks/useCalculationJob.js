@@ -0,0 +1,59 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { createCalculationService, isCancelledError } from '../utils/calculationService';
+
+const IDLE_STATE = { result: null, progress: 0, isLoading: false, error: null };
+
+/**
+ * Custom hook that runs a calculation job in the calculation worker so long sweeps do not
+ * block the form. A new payload cancels the job still working on the previous one, whose
+ * result stays available (with isLoading set) until the new one arrives.
+ * @param {string|null} job - Job name (one of CALCULATION_JOBS), or null to run nothing
+ * @param {Object|null} payload - Job input; a new object with the same content does not rerun the job
+ * @returns {Object} - Job result, progress (0-1), loading and error state
+ */
+export const useCalculationJob = (job, payload) => {
+  const serviceRef = useRef(null);
+  const submittedRef = useRef(null);
+  const [state, setState] = useState(IDLE_STATE);
+
+  // The payload is compared by content, so a caller that rebuilds it on every render does not
+  // cancel and resubmit the same job (and restart the worker) each time
+  const submitted = useMemo(() => {
+    const key = JSON.stringify(payload);
+    if (!submittedRef.current || submittedRef.current.key !== key) {
+      submittedRef.current = { key, payload };
+    }
+    return submittedRef.current;
+  }, [payload]);
+
+  useEffect(() => () => {
+    if (serviceRef.current) serviceRef.current.dispose();
+    serviceRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    if (!job) {
+      setState(IDLE_STATE);
+      return;
+    }
+    if (!serviceRef.current) serviceRef.current = createCalculationService();
+
+    setState(current => ({ ...current, progress: 0, isLoading: true, error: null }));
+    const request = serviceRef.current.run(job, submitted.payload, {
+      onProgress: (progress) => setState(current => ({ ...current, progress }))
+    });
+
+    request.promise
+      .then(result => setState({ result, progress: 1, isLoading: false, error: null }))
+      .catch(error => {
+        if (isCancelledError(error)) return;
+        console.error(`Calculation error (${job}):`, error);
+        setState({ ...IDLE_STATE, error: error.message });
+      });
+
+    // Inputs changed before the job finished: stop working on the stale inputs
+    return request.cancel;
+  }, [job, submitted]);
+
+  return state;
+};
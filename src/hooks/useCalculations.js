@@ -1,74 +1,281 @@
-import { useMemo } from 'react';
-import { calculateScenario } from '../utils/calculations';
+import { useMemo, useState, useEffect, useRef } from 'react';
+import { convertResultsToRealDollars, deflateSeries } from '../utils/calculations';
+import { runCalculationJob } from '../utils/calculationJobs';
+import { createCalculationService, isCancelledError } from '../utils/calculationService';
+import { validateParameters } from '../utils/parameters';
 
 /**
- * Custom hook for performing financial calculations
+ * Build the results object returned when a calculation cannot run
+ * @param {string|null} message - Error message (null while a result is still pending)
+ * @returns {Object} Results with the error and no scenarios
+ */
+const createErrorResults = (message) => ({
+  error: message,
+  ownScenario: null,
+  rentScenario: null,
+  breakEvenPoint: null
+});
+
+const formatDollars = (value) => `$${Math.round(value).toLocaleString()}`;
+
+// Inputs edited outside the scenario (lender quotes feed only the loan offer comparison)
+const NON_CALCULATION_KEYS = ['loanOffers'];
+
+/**
+ * Warnings that depend on calculated costs rather than on the inputs alone
+ * @param {Object} parameters - Parameters the results were calculated from
+ * @param {Object} results - Calculation results
+ * @returns {Object} Warning messages keyed by parameter
+ */
+const checkResults = (parameters, results) => {
+  if (results.error || !results.ownScenario || !results.rentScenario) return {};
+
+  const warnings = {};
+  const budget = Number(parameters.monthlyBudget) || 0;
+  const ownCost = Number(results.ownScenario.monthlyPayments[0]) || 0;
+  const rent = Number(results.rentScenario.monthlyPayments[0]) || 0;
+
+  // Neither scenario can invest a negative amount, so a shortfall is silently ignored
+  if (budget < Math.max(ownCost, rent)) {
+    const [scenario, cost] = ownCost >= rent ? ['owning', ownCost] : ['renting', rent];
+    warnings.monthlyBudget = `Monthly budget (${formatDollars(budget)}) is below the first month's cost of ${scenario} (${formatDollars(cost)}); the shortfall is not taken from investments`;
+  }
+
+  return warnings;
+};
+
+/**
+ * Custom hook for performing financial calculations. The first calculation runs
+ * synchronously so results are ready on the first render; later changes run in the
+ * calculation worker, and a change cancels any job still working on older inputs.
+ * Inputs are validated field by field: warnings never stop a calculation, and while any
+ * field has an error the results of the last valid inputs stay in place.
  * @param {Object} parameters - Calculation parameters
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.realDollars=false] - Express summary and chart figures in today's dollars
  * @returns {Object} - Calculation results and utilities
  */
-export const useCalculations = (parameters) => {
+export const useCalculations = (parameters, options = {}) => {
+  const { realDollars = false } = options;
+  const serviceRef = useRef(null);
+  const calculationInputsRef = useRef(null);
+
   /**
-   * Memoized calculation results
+   * The parameters the scenario depends on. The previous object is kept while only
+   * lender quotes change, so editing a quote does not rerun the scenario or the simulation.
    */
-  const results = useMemo(() => {
-    try {
-      // Validate required parameters
-      const requiredParams = [
-        'homePrice', 'downPayment', 'mortgageRate', 'loanTerm',
-        'monthlyRent', 'investmentReturn', 'timeHorizon'
-      ];
-      
-      const missingParams = requiredParams.filter(param => 
-        parameters[param] === undefined || parameters[param] === null
-      );
-      
-      if (missingParams.length > 0) {
-        throw new Error(`Missing required parameters: ${missingParams.join(', ')}`);
-      }
+  const calculationInputs = useMemo(() => {
+    const inputs = { ...parameters };
+    NON_CALCULATION_KEYS.forEach(key => delete inputs[key]);
+
+    const previous = calculationInputsRef.current;
+    const unchanged = previous
+      && Object.keys(inputs).length === Object.keys(previous).length
+      && Object.keys(inputs).every(key => inputs[key] === previous[key]);
+    if (!unchanged) calculationInputsRef.current = inputs;
+    return calculationInputsRef.current;
+  }, [parameters]);
+  const calculatedParametersRef = useRef(calculationInputs);
 
-      // Validate parameter ranges
-      const validationErrors = validateParameters(parameters);
-      if (!validationErrors.isValid) {
-        throw new Error(`Invalid parameters: ${Object.values(validationErrors.errors).join(', ')}`);
-      }
+  const getService = () => {
+    if (!serviceRef.current) serviceRef.current = createCalculationService();
+    return serviceRef.current;
+  };
 
-      return calculateScenario(parameters);
+  useEffect(() => () => {
+    if (serviceRef.current) serviceRef.current.dispose();
+    serviceRef.current = null;
+  }, []);
+
+  /**
+   * Validation runs on every change so input errors show up immediately
+   */
+  const validation = useMemo(() => validateParameters(parameters), [parameters]);
+  const hasFieldErrors = !validation.isValid;
+
+  // The last completed calculation and the parameters it was run with
+  const [calculation, setCalculation] = useState(() => {
+    if (hasFieldErrors) return null;
+
+    try {
+      return { parameters: calculationInputs, result: runCalculationJob('scenario', { params: calculationInputs }) };
     } catch (error) {
       console.error('Calculation error:', error);
-      return {
-        error: error.message,
-        ownScenario: null,
-        rentScenario: null,
-        breakEvenPoint: null
-      };
+      return { parameters: calculationInputs, result: createErrorResults(error.message) };
     }
-  }, [parameters]);
+  });
+
+  useEffect(() => {
+    // The initial inputs were already calculated synchronously
+    if (hasFieldErrors || calculatedParametersRef.current === calculationInputs) return;
+
+    const request = getService().run('scenario', { params: calculationInputs });
+    request.promise
+      .then(result => {
+        calculatedParametersRef.current = calculationInputs;
+        setCalculation({ parameters: calculationInputs, result });
+      })
+      .catch(error => {
+        if (isCancelledError(error)) return;
+        console.error('Calculation error:', error);
+        setCalculation({ parameters: calculationInputs, result: createErrorResults(error.message) });
+      });
+
+    return request.cancel;
+  }, [calculationInputs, hasFieldErrors]);
+
+  /**
+   * Calculation results (the last completed calculation while a new one is running or
+   * while some inputs are invalid)
+   */
+  const results = useMemo(() => (
+    // Inputs that were invalid on the first render have no results until they are fixed
+    calculation ? calculation.result : createErrorResults(null)
+  ), [calculation]);
+  const resultParameters = calculation ? calculation.parameters : calculationInputs;
+  const inflationRate = Number(resultParameters.inflationRate) || 0;
+
+  const fieldWarnings = useMemo(() => ({
+    ...validation.warnings,
+    ...checkResults(resultParameters, results)
+  }), [validation, resultParameters, results]);
+
+  /**
+   * Monte Carlo percentile bands (only when simulation mode is enabled), tagged with the
+   * parameters they were simulated from so bands for other inputs are never shown
+   */
+  const [simulationRun, setSimulationRun] = useState(null);
+  const simulationEnabled = Boolean(calculationInputs.monteCarloEnabled) && !hasFieldErrors;
+
+  useEffect(() => {
+    if (!simulationEnabled) return;
+
+    const request = getService().run('monteCarlo', { params: calculationInputs });
+    request.promise
+      .then(result => setSimulationRun({ parameters: calculationInputs, result }))
+      .catch(error => {
+        if (isCancelledError(error)) return;
+        console.error('Simulation error:', error);
+        setSimulationRun({ parameters: calculationInputs, result: null });
+      });
+
+    return request.cancel;
+  }, [calculationInputs, simulationEnabled]);
+
+  const simulation = simulationRun && simulationRun.parameters === resultParameters && !results.error
+    ? simulationRun.result
+    : null;
+
+  /**
+   * Results and simulation bands in the selected dollar basis
+   */
+  const displayResults = useMemo(() => {
+    if (!realDollars || results.error || !results.ownScenario) {
+      return results;
+    }
+
+    return convertResultsToRealDollars(results, inflationRate);
+  }, [results, realDollars, inflationRate]);
+
+  const displaySimulation = useMemo(() => {
+    if (!realDollars || !simulation) {
+      return simulation;
+    }
+
+    const deflateBand = (band, priceLevel) => ({
+      p10: band.p10 / priceLevel,
+      p50: band.p50 / priceLevel,
+      p90: band.p90 / priceLevel
+    });
+
+    return {
+      ...simulation,
+      years: simulation.years.map(entry => {
+        const priceLevel = Math.pow(1 + inflationRate / 100, entry.year);
+        return {
+          ...entry,
+          own: deflateBand(entry.own, priceLevel),
+          rent: deflateBand(entry.rent, priceLevel)
+        };
+      })
+    };
+  }, [simulation, realDollars, inflationRate]);
 
   /**
    * Calculate summary statistics
    */
   const summary = useMemo(() => {
-    if (results.error || !results.ownScenario || !results.rentScenario) {
+    if (displayResults.error || !displayResults.ownScenario || !displayResults.rentScenario) {
       return null;
     }
 
+    const simulation = displaySimulation;
+    const results = displayResults;
     const { ownScenario, rentScenario } = results;
-    const timeHorizon = Number(parameters.timeHorizon) || 30;
+    const timeHorizon = Number(resultParameters.timeHorizon) || 30;
     const finalIndex = Math.min(timeHorizon * 12, ownScenario.netWorth.length - 1);
 
     // Safety checks for array access and NaN values
     const ownFinalNetWorth = Number(ownScenario.netWorth[finalIndex]) || 0;
     const rentFinalNetWorth = Number(rentScenario.netWorth[finalIndex]) || 0;
-    const difference = ownFinalNetWorth - rentFinalNetWorth;
-    const differencePercent = rentFinalNetWorth !== 0 ? ((difference / rentFinalNetWorth) * 100) : 0;
+
+    // The verdict compares what each household would walk away with after selling
+    const ownFinalNetWorthIfSold = Number(ownScenario.netWorthIfSold[finalIndex]) || 0;
+    const rentFinalNetWorthIfSold = Number(rentScenario.netWorthIfSold[finalIndex]) || 0;
+    const difference = ownFinalNetWorthIfSold - rentFinalNetWorthIfSold;
+    const differencePercent = rentFinalNetWorthIfSold !== 0 ? ((difference / rentFinalNetWorthIfSold) * 100) : 0;
 
     const ownTotalCosts = Number(ownScenario.totalCosts[finalIndex]) || 0;
     const rentTotalCosts = Number(rentScenario.totalCosts[finalIndex]) || 0;
     const costDifference = ownTotalCosts - rentTotalCosts;
+    const totalTaxSavings = ownScenario.taxSavings
+      .slice(0, finalIndex + 1)
+      .reduce((sum, value) => sum + (Number(value) || 0), 0);
+    const finalSimulationYear = simulation ? simulation.years[simulation.years.length - 1] : null;
+
+    // Rental income is a flat nominal amount each month, deflated like every other figure
+    const monthlyRentalIncome = Number(resultParameters.rentalIncome) || 0;
+    const rentalIncomeByMonth = Array.from({ length: finalIndex + 1 }, (_, month) => (month === 0 ? 0 : monthlyRentalIncome));
+    const totalRentalIncome = (realDollars ? deflateSeries(rentalIncomeByMonth, inflationRate) : rentalIncomeByMonth)
+      .reduce((sum, value) => sum + value, 0);
+
+    // PMI or FHA MIP paid over the horizon, already part of the owner's housing costs
+    const totalMortgageInsurance = ownScenario.mortgageInsurance
+      .slice(0, finalIndex + 1)
+      .reduce((sum, value) => sum + (Number(value) || 0), 0);
+    const mortgageInsurance = totalMortgageInsurance > 0 || results.upfrontMortgageInsurance > 0 ? {
+      program: resultParameters.loanProgram === 'fha' ? 'fha' : 'conventional',
+      upfrontPremium: results.upfrontMortgageInsurance,
+      monthlyPremium: Number(ownScenario.mortgageInsurance[1]) || 0,
+      totalPremiums: totalMortgageInsurance,
+      removalMonth: ownScenario.mortgageInsuranceRemovalMonth
+    } : null;
+
+    // Prepay vs invest: the same extra cash either pays down the loan or stays in the portfolio
+    const { prepayScenario } = results;
+    const prepayment = prepayScenario && results.prepayAmortization ? {
+      totalPrepaid: prepayScenario.extraPrincipal
+        .slice(0, finalIndex + 1)
+        .reduce((sum, value) => sum + (Number(value) || 0), 0),
+      interestSaved: results.amortization.totalInterest - results.prepayAmortization.totalInterest,
+      originalPayoffMonth: results.amortization.payoffMonth,
+      payoffMonth: results.prepayAmortization.payoffMonth,
+      monthsSaved: results.amortization.payoffMonth - results.prepayAmortization.payoffMonth,
+      prepayFinalNetWorthIfSold: Number(prepayScenario.netWorthIfSold[finalIndex]) || 0,
+      investFinalNetWorthIfSold: ownFinalNetWorthIfSold,
+      difference: (Number(prepayScenario.netWorthIfSold[finalIndex]) || 0) - ownFinalNetWorthIfSold
+    } : null;
 
     return {
       ownFinalNetWorth,
       rentFinalNetWorth,
+      ownFinalNetWorthIfSold,
+      rentFinalNetWorthIfSold,
+      finalSellingCosts: Number(ownScenario.sellingCosts[finalIndex]) || 0,
+      includeTaxes: Boolean(resultParameters.includeTaxes),
+      totalTaxSavings,
+      ownTaxesAtExit: Number(ownScenario.taxesIfSold[finalIndex]) || 0,
+      rentTaxesAtExit: Number(rentScenario.taxesIfSold[finalIndex]) || 0,
       netWorthDifference: difference,
       netWorthDifferencePercent: differencePercent,
       ownTotalCosts,
@@ -76,24 +283,46 @@ export const useCalculations = (parameters) => {
       costDifference,
       timeHorizon,
       breakEvenPoint: results.breakEvenPoint,
+      payoffYear: results.payoffMonth ? results.payoffMonth / 12 : null,
+      refinance: results.refinance,
+      arm: results.arm ? {
+        product: results.arm.product,
+        initialPayment: results.monthlyMortgagePayment,
+        // Only resets that move the rate change what the household pays
+        adjustments: results.arm.adjustments.filter(adjustment => adjustment.rate !== adjustment.previousRate),
+        worstCase: results.arm.worstCase
+      } : null,
       recommendation: difference > 0 ? 'own' : 'rent',
-      rentalIncome: Number(parameters.rentalIncome) || 0,
+      rentalIncome: monthlyRentalIncome,
+      totalRentalIncome,
       downPaymentAmount: results.downPaymentAmount || 0,
+      purchaseClosingCosts: results.purchaseClosingCosts || 0,
       ownStartingInvestments: results.ownStartingInvestmentBalance || 0,
-      rentStartingInvestments: Number(parameters.investmentStartBalance) || 0
+      rentStartingInvestments: Number(resultParameters.investmentStartBalance) || 0,
+      realDollars,
+      inflationRate,
+      prepayment,
+      mortgageInsurance,
+      monteCarlo: finalSimulationYear ? {
+        simulationCount: simulation.simulationCount,
+        probabilityOwnWins: finalSimulationYear.probabilityOwnWins,
+        own: finalSimulationYear.own,
+        rent: finalSimulationYear.rent
+      } : null
     };
-  }, [results, parameters.timeHorizon]);
+  }, [displayResults, displaySimulation, realDollars, inflationRate, resultParameters.timeHorizon, resultParameters.includeTaxes, resultParameters.rentalIncome, resultParameters.investmentStartBalance, resultParameters.loanProgram]);
 
   /**
    * Calculate year-by-year data for charts
    */
   const chartData = useMemo(() => {
-    if (results.error || !results.ownScenario || !results.rentScenario) {
+    if (displayResults.error || !displayResults.ownScenario || !displayResults.rentScenario) {
       return null;
     }
 
-    const { ownScenario, rentScenario } = results;
-    const years = Number(parameters.timeHorizon) || 30;
+    const simulation = displaySimulation;
+    const { ownScenario, rentScenario, prepayScenario } = displayResults;
+    const years = Number(resultParameters.timeHorizon) || 30;
     const data = [];
 
     for (let year = 0; year <= years; year++) {
@@ -102,130 +331,85 @@ export const useCalculations = (parameters) => {
       if (monthIndex < ownScenario.netWorth.length && monthIndex < rentScenario.netWorth.length) {
         const ownNetWorth = Number(ownScenario.netWorth[monthIndex]) || 0;
         const rentNetWorth = Number(rentScenario.netWorth[monthIndex]) || 0;
+        const band = simulation ? simulation.years[year] : null;
         
         data.push({
           year,
           ownNetWorth,
           rentNetWorth,
+          ownNetWorthIfSold: Number(ownScenario.netWorthIfSold[monthIndex]) || 0,
+          rentNetWorthIfSold: Number(rentScenario.netWorthIfSold[monthIndex]) || 0,
           homeEquity: ownScenario.homeEquity[monthIndex],
           ownInvestments: ownScenario.investments[monthIndex],
           rentInvestments: rentScenario.investments[monthIndex],
           ownCosts: ownScenario.totalCosts[monthIndex],
           rentCosts: rentScenario.totalCosts[monthIndex],
           ownMonthlyPayment: ownScenario.monthlyPayments[monthIndex],
-          rentMonthlyPayment: rentScenario.monthlyPayments[monthIndex]
+          rentMonthlyPayment: rentScenario.monthlyPayments[monthIndex],
+          ...(prepayScenario && {
+            prepayNetWorth: Number(prepayScenario.netWorth[monthIndex]) || 0,
+            prepayNetWorthIfSold: Number(prepayScenario.netWorthIfSold[monthIndex]) || 0
+          }),
+          ...(band && {
+            ownP10: band.own.p10,
+            ownP50: band.own.p50,
+            ownP90: band.own.p90,
+            rentP10: band.rent.p10,
+            rentP50: band.rent.p50,
+            rentP90: band.rent.p90,
+            probabilityOwnWins: band.probabilityOwnWins
+          })
         });
       }
     }
 
     return data;
-  }, [results, parameters.timeHorizon]);
-
-  return {
-    results,
-    summary,
-    chartData,
-    isValid: !results.error,
-    error: results.error
-  };
-};
-
-/**
- * Validate calculation parameters
- * @param {Object} params - Parameters to validate
- * @returns {Object} - Validation result
- */
-const validateParameters = (params) => {
-  const errors = {};
-
-  // Home price validation
-  if (!params.homePrice || params.homePrice <= 0) {
-    errors.homePrice = "Home price must be greater than 0";
-  }
-
-  // Down payment validation
-  if (params.downPayment < 0 || params.downPayment > 100) {
-    errors.downPayment = "Down payment must be between 0% and 100%";
-  }
+  }, [displayResults, displaySimulation, resultParameters.timeHorizon]);
 
-  // Validate down payment amount against starting investment balance
-  if (params.homePrice && params.downPayment && params.investmentStartBalance !== undefined) {
-    const downPaymentAmount = (params.downPayment / 100) * params.homePrice;
-    const startingBalance = Number(params.investmentStartBalance) || 0;
-    
-    if (downPaymentAmount > startingBalance) {
-      errors.downPayment = `Down payment ($${downPaymentAmount.toLocaleString()}) exceeds available investment balance ($${startingBalance.toLocaleString()}) for ownership scenario`;
+  /**
+   * Events to mark on the time axis of the charts
+   */
+  const chartMarkers = useMemo(() => {
+    if (results.error || !results.ownScenario) {
+      return [];
     }
-  }
-
-  // Mortgage rate validation
-  if (params.mortgageRate < 0 || params.mortgageRate > 50) {
-    errors.mortgageRate = "Mortgage rate must be between 0% and 50%";
-  }
-
-  // Loan term validation
-  if (params.loanTerm < 1 || params.loanTerm > 50) {
-    errors.loanTerm = "Loan term must be between 1 and 50 years";
-  }
-
-  // Property tax rate validation
-  if (params.propertyTaxRate < 0 || params.propertyTaxRate > 10) {
-    errors.propertyTaxRate = "Property tax rate must be between 0% and 10%";
-  }
-
-  // Monthly rent validation
-  if (!params.monthlyRent || params.monthlyRent <= 0) {
-    errors.monthlyRent = "Monthly rent must be greater than 0";
-  }
-
-  // Rent increase rate validation
-  if (params.rentIncreaseRate < 0 || params.rentIncreaseRate > 20) {
-    errors.rentIncreaseRate = "Rent increase rate must be between 0% and 20%";
-  }
-
-  // Investment return validation
-  if (params.investmentReturn < -50 || params.investmentReturn > 50) {
-    errors.investmentReturn = "Investment return must be between -50% and 50%";
-  }
-
-  // Time horizon validation
-  if (params.timeHorizon < 1 || params.timeHorizon > 50) {
-    errors.timeHorizon = "Time horizon must be between 1 and 50 years";
-  }
-
-  // Insurance and maintenance validation
-  if (params.homeInsurance < 0) {
-    errors.homeInsurance = "Home insurance cannot be negative";
-  }
-
-  if (params.maintenanceCost < 0) {
-    errors.maintenanceCost = "Maintenance cost cannot be negative";
-  }
-
-  if (params.hoaFees < 0) {
-    errors.hoaFees = "HOA fees cannot be negative";
-  }
-
-  if (params.investmentStartBalance < 0) {
-    errors.investmentStartBalance = "Investment start balance cannot be negative";
-  }
 
-  if (params.monthlyBudget < 0) {
-    errors.monthlyBudget = "Monthly budget cannot be negative";
-  }
-
-  // Home appreciation rate validation
-  if (params.homeAppreciationRate < -10 || params.homeAppreciationRate > 20) {
-    errors.homeAppreciationRate = "Home appreciation rate must be between -10% and 20%";
-  }
+    const markers = [];
+    if (results.arm && results.arm.adjustments.length > 0) {
+      markers.push({ year: (results.arm.adjustments[0].month - 1) / 12, label: 'First ARM reset' });
+    }
+    const insuranceRemovalMonth = results.ownScenario.mortgageInsuranceRemovalMonth;
+    if (insuranceRemovalMonth) {
+      markers.push({
+        year: (insuranceRemovalMonth - 1) / 12,
+        label: resultParameters.loanProgram === 'fha' ? 'MIP ends' : 'PMI removed'
+      });
+    }
+    if (results.refinance) {
+      markers.push({ year: results.refinance.month / 12, label: 'Refinance' });
+    }
+    if (results.payoffMonth) {
+      markers.push({ year: results.payoffMonth / 12, label: 'Mortgage paid off' });
+    }
+    if (results.prepayAmortization && results.prepayAmortization.payoffMonth <= results.ownScenario.netWorth.length - 1) {
+      markers.push({ year: results.prepayAmortization.payoffMonth / 12, label: 'Paid off with prepayments' });
+    }
 
-  // Rental income validation
-  if (params.rentalIncome < 0) {
-    errors.rentalIncome = "Rental income cannot be negative";
-  }
+    return markers;
+  }, [results, resultParameters.loanProgram]);
 
   return {
-    isValid: Object.keys(errors).length === 0,
-    errors
+    results,
+    simulation,
+    summary,
+    chartData,
+    chartMarkers,
+    isValid: !results.error && Boolean(results.ownScenario),
+    error: results.error,
+    fieldErrors: validation.errors,
+    fieldWarnings,
+    // Results belong to earlier inputs because the current ones have errors
+    isStale: hasFieldErrors && Boolean(calculation),
+    resultParameters
   };
 };
@@ -0,0 +1,32 @@
+import { useMemo } from 'react';
+import { useCalculationJob } from './useCalculationJob';
+import { deflateHorizonValues } from '../utils/calculations';
+
+/**
+ * Custom hook that sweeps a two-input heatmap in the calculation worker so large grids
+ * do not block the form
+ * @param {Object} parameters - Calculation parameters
+ * @param {Object} options - Axis fields (xField, yField), grid size (steps) and display options (realDollars)
+ * @returns {Object} - Heatmap result, progress (0-1), loading and error state
+ */
+export const useHeatmap = (parameters, options) => {
+  const { xField, yField, steps = 15, realDollars = false } = options;
+  const payload = useMemo(() => ({ params: parameters, xField, yField, steps }), [parameters, xField, yField, steps]);
+  const { result, progress, isLoading, error } = useCalculationJob('heatmap', payload);
+
+  const heatmap = useMemo(() => {
+    if (!result || !realDollars) return result;
+
+    return {
+      ...result,
+      cells: result.cells.map(cell => deflateHorizonValues(cell, ['difference'], parameters))
+    };
+  }, [result, realDollars, parameters]);
+
+  return {
+    heatmap,
+    progress,
+    isLoading,
+    error
+  };
+};
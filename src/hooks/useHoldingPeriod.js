@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { useCalculationJob } from './useCalculationJob';
+import { deflateHorizonValues } from '../utils/calculations';
+
+/**
+ * Custom hook for the sell-and-move strategy across every holding period, run in the
+ * calculation worker
+ * @param {Object} parameters - Calculation parameters (holdingPeriodEnabled, afterSaleStrategy, timeHorizon)
+ * @param {Object} [options] - Display options (realDollars)
+ * @returns {Object} - Holding period curve, loading and error state
+ */
+export const useHoldingPeriod = (parameters, options = {}) => {
+  const { realDollars = false } = options;
+  const payload = useMemo(() => (
+    parameters.holdingPeriodEnabled ? { params: parameters, afterSale: parameters.afterSaleStrategy } : null
+  ), [parameters]);
+  const { result, isLoading, error } = useCalculationJob(payload ? 'holdingPeriod' : null, payload);
+
+  const curve = useMemo(() => {
+    if (!result || !realDollars) return result;
+
+    return {
+      ...result,
+      points: result.points.map(point => (
+        deflateHorizonValues(point, ['ownNetWorth', 'rentNetWorth', 'advantage'], parameters)
+      ))
+    };
+  }, [result, realDollars, parameters]);
+
+  return {
+    curve,
+    isLoading,
+    error
+  };
+};
@@ -0,0 +1,25 @@
+import { useMemo } from 'react';
+import { useCalculationJob } from './useCalculationJob';
+
+/**
+ * Custom hook for comparing mortgage offers against the current scenario, in the
+ * calculation worker
+ * @param {Object} parameters - Calculation parameters, including the loanOffers list
+ * @param {Object} [options] - Comparison options (realDollars)
+ * @returns {Object} - Ranked offer outcomes, loading and error state
+ */
+export const useLoanOffers = (parameters, options = {}) => {
+  const { realDollars = false } = options;
+  const payload = useMemo(() => ({
+    params: parameters,
+    offers: Array.isArray(parameters.loanOffers) ? parameters.loanOffers : [],
+    realDollars
+  }), [parameters, realDollars]);
+  const { result, isLoading, error } = useCalculationJob('loanOffers', payload);
+
+  return {
+    outcomes: result || [],
+    isLoading,
+    error
+  };
+};
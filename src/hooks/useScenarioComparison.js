@@ -0,0 +1,22 @@
+import { useMemo } from 'react';
+import { useCalculationJob } from './useCalculationJob';
+
+/**
+ * Custom hook for comparing saved scenarios side by side, in the calculation worker
+ * @param {Object[]} scenarios - Saved scenarios to compare
+ * @param {Object} [options] - Comparison options (realDollars)
+ * @returns {Object} - Per-scenario outcomes, parameter diff rows, loading and error state
+ */
+export const useScenarioComparison = (scenarios, options = {}) => {
+  const { realDollars = false } = options;
+  const payload = useMemo(() => (
+    scenarios.length >= 2 ? { scenarios, realDollars } : null
+  ), [scenarios, realDollars]);
+  const { result, isLoading, error } = useCalculationJob(payload ? 'scenarioComparison' : null, payload);
+
+  return {
+    comparison: result,
+    isLoading,
+    error
+  };
+};
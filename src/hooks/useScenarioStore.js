@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  normalizeScenario,
+  updateScenario,
+  renameScenario,
+  duplicateScenario,
+  restoreScenarioVersion
+} from '../utils/scenarioStore';
+import { mergeImportedScenarios } from '../utils/scenarioBundle';
+import { openScenarioRepository } from '../utils/scenarioRepository';
+
+/**
+ * Custom hook for saved scenarios: add, update in place with history, rename,
+ * duplicate, restore earlier versions, import and delete. Scenarios live in the
+ * scenario repository and reload when another tab changes them.
+ * @returns {Object} - Scenarios, loading state, storage error and edit functions
+ */
+export const useScenarioStore = () => {
+  const [store, setStore] = useState({ scenarios: [], isLoading: true, error: null });
+  const repositoryRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    const repository = repositoryRef.current;
+    if (!repository) return;
+
+    try {
+      const scenarios = await repository.list();
+      setStore({ scenarios, isLoading: false, error: null });
+    } catch (error) {
+      console.error('Error reading saved scenarios:', error);
+      // Never overwrite storage we could not read (e.g. written by a newer version)
+      repositoryRef.current = null;
+      setStore({ scenarios: [], isLoading: false, error: error.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+    let repository = null;
+
+    openScenarioRepository()
+      .then(opened => {
+        if (!active) {
+          opened.close();
+          return;
+        }
+        repository = opened;
+        repositoryRef.current = opened;
+        opened.subscribe(refresh);
+        refresh();
+      })
+      .catch(error => {
+        console.error('Error opening saved scenarios:', error);
+        if (active) setStore({ scenarios: [], isLoading: false, error: error.message });
+      });
+
+    return () => {
+      active = false;
+      repositoryRef.current = null;
+      if (repository) repository.close();
+    };
+  }, [refresh]);
+
+  /**
+   * Run a repository write, then reload the list. Failures (e.g. a full disk) are shown
+   * through the error field and resolve to undefined.
+   */
+  const write = useCallback(async (operation) => {
+    const repository = repositoryRef.current;
+    if (!repository) return undefined;
+
+    try {
+      const result = await operation(repository);
+      await refresh();
+      return result;
+    } catch (error) {
+      console.error('Error saving scenarios:', error);
+      setStore(current => ({ ...current, error: error.message }));
+      return undefined;
+    }
+  }, [refresh]);
+
+  const addScenario = useCallback((scenario) => (
+    write(repository => repository.put(normalizeScenario(scenario)))
+  ), [write]);
+
+  const saveScenarioParameters = useCallback((id, parameters, note) => (
+    write(repository => repository.update(id, scenario => updateScenario(scenario, parameters, note)))
+  ), [write]);
+
+  const renameSavedScenario = useCallback((id, name) => (
+    write(repository => repository.update(id, scenario => renameScenario(scenario, name)))
+  ), [write]);
+
+  const duplicateSavedScenario = useCallback((id) => (
+    write(async repository => {
+      const original = await repository.get(id);
+      if (original) await repository.put(duplicateScenario(original));
+    })
+  ), [write]);
+
+  const restoreVersion = useCallback((id, versionId) => (
+    write(repository => repository.update(id, scenario => restoreScenarioVersion(scenario, versionId)))
+  ), [write]);
+
+  // Resolves to the number of entries that took each action
+  const importScenarios = useCallback((entries) => (
+    write(async repository => {
+      const existing = await repository.list();
+      const { scenarios, counts } = mergeImportedScenarios(existing, entries);
+      await repository.putMany(scenarios.filter(scenario => !existing.includes(scenario)));
+      return counts;
+    })
+  ), [write]);
+
+  const deleteScenario = useCallback((id) => (
+    write(repository => repository.remove(id))
+  ), [write]);
+
+  return {
+    scenarios: store.scenarios,
+    isLoading: store.isLoading,
+    error: store.error,
+    addScenario,
+    saveScenarioParameters,
+    renameScenario: renameSavedScenario,
+    duplicateScenario: duplicateSavedScenario,
+    restoreVersion,
+    importScenarios,
+    deleteScenario
+  };
+};
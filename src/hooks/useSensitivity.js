@@ -0,0 +1,33 @@
+import { useMemo } from 'react';
+import { useCalculationJob } from './useCalculationJob';
+import { deflateHorizonValues } from '../utils/calculations';
+
+/**
+ * Custom hook for the one-at-a-time sensitivity analysis behind the tornado chart, run in
+ * the calculation worker
+ * @param {Object} parameters - Calculation parameters
+ * @param {Object} [options] - Shift sizes (relativeShift, rateShift) and display options (realDollars)
+ * @returns {Object} - Sensitivity results, loading and error state
+ */
+export const useSensitivity = (parameters, options = {}) => {
+  const { relativeShift = 10, rateShift = 1, realDollars = false } = options;
+  const payload = useMemo(() => ({ params: parameters, relativeShift, rateShift }), [parameters, relativeShift, rateShift]);
+  const { result, isLoading, error } = useCalculationJob('sensitivity', payload);
+
+  const sensitivity = useMemo(() => {
+    if (!result || !realDollars) return result;
+
+    return {
+      ...deflateHorizonValues(result, ['baseDifference'], parameters),
+      results: result.results.map(item => (
+        deflateHorizonValues(item, ['lowDifference', 'highDifference', 'swing'], parameters)
+      ))
+    };
+  }, [result, realDollars, parameters]);
+
+  return {
+    sensitivity,
+    isLoading,
+    error
+  };
+};
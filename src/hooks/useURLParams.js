@@ -1,90 +1,53 @@
 import { useState, useEffect, useCallback } from 'react';
-
-/**
- * URL parameter mapping for compact URLs
- */
-const urlParams = {
-  homePrice: 'hp',
-  downPayment: 'dp',
-  mortgageRate: 'mr',
-  loanTerm: 'lt',
-  propertyTaxRate: 'pt',
-  homeInsurance: 'hi',
-  maintenanceCost: 'mc',
-  hoaFees: 'hoa',
-  homeAppreciationRate: 'har',
-  rentalIncome: 'ri',
-  monthlyRent: 'rent',
-  rentIncreaseRate: 'rir',
-  investmentStartBalance: 'isb',
-  monthlyInvestment: 'mi',
-  investmentReturn: 'ir',
-  timeHorizon: 'th'
-};
+import { encodeShareLink, decodeShareLink } from '../utils/shareLink';
 
 /**
  * Custom hook for URL parameter management
- * @param {Object} defaultParams - Default parameter values
+ * @param {Object} defaultParams - Default parameter values, left out of generated links
  * @returns {Object} - URL parameter utilities
  */
 export const useURLParams = (defaultParams = {}) => {
-  const [urlParameters, setUrlParameters] = useState(null);
+  const [sharedLink, setSharedLink] = useState(null);
 
   /**
-   * Parse URL parameters on component mount
+   * Decode the share link in the URL on component mount
    */
   useEffect(() => {
-    const params = parseURLParams();
-    if (Object.keys(params).length > 0) {
-      setUrlParameters(params);
-    }
-  }, []);
+    let active = true;
 
-  /**
-   * Parse URL parameters into parameter object
-   */
-  const parseURLParams = useCallback(() => {
-    const params = new URLSearchParams(window.location.search);
-    const scenario = {};
-    
-    Object.entries(urlParams).forEach(([fullKey, shortKey]) => {
-      const value = params.get(shortKey);
-      if (value !== null && !isNaN(value)) {
-        scenario[fullKey] = parseFloat(value);
-      }
-    });
-    
-    return scenario;
+    decodeShareLink(window.location.search)
+      .then(link => {
+        if (active && link) setSharedLink(link);
+      })
+      .catch(error => {
+        console.error('Could not read the share link:', error);
+        if (active) setSharedLink({ error: error.message });
+      });
+
+    return () => {
+      active = false;
+    };
   }, []);
 
   /**
-   * Generate shareable URL from parameters
+   * Generate shareable URL
+   * @param {Object} content - { parameters, name } for one scenario or { scenarios } for a comparison set
+   * @returns {Promise<string>} Share URL
    */
-  const generateShareURL = useCallback((parameters) => {
-    const params = new URLSearchParams();
-    
-    Object.entries(parameters).forEach(([key, value]) => {
-      if (urlParams[key] && value !== null && value !== undefined) {
-        // Only include non-default values to keep URL clean
-        if (defaultParams[key] === undefined || value !== defaultParams[key]) {
-          params.set(urlParams[key], value.toString());
-        }
-      }
-    });
-    
+  const generateShareURL = useCallback(async (content) => {
+    const queryString = await encodeShareLink(content, { defaults: defaultParams });
     const baseURL = `${window.location.origin}${window.location.pathname}`;
-    const queryString = params.toString();
-    
+
     return queryString ? `${baseURL}?${queryString}` : baseURL;
   }, [defaultParams]);
 
   /**
    * Update URL without page reload
    */
-  const updateURL = useCallback((parameters) => {
-    const newURL = generateShareURL(parameters);
+  const updateURL = useCallback(async (parameters) => {
+    const newURL = await generateShareURL({ parameters });
     const currentURL = window.location.href;
-    
+
     if (newURL !== currentURL) {
       window.history.replaceState({}, '', newURL);
     }
@@ -93,10 +56,9 @@ export const useURLParams = (defaultParams = {}) => {
   /**
    * Copy share URL to clipboard
    */
-  const copyShareURL = useCallback(async (parameters) => {
-    const shareURL = generateShareURL(parameters);
-    
+  const copyShareURL = useCallback(async (content) => {
     try {
+      const shareURL = await generateShareURL(content);
       await navigator.clipboard.writeText(shareURL);
       return { success: true, url: shareURL };
     } catch (error) {
@@ -111,15 +73,29 @@ export const useURLParams = (defaultParams = {}) => {
   const clearURL = useCallback(() => {
     const baseURL = `${window.location.origin}${window.location.pathname}`;
     window.history.replaceState({}, '', baseURL);
-    setUrlParameters(null);
+    setSharedLink(null);
+  }, []);
+
+  /**
+   * Forget the opened share link, keeping the current URL
+   */
+  const dismissSharedLink = useCallback(() => {
+    setSharedLink(null);
   }, []);
 
+  // A comparison set opens with its first scenario's inputs
+  const urlParameters = sharedLink && !sharedLink.error
+    ? sharedLink.parameters || (sharedLink.scenarios && sharedLink.scenarios[0] ? sharedLink.scenarios[0].parameters : null)
+    : null;
+
   return {
     urlParameters,
+    sharedLink,
     generateShareURL,
     updateURL,
     copyShareURL,
     clearURL,
+    dismissSharedLink,
     hasUrlParams: urlParameters !== null
   };
 };
@@ -0,0 +1,364 @@
+/**
+ * Mortgage amortization utilities for the Own vs Rent Calculator
+ */
+
+/**
+ * Resolve the extra principal paid in a given month
+ * @param {number|number[]} extraPrincipal - Constant extra payment, or one amount per month (indexed by month)
+ * @param {number} month - Month number (1-based)
+ * @returns {number} Extra principal for that month
+ */
+const getExtraPrincipalForMonth = (extraPrincipal, month) => {
+  const value = Array.isArray(extraPrincipal) ? extraPrincipal[month] : extraPrincipal;
+  return Math.max(0, Number(value) || 0);
+};
+
+/**
+ * Combine recurring, annual and one-off prepayments into extra principal per month
+ * @param {Object} options - Prepayment settings
+ * @param {number} [options.extraMonthlyPrincipal=0] - Extra principal paid every month
+ * @param {number} [options.annualLumpSum=0] - Lump sum paid once a year
+ * @param {number} [options.annualLumpSumMonth=12] - Month of the loan year (1-12) in which the lump sum is paid
+ * @param {number} [options.oneTimePrepayment=0] - Single prepayment
+ * @param {number} [options.oneTimePrepaymentMonth=12] - Loan month (1-based) of the single prepayment
+ * @param {number} months - Number of months to plan
+ * @returns {number[]} Extra principal by month (index 0 is unused)
+ */
+export const buildExtraPrincipalPlan = ({
+  extraMonthlyPrincipal = 0,
+  annualLumpSum = 0,
+  annualLumpSumMonth = 12,
+  oneTimePrepayment = 0,
+  oneTimePrepaymentMonth = 12
+}, months) => {
+  const plan = [0];
+
+  for (let month = 1; month <= months; month++) {
+    let extra = Math.max(0, Number(extraMonthlyPrincipal) || 0);
+    if ((month - 1) % 12 + 1 === Number(annualLumpSumMonth)) {
+      extra += Math.max(0, Number(annualLumpSum) || 0);
+    }
+    if (month === Number(oneTimePrepaymentMonth)) {
+      extra += Math.max(0, Number(oneTimePrepayment) || 0);
+    }
+    plan.push(extra);
+  }
+
+  return plan;
+};
+
+/**
+ * Adjustable-rate mortgage products: years at the initial rate, then months between resets
+ */
+export const ARM_PRODUCTS = [
+  { id: '5/1', label: '5/1 ARM', fixedYears: 5, adjustmentMonths: 12 },
+  { id: '7/1', label: '7/1 ARM', fixedYears: 7, adjustmentMonths: 12 },
+  { id: '10/6', label: '10/6 ARM', fixedYears: 10, adjustmentMonths: 6 }
+];
+
+/**
+ * Shapes the ARM index can follow over the life of the loan
+ */
+export const INDEX_PATHS = [
+  { id: 'flat', label: 'Flat' },
+  { id: 'rising', label: 'Rising' },
+  { id: 'falling', label: 'Falling' },
+  { id: 'custom', label: 'Custom' }
+];
+
+/**
+ * Build the yearly ARM index path
+ * @param {Object} options - Index settings
+ * @param {number} options.startRate - Index rate today (percentage)
+ * @param {string} options.path - 'flat', 'rising', 'falling' or 'custom'
+ * @param {number} [options.annualChange=0] - Change per year for rising and falling paths (percentage points)
+ * @param {string|number[]} [options.customRates] - Comma-separated or array of yearly index rates for a custom path
+ * @param {number} options.years - Number of years to cover
+ * @returns {number[]} Index rate for each year (indexed by year)
+ */
+export const buildIndexPath = ({ startRate, path, annualChange = 0, customRates, years }) => {
+  const start = Number(startRate) || 0;
+  const change = Math.abs(Number(annualChange) || 0);
+  const custom = (Array.isArray(customRates) ? customRates : String(customRates || '').split(','))
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value));
+
+  return Array.from({ length: Math.max(1, years) }, (_, year) => {
+    if (path === 'rising') return start + change * year;
+    if (path === 'falling') return Math.max(0, start - change * year);
+    if (path === 'custom' && custom.length > 0) return custom[Math.min(year, custom.length - 1)];
+    return start;
+  });
+};
+
+/**
+ * Calculate the rate an ARM resets to, limited by its caps
+ * @param {Object} arm - ARM terms (margin and caps, in percentage points)
+ * @param {number} indexRate - Index rate at the reset (percentage)
+ * @param {number} currentRate - Rate before the reset (percentage)
+ * @param {number} initialRate - Rate at origination (percentage)
+ * @param {boolean} isFirstReset - Whether the initial adjustment cap applies
+ * @returns {number} New annual rate (percentage)
+ */
+const calculateArmResetRate = (arm, indexRate, currentRate, initialRate, isFirstReset) => {
+  // Fully indexed rate, rounded to the nearest eighth of a point as lenders do
+  const indexedRate = Math.round((indexRate + arm.margin) * 8) / 8;
+  const adjustmentCap = isFirstReset ? arm.initialCap : arm.periodicCap;
+  const ceiling = Math.min(currentRate + adjustmentCap, initialRate + arm.lifetimeCap);
+  const floor = Math.max(currentRate - adjustmentCap, arm.margin, 0);
+
+  return Math.min(ceiling, Math.max(floor, indexedRate));
+};
+
+/**
+ * Calculate the level payment that retires a balance over a number of months
+ * @param {number} balance - Amount borrowed
+ * @param {number} monthlyRate - Monthly interest rate (decimal)
+ * @param {number} termMonths - Number of payments
+ * @returns {number} Monthly principal and interest payment
+ */
+const calculateLevelPayment = (balance, monthlyRate, termMonths) => {
+  if (termMonths <= 0) return balance;
+  if (monthlyRate === 0) return balance / termMonths;
+
+  return balance * (monthlyRate * Math.pow(1 + monthlyRate, termMonths)) /
+    (Math.pow(1 + monthlyRate, termMonths) - 1);
+};
+
+/**
+ * Build a month-by-month amortization schedule.
+ * The scheduled payment is fixed at origination; extra principal shortens the
+ * loan rather than lowering the payment, and the final payment only covers
+ * what is left. An optional refinance replaces the loan after a given month
+ * with a new rate and term on the remaining balance plus any cash-out.
+ * @param {Object} options - Loan terms
+ * @param {number} options.principal - Loan amount
+ * @param {number} options.annualRate - Annual interest rate (percentage)
+ * @param {number} options.termYears - Loan term in years
+ * @param {number|number[]} [options.extraPrincipal=0] - Extra principal per month, or one amount per month (indexed by month)
+ * @param {Object} [options.refinance] - Refinance event
+ * @param {number} options.refinance.month - Months into the original loan when the new loan replaces it
+ * @param {number} options.refinance.annualRate - New annual interest rate (percentage)
+ * @param {number} options.refinance.termYears - New loan term in years
+ * @param {number} [options.refinance.cashOut=0] - Cash taken out on top of the remaining balance
+ * @param {number} [options.refinance.closingCosts=0] - Closing costs paid at refinance
+ * @param {Object} [options.arm] - Adjustable-rate terms; annualRate is the initial rate
+ * @param {number} options.arm.fixedYears - Years at the initial rate
+ * @param {number} options.arm.adjustmentMonths - Months between resets
+ * @param {number} options.arm.margin - Margin added to the index (percentage points)
+ * @param {number} options.arm.initialCap - Maximum change at the first reset (percentage points)
+ * @param {number} options.arm.periodicCap - Maximum change at later resets (percentage points)
+ * @param {number} options.arm.lifetimeCap - Maximum increase over the initial rate (percentage points)
+ * @param {number[]} options.arm.indexRates - Index rate for each year (percentage)
+ * @returns {Object} Monthly rows, scheduled payment, payoff month, total interest, refinance details and ARM adjustments
+ */
+export const buildAmortizationSchedule = ({ principal, annualRate, termYears, extraPrincipal = 0, refinance = null, arm = null }) => {
+  const loanAmount = Math.max(0, Number(principal) || 0);
+  const termMonths = Math.max(0, Math.round((Number(termYears) || 0) * 12));
+  const originalRate = Math.max(0, Number(annualRate) || 0);
+
+  if (loanAmount === 0 || termMonths === 0) {
+    return { rows: [], scheduledPayment: 0, payoffMonth: 0, totalInterest: 0, refinance: null, adjustments: [] };
+  }
+
+  const scheduledPayment = calculateLevelPayment(loanAmount, originalRate / 12 / 100, termMonths);
+  const refinanceMonth = refinance ? Math.round(Number(refinance.month) || 0) : 0;
+
+  const rows = [];
+  let balance = loanAmount;
+  let cumulativeInterest = 0;
+  let rate = originalRate;
+  let payment = scheduledPayment;
+  let lastMonth = termMonths;
+  let refinanceDetails = null;
+  const adjustments = [];
+  const fixedMonths = arm ? Math.round(arm.fixedYears * 12) : 0;
+
+  for (let month = 1; month <= lastMonth && balance > 0; month++) {
+    if (refinance && month === refinanceMonth + 1 && refinanceMonth > 0) {
+      const cashOut = Math.max(0, Number(refinance.cashOut) || 0);
+      const newTermMonths = Math.max(1, Math.round((Number(refinance.termYears) || 0) * 12));
+      const previousPayment = payment;
+      const previousRate = rate;
+
+      rate = Math.max(0, Number(refinance.annualRate) || 0);
+      balance += cashOut;
+      payment = calculateLevelPayment(balance, rate / 12 / 100, newTermMonths);
+      lastMonth = refinanceMonth + newTermMonths;
+
+      const closingCosts = Math.max(0, Number(refinance.closingCosts) || 0);
+      const monthlySavings = previousPayment - payment;
+
+      refinanceDetails = {
+        month: refinanceMonth,
+        previousBalance: balance - cashOut,
+        newPrincipal: balance,
+        previousRate,
+        annualRate: rate,
+        previousPayment,
+        newPayment: payment,
+        cashOut,
+        closingCosts,
+        monthlySavings,
+        // Months of lower payments needed to recover the closing costs
+        breakEvenMonths: monthlySavings > 0 ? Math.ceil(closingCosts / monthlySavings) : null
+      };
+    }
+
+    // ARM resets re-amortize the remaining balance over the remaining term; a refinance ends the ARM
+    const isReset = arm && !refinanceDetails && month > fixedMonths &&
+      (month - fixedMonths - 1) % arm.adjustmentMonths === 0;
+    if (isReset) {
+      const indexRates = arm.indexRates && arm.indexRates.length ? arm.indexRates : [0];
+      const indexRate = indexRates[Math.min(Math.floor((month - 1) / 12), indexRates.length - 1)];
+      const previousRate = rate;
+      const previousPayment = payment;
+
+      rate = calculateArmResetRate(arm, indexRate, rate, originalRate, adjustments.length === 0);
+      payment = calculateLevelPayment(balance, rate / 12 / 100, lastMonth - month + 1);
+
+      adjustments.push({
+        month,
+        previousRate,
+        rate,
+        previousPayment,
+        payment,
+        paymentShock: payment - previousPayment
+      });
+    }
+
+    const monthlyRate = rate / 12 / 100;
+    const interest = balance * monthlyRate;
+    const principalPaid = Math.min(balance, payment - interest);
+    const extra = Math.min(balance - principalPaid, getExtraPrincipalForMonth(extraPrincipal, month));
+
+    balance -= principalPaid + extra;
+    // Absorb floating point dust so the loan closes exactly on its last payment
+    if (balance < 0.005) balance = 0;
+    cumulativeInterest += interest;
+
+    rows.push({
+      month,
+      rate,
+      payment: interest + principalPaid,
+      interest,
+      principal: principalPaid,
+      extraPrincipal: extra,
+      balance,
+      cumulativeInterest
+    });
+  }
+
+  return {
+    rows,
+    scheduledPayment,
+    payoffMonth: rows.length,
+    totalInterest: cumulativeInterest,
+    refinance: refinanceDetails,
+    adjustments
+  };
+};
+
+/**
+ * Find the worst-case ARM payment, where the index rises fast enough to hit
+ * every cap until the rate reaches the lifetime cap
+ * @param {Object} options - Loan terms, as for buildAmortizationSchedule
+ * @returns {{rate: number, payment: number, month: number}} Highest rate and payment, and when the payment peaks
+ */
+export const calculateArmWorstCase = ({ principal, annualRate, termYears, arm }) => {
+  const schedule = buildAmortizationSchedule({
+    principal,
+    annualRate,
+    termYears,
+    arm: { ...arm, indexRates: [100] }
+  });
+
+  return schedule.adjustments.reduce(
+    // Ignore re-amortization rounding so the peak is reported when the rate first tops out
+    (worst, adjustment) => (adjustment.payment > worst.payment + 0.005
+      ? { rate: adjustment.rate, payment: adjustment.payment, month: adjustment.month }
+      : worst),
+    { rate: Number(annualRate) || 0, payment: schedule.scheduledPayment, month: 1 }
+  );
+};
+
+/**
+ * Read the remaining balance after a given month from a schedule
+ * @param {Object} schedule - Output of buildAmortizationSchedule
+ * @param {number} principal - Original loan amount (balance at month 0)
+ * @param {number} month - Months elapsed
+ * @returns {number} Remaining balance
+ */
+export const getScheduleBalance = (schedule, principal, month) => {
+  if (month <= 0) return Math.max(0, Number(principal) || 0);
+  const row = schedule.rows[month - 1];
+  return row ? row.balance : 0;
+};
+
+/**
+ * Aggregate a monthly schedule into loan years
+ * @param {Object[]} rows - Monthly rows from buildAmortizationSchedule
+ * @returns {Object[]} One row per year with totals, closing rate and balance, and cumulative interest
+ */
+export const aggregateScheduleByYear = (rows) => {
+  const years = [];
+
+  rows.forEach(row => {
+    const yearIndex = Math.floor((row.month - 1) / 12);
+    if (!years[yearIndex]) {
+      years[yearIndex] = {
+        year: yearIndex + 1,
+        rate: row.rate,
+        payment: 0,
+        interest: 0,
+        principal: 0,
+        extraPrincipal: 0,
+        balance: 0,
+        cumulativeInterest: 0
+      };
+    }
+
+    const year = years[yearIndex];
+    year.rate = row.rate;
+    year.payment += row.payment;
+    year.interest += row.interest;
+    year.principal += row.principal;
+    year.extraPrincipal += row.extraPrincipal;
+    year.balance = row.balance;
+    year.cumulativeInterest = row.cumulativeInterest;
+  });
+
+  return years;
+};
+
+/**
+ * Convert schedule rows to CSV
+ * @param {Object[]} rows - Monthly or yearly schedule rows
+ * @param {string} [period='month'] - 'month' or 'year', used for the first column
+ * @returns {string} CSV text with a header row
+ */
+export const scheduleToCSV = (rows, period = 'month') => {
+  const header = [
+    period === 'year' ? 'Year' : 'Month',
+    'Rate',
+    'Payment',
+    'Interest',
+    'Principal',
+    'Extra Principal',
+    'Remaining Balance',
+    'Cumulative Interest'
+  ];
+
+  const lines = rows.map(row => [
+    period === 'year' ? row.year : row.month,
+    row.rate.toFixed(3),
+    row.payment.toFixed(2),
+    row.interest.toFixed(2),
+    row.principal.toFixed(2),
+    row.extraPrincipal.toFixed(2),
+    row.balance.toFixed(2),
+    row.cumulativeInterest.toFixed(2)
+  ].join(','));
+
+  return [header.join(','), ...lines].join('\n');
+};
@@ -0,0 +1,133 @@
+/**
+ * Historical backtesting utilities for the Own vs Rent Calculator
+ */
+import { calculateScenario } from './calculations';
+import { calculatePercentile } from './monteCarlo';
+import { historicalReturns, historicalDataRange } from '../data/historicalReturns';
+
+/**
+ * Get the range of start years that have a full window of historical data
+ * @param {number} timeHorizon - Analysis period in years
+ * @returns {{firstStartYear: number, lastStartYear: number}|null} Valid start years, or null if the window is too long
+ */
+export const getBacktestStartYears = (timeHorizon) => {
+  const horizon = Number(timeHorizon) || 30;
+  const lastStartYear = historicalDataRange.lastYear - horizon + 1;
+
+  if (lastStartYear < historicalDataRange.firstYear) return null;
+
+  return {
+    firstStartYear: historicalDataRange.firstYear,
+    lastStartYear
+  };
+};
+
+/**
+ * Replay one historical window starting in the given year
+ * @param {Object} params - All calculation parameters
+ * @param {number} startYear - First calendar year of the window
+ * @param {Object} [options] - Backtest options
+ * @param {boolean} [options.useHistoricalMortgageRate=true] - Lock in the mortgage rate of the start year
+ * @param {boolean} [options.rentFollowsInflation=true] - Grow rent with historical CPI instead of the fixed rate
+ * @returns {Object} Cohort outcome with yearly series
+ */
+export const runBacktestCohort = (params, startYear, options = {}) => {
+  const { useHistoricalMortgageRate = true, rentFollowsInflation = true } = options;
+  const timeHorizon = Number(params.timeHorizon) || 30;
+  const startIndex = historicalReturns.findIndex(row => row.year === startYear);
+  const window = historicalReturns.slice(startIndex, startIndex + timeHorizon);
+
+  if (startIndex === -1 || window.length < timeHorizon) {
+    throw new Error(`Not enough historical data to start a ${timeHorizon}-year window in ${startYear}`);
+  }
+
+  const mortgageRate = useHistoricalMortgageRate ? window[0].mortgageRate : Number(params.mortgageRate) || 0;
+  const ratePaths = {
+    investmentReturns: window.map(row => row.stockReturn),
+    homeAppreciationRates: window.map(row => row.homePriceChange),
+    inflationRates: window.map(row => row.inflation),
+    ...(rentFollowsInflation && { rentIncreaseRates: window.map(row => row.inflation) })
+  };
+
+  const scenario = calculateScenario({ ...params, mortgageRate }, ratePaths);
+
+  // Cumulative CPI over the window, used to express the outcome in start-year dollars
+  const priceLevel = window.reduce((level, row) => level * (1 + row.inflation / 100), 1);
+
+  const series = [];
+  for (let year = 0; year <= timeHorizon; year++) {
+    series.push({
+      year,
+      calendarYear: startYear + year,
+      ownNetWorth: Number(scenario.ownScenario.netWorthIfSold[year * 12]) || 0,
+      rentNetWorth: Number(scenario.rentScenario.netWorthIfSold[year * 12]) || 0
+    });
+  }
+
+  const final = series[series.length - 1];
+  const difference = final.ownNetWorth - final.rentNetWorth;
+
+  return {
+    startYear,
+    endYear: startYear + timeHorizon - 1,
+    mortgageRate,
+    ownNetWorth: final.ownNetWorth,
+    rentNetWorth: final.rentNetWorth,
+    difference,
+    realDifference: difference / priceLevel,
+    recommendation: difference > 0 ? 'own' : 'rent',
+    breakEvenPoint: scenario.breakEvenPoint,
+    series
+  };
+};
+
+/**
+ * Replay one start year, or sweep every start year with a full window of data
+ * @param {Object} params - All calculation parameters
+ * @param {Object} [options] - Backtest options
+ * @param {number|null} [options.startYear=null] - Single start year, or null to sweep all start years
+ * @param {boolean} [options.useHistoricalMortgageRate=true] - Lock in the mortgage rate of each start year
+ * @param {boolean} [options.rentFollowsInflation=true] - Grow rent with historical CPI
+ * @returns {Object} Cohort outcomes, distribution statistics, and worst/best cohorts
+ */
+export const runBacktest = (params, options = {}) => {
+  const { startYear = null, ...cohortOptions } = options;
+  const range = getBacktestStartYears(params.timeHorizon);
+
+  if (!range) {
+    throw new Error(
+      `Historical data covers ${historicalDataRange.firstYear}-${historicalDataRange.lastYear}, which is shorter than the time horizon`
+    );
+  }
+
+  const startYears = [];
+  if (startYear !== null) {
+    startYears.push(startYear);
+  } else {
+    for (let year = range.firstStartYear; year <= range.lastStartYear; year++) {
+      startYears.push(year);
+    }
+  }
+
+  const cohorts = startYears.map(year => runBacktestCohort(params, year, cohortOptions));
+  const differences = cohorts.map(cohort => cohort.difference).sort((a, b) => a - b);
+  const ownWins = cohorts.filter(cohort => cohort.recommendation === 'own').length;
+
+  const byDifference = [...cohorts].sort((a, b) => a.difference - b.difference);
+
+  return {
+    range,
+    cohorts,
+    distribution: {
+      count: cohorts.length,
+      ownWinRate: ownWins / cohorts.length,
+      min: differences[0],
+      p10: calculatePercentile(differences, 10),
+      median: calculatePercentile(differences, 50),
+      p90: calculatePercentile(differences, 90),
+      max: differences[differences.length - 1]
+    },
+    worstCohort: byDifference[0],
+    bestCohort: byDifference[byDifference.length - 1]
+  };
+};
@@ -0,0 +1,50 @@
+/**
+ * Calculation job registry for the Own vs Rent Calculator. The same jobs run inside the
+ * calculation worker and, synchronously, on the main thread when workers are unavailable.
+ */
+import { calculateScenario } from './calculations';
+import { runMonteCarloSimulation } from './monteCarlo';
+import { calculateHeatmap } from './heatmap';
+import { runSensitivityAnalysis } from './sensitivity';
+import { runBacktest } from './backtest';
+import { calculateHoldingPeriodCurve } from './holdingPeriod';
+import { compareLoanOffers } from './loanOffers';
+import { compareScenarios } from './scenarioComparison';
+import { solveBreakEven } from './goalSeek';
+
+/**
+ * Jobs by name. Each takes the message payload and { onProgress } and returns a
+ * structured-cloneable result.
+ */
+export const CALCULATION_JOBS = {
+  scenario: ({ params }) => calculateScenario(params),
+  monteCarlo: ({ params }, { onProgress }) => runMonteCarloSimulation(params, { onProgress }),
+  heatmap: ({ params, xField, yField, steps }, { onProgress }) => (
+    calculateHeatmap(params, xField, yField, { steps, onProgress })
+  ),
+  sensitivity: ({ params, relativeShift, rateShift }) => runSensitivityAnalysis(params, { relativeShift, rateShift }),
+  backtest: ({ params, startYear, useHistoricalMortgageRate, rentFollowsInflation }) => (
+    runBacktest(params, { startYear, useHistoricalMortgageRate, rentFollowsInflation })
+  ),
+  holdingPeriod: ({ params, afterSale }) => calculateHoldingPeriodCurve(params, afterSale),
+  loanOffers: ({ params, offers, realDollars }) => compareLoanOffers(params, offers, { realDollars }),
+  scenarioComparison: ({ scenarios, realDollars }) => compareScenarios(scenarios, { realDollars }),
+  goalSeek: ({ params, field, year }) => solveBreakEven(params, field, { year })
+};
+
+/**
+ * Run a calculation job in the current thread
+ * @param {string} job - Job name (one of CALCULATION_JOBS)
+ * @param {Object} payload - Job input
+ * @param {Object} [options] - Job options
+ * @param {function(number): void} [options.onProgress] - Called with the share of work done (0-1)
+ * @returns {*} Job result
+ */
+export const runCalculationJob = (job, payload, options = {}) => {
+  const handler = CALCULATION_JOBS[job];
+  if (!handler) {
+    throw new Error(`Unknown calculation job: ${job}`);
+  }
+
+  return handler(payload, { onProgress: options.onProgress || (() => {}) });
+};
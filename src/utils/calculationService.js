@@ -0,0 +1,156 @@
+/**
+ * Calculation service for the Own vs Rent Calculator: runs calculation jobs in a web worker,
+ * one at a time, with request IDs, progress events and cancellation
+ */
+import { runCalculationJob } from './calculationJobs';
+
+/**
+ * Create the error a cancelled job's promise rejects with
+ * @returns {Error} Error flagged with cancelled: true
+ */
+const createCancelledError = () => {
+  const error = new Error('Calculation cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * Check whether a job failed only because it was cancelled
+ * @param {*} error - Rejection reason
+ * @returns {boolean} True for cancellations, which callers normally ignore
+ */
+export const isCancelledError = (error) => Boolean(error && error.cancelled);
+
+const createCalculationWorker = () => (
+  new Worker(new URL('../workers/calculation.worker.js', import.meta.url), { type: 'module' })
+);
+
+/**
+ * Create a calculation service
+ * @param {Object} [options] - Service options
+ * @param {boolean} [options.synchronous] - Run jobs on the calling thread instead of a worker
+ * (defaults to true where Worker is unavailable, e.g. in tests)
+ * @param {function(): Worker} [options.createWorker] - Worker factory
+ * @returns {Object} Service with run, cancel and dispose
+ */
+export const createCalculationService = (options = {}) => {
+  const synchronous = options.synchronous ?? typeof Worker === 'undefined';
+  const createWorker = options.createWorker || createCalculationWorker;
+
+  let worker = null;
+  let nextId = 0;
+  let running = null;
+  const queue = [];
+
+  const finishRunning = () => {
+    const task = running;
+    running = null;
+    return task;
+  };
+
+  const stopWorker = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  // Send the next queued job once the worker is free
+  const pump = () => {
+    if (running || queue.length === 0) return;
+
+    running = queue.shift();
+    getWorker().postMessage({ id: running.id, job: running.job, payload: running.payload });
+  };
+
+  const handleMessage = (event) => {
+    const { id, type } = event.data;
+    // Replies to cancelled jobs are dropped
+    if (!running || id !== running.id) return;
+
+    if (type === 'progress') {
+      if (running.onProgress) running.onProgress(event.data.progress);
+      return;
+    }
+
+    const task = finishRunning();
+    if (type === 'result') task.resolve(event.data.result);
+    else task.reject(new Error(event.data.error));
+    pump();
+  };
+
+  const handleError = (event) => {
+    // A crashed worker cannot be trusted with the next job
+    stopWorker();
+    const task = finishRunning();
+    if (task) task.reject(new Error(event.message || 'Calculation worker failed'));
+    pump();
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+    }
+    return worker;
+  };
+
+  /**
+   * Cancel a queued or running job. A running job is stopped by terminating the worker;
+   * a fresh worker is started for the next job.
+   * @param {number} id - Request ID returned by run
+   */
+  const cancel = (id) => {
+    const index = queue.findIndex(task => task.id === id);
+    if (index !== -1) {
+      queue.splice(index, 1)[0].reject(createCancelledError());
+      return;
+    }
+
+    if (running && running.id === id) {
+      stopWorker();
+      finishRunning().reject(createCancelledError());
+      pump();
+    }
+  };
+
+  /**
+   * Queue a calculation job
+   * @param {string} job - Job name (one of CALCULATION_JOBS)
+   * @param {Object} payload - Job input (must be structured-cloneable)
+   * @param {Object} [runOptions] - Job options
+   * @param {function(number): void} [runOptions.onProgress] - Called with the share of work done (0-1)
+   * @returns {{id: number, promise: Promise, cancel: function(): void}} Request handle
+   */
+  const run = (job, payload, runOptions = {}) => {
+    nextId += 1;
+    const id = nextId;
+
+    if (synchronous) {
+      const promise = new Promise((resolve) => {
+        resolve(runCalculationJob(job, payload, { onProgress: runOptions.onProgress }));
+      });
+      return { id, promise, cancel: () => {} };
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ id, job, payload, onProgress: runOptions.onProgress, resolve, reject });
+    });
+    pump();
+
+    return { id, promise, cancel: () => cancel(id) };
+  };
+
+  /**
+   * Cancel every job and stop the worker
+   */
+  const dispose = () => {
+    queue.splice(0).forEach(task => task.reject(createCancelledError()));
+    stopWorker();
+    const task = finishRunning();
+    if (task) task.reject(createCancelledError());
+  };
+
+  return { run, cancel, dispose };
+};
@@ -1,6 +1,22 @@
 /**
  * Financial calculation utilities for the Own vs Rent Calculator
  */
+import {
+  calculateHomeownerTaxSavings,
+  calculateHomeSaleTax,
+  calculatePortfolioGainsTax
+} from './tax';
+import {
+  ARM_PRODUCTS,
+  buildAmortizationSchedule,
+  buildExtraPrincipalPlan,
+  buildIndexPath,
+  calculateArmWorstCase,
+  getScheduleBalance
+} from './amortization';
+import { calculateMortgageInsurance, calculateUpfrontPremium } from './mortgageInsurance';
+import { calculateClosingCosts } from './closingCosts';
+import { coerceParameters } from './parameters';
 
 /**
  * Calculate monthly mortgage payment (principal + interest)
@@ -53,29 +69,52 @@ export const calculateRemainingBalance = (principal, annualRate, termYears, mont
          (Math.pow(1 + monthlyRate, numPayments) - 1);
 };
 
+/**
+ * Resolve the annual rate that applies to a given month
+ * @param {number|number[]} annualRate - Constant annual rate, or one rate per year (percentage)
+ * @param {number} month - Month number (1-based)
+ * @returns {number} Annual rate for the year containing that month
+ */
+export const getRateForMonth = (annualRate, month) => {
+  if (!Array.isArray(annualRate)) return Number(annualRate) || 0;
+  if (annualRate.length === 0) return 0;
+
+  const yearIndex = Math.min(Math.floor((month - 1) / 12), annualRate.length - 1);
+  return Number(annualRate[Math.max(0, yearIndex)]) || 0;
+};
+
+/**
+ * Resolve the contribution made in a given month
+ * @param {number|number[]} monthlyContribution - Constant contribution, or one contribution per month (indexed by month)
+ * @param {number} month - Month number (1-based)
+ * @returns {number} Contribution for that month
+ */
+export const getContributionForMonth = (monthlyContribution, month) => {
+  if (!Array.isArray(monthlyContribution)) return Number(monthlyContribution) || 0;
+  return Number(monthlyContribution[month]) || 0;
+};
+
 /**
  * Calculate investment growth with monthly contributions
  * @param {number} principal - Initial investment amount
- * @param {number} monthlyContribution - Monthly investment amount
- * @param {number} annualRate - Annual return rate (percentage)
+ * @param {number|number[]} monthlyContribution - Monthly investment amount, or one amount per month (indexed by month)
+ * @param {number|number[]} annualRate - Annual return rate (percentage), or one rate per year
  * @param {number} months - Number of months
  * @returns {number[]} Array of investment values by month
  */
 export const calculateInvestmentGrowth = (principal, monthlyContribution, annualRate, months) => {
   // Safety checks
   const safePrincipal = Number(principal) || 0;
-  const safeMonthlyContribution = Number(monthlyContribution) || 0;
-  const safeAnnualRate = Number(annualRate) || 0;
   const safeMonths = Number(months) || 0;
   
   if (safeMonths <= 0) return [safePrincipal];
   
-  const monthlyRate = safeAnnualRate / 12 / 100;
   let balance = safePrincipal;
   const values = [balance];
   
   for (let month = 1; month <= safeMonths; month++) {
-    balance = (balance + safeMonthlyContribution) * (1 + monthlyRate);
+    const monthlyRate = getRateForMonth(annualRate, month) / 12 / 100;
+    balance = (balance + getContributionForMonth(monthlyContribution, month)) * (1 + monthlyRate);
     values.push(balance);
   }
   
@@ -83,28 +122,25 @@ export const calculateInvestmentGrowth = (principal, monthlyContribution, annual
 };
 
 /**
- * Calculate home equity over time
+ * Calculate market value of the home over time
  * @param {number} initialPrice - Initial home price
- * @param {number} appreciationRate - Annual appreciation rate (percentage)
- * @param {number} downPayment - Down payment amount
- * @param {number} principal - Loan amount
- * @param {number} mortgageRate - Mortgage interest rate (percentage)
- * @param {number} termYears - Loan term in years
+ * @param {number|number[]} appreciationRate - Annual appreciation rate (percentage), or one rate per year
  * @param {number} months - Number of months
- * @returns {number[]} Array of home equity values by month
+ * @returns {number[]} Array of home values by month
  */
-export const calculateHomeEquity = (initialPrice, appreciationRate, downPayment, principal, mortgageRate, termYears, months) => {
-  const equity = [];
-  
+export const calculateHomeValue = (initialPrice, appreciationRate, months) => {
+  const values = [];
+  let currentValue = initialPrice;
+
   for (let month = 0; month <= months; month++) {
-    const years = month / 12;
-    const currentValue = initialPrice * Math.pow(1 + appreciationRate / 100, years);
-    const remainingBalance = calculateRemainingBalance(principal, mortgageRate, termYears, month);
-    const equityValue = Math.max(0, currentValue - remainingBalance);
-    equity.push(equityValue);
+    if (month > 0) {
+      // Compound monthly so that twelve months reproduce the annual rate exactly
+      currentValue *= Math.pow(1 + getRateForMonth(appreciationRate, month) / 100, 1 / 12);
+    }
+    values.push(currentValue);
   }
-  
-  return equity;
+
+  return values;
 };
 
 /**
@@ -114,182 +150,642 @@ export const calculateHomeEquity = (initialPrice, appreciationRate, downPayment,
  * @param {number} homeInsurance - Annual home insurance
  * @param {number} maintenanceCost - Annual maintenance cost
  * @param {number} hoaFees - Monthly HOA fees
+ * @param {number} [mortgageInsurance=0] - Monthly PMI or FHA MIP premium
  * @returns {number} Total monthly housing cost
  */
-export const calculateMonthlyHousingCost = (monthlyPayment, propertyTaxes, homeInsurance, maintenanceCost, hoaFees) => {
+export const calculateMonthlyHousingCost = (monthlyPayment, propertyTaxes, homeInsurance, maintenanceCost, hoaFees, mortgageInsurance = 0) => {
   const monthlyTaxes = propertyTaxes / 12;
   const monthlyInsurance = homeInsurance / 12;
   const monthlyMaintenance = maintenanceCost / 12;
   
-  return monthlyPayment + monthlyTaxes + monthlyInsurance + monthlyMaintenance + hoaFees;
+  return monthlyPayment + monthlyTaxes + monthlyInsurance + monthlyMaintenance + hoaFees + mortgageInsurance;
+};
+
+/**
+ * How property taxes are assessed over time
+ */
+export const PROPERTY_TAX_BASES = [
+  { id: 'purchase', label: 'Purchase price (never reassessed)' },
+  { id: 'market', label: 'Market value (reassessed yearly)' },
+  { id: 'assessed', label: 'Assessed value with a cap' }
+];
+
+/**
+ * Calculate the assessed value of the home at the start of each year.
+ * With a reassessment cap (Prop 13-style), the assessed value grows from the
+ * purchase price by at most the cap each year and never exceeds market value.
+ * @param {number} purchasePrice - Home purchase price
+ * @param {number[]} homeValues - Market value of the home by month
+ * @param {string} basis - 'purchase', 'market' or 'assessed'
+ * @param {number} assessmentCap - Maximum annual increase in assessed value (percentage)
+ * @param {number} years - Number of years
+ * @returns {number[]} Assessed value for each year (indexed by year)
+ */
+export const calculateAssessedValues = (purchasePrice, homeValues, basis, assessmentCap, years) => {
+  const assessedValues = [];
+
+  for (let year = 0; year < years; year++) {
+    const marketValue = homeValues[Math.min(year * 12, homeValues.length - 1)];
+
+    if (basis === 'market') {
+      assessedValues.push(marketValue);
+    } else if (basis === 'assessed') {
+      const cappedValue = purchasePrice * Math.pow(1 + assessmentCap / 100, year);
+      assessedValues.push(Math.min(marketValue, cappedValue));
+    } else {
+      assessedValues.push(purchasePrice);
+    }
+  }
+
+  return assessedValues;
+};
+
+/**
+ * Calculate each ownership cost line item for every year of the analysis.
+ * Insurance, maintenance and HOA fees grow at their own annual rates; property
+ * taxes follow the assessed value from calculateAssessedValues.
+ * @param {Object} options - Cost inputs
+ * @param {number[]} options.assessedValues - Assessed value for each year
+ * @param {number} options.propertyTaxRate - Property tax rate (percentage of assessed value)
+ * @param {number} options.homeInsurance - First-year annual home insurance
+ * @param {number|number[]} options.insuranceGrowthRate - Annual insurance growth (percentage), or one rate per year
+ * @param {number} options.maintenanceCost - First-year annual maintenance cost
+ * @param {number|number[]} options.maintenanceGrowthRate - Annual maintenance growth (percentage), or one rate per year
+ * @param {number} options.hoaFees - First-year monthly HOA fees
+ * @param {number|number[]} options.hoaGrowthRate - Annual HOA growth (percentage), or one rate per year
+ * @returns {Object[]} Annual property taxes, insurance and maintenance, and monthly HOA fees, for each year
+ */
+export const calculateOwnershipCosts = ({
+  assessedValues,
+  propertyTaxRate,
+  homeInsurance,
+  insuranceGrowthRate,
+  maintenanceCost,
+  maintenanceGrowthRate,
+  hoaFees,
+  hoaGrowthRate
+}) => {
+  let insurance = homeInsurance;
+  let maintenance = maintenanceCost;
+  let hoa = hoaFees;
+
+  return assessedValues.map((assessedValue, year) => {
+    if (year > 0) {
+      // Growth over the previous year, which starts at month (year - 1) * 12 + 1
+      const previousYearMonth = (year - 1) * 12 + 1;
+      insurance *= 1 + getRateForMonth(insuranceGrowthRate, previousYearMonth) / 100;
+      maintenance *= 1 + getRateForMonth(maintenanceGrowthRate, previousYearMonth) / 100;
+      hoa *= 1 + getRateForMonth(hoaGrowthRate, previousYearMonth) / 100;
+    }
+
+    return {
+      propertyTaxes: (propertyTaxRate / 100) * assessedValue,
+      homeInsurance: insurance,
+      maintenanceCost: maintenance,
+      hoaFees: hoa
+    };
+  });
 };
 
 /**
  * Calculate rental costs over time
  * @param {number} initialRent - Initial monthly rent
- * @param {number} rentIncreaseRate - Annual rent increase rate (percentage)
+ * @param {number|number[]} rentIncreaseRate - Annual rent increase rate (percentage), or one rate per year
  * @param {number} months - Number of months
  * @returns {number[]} Array of monthly rent amounts
  */
 export const calculateRentalCosts = (initialRent, rentIncreaseRate, months) => {
   const rentCosts = [];
+  let currentRent = initialRent;
   
   for (let month = 0; month <= months; month++) {
-    const years = month / 12;
-    const currentRent = initialRent * Math.pow(1 + rentIncreaseRate / 100, years);
+    if (month > 0) {
+      currentRent *= Math.pow(1 + getRateForMonth(rentIncreaseRate, month) / 100, 1 / 12);
+    }
     rentCosts.push(currentRent);
   }
   
   return rentCosts;
 };
 
+/**
+ * How the monthly budget changes from year to year
+ */
+export const BUDGET_GROWTH_MODES = [
+  { id: 'flat', label: 'Stays flat' },
+  { id: 'inflation', label: 'Grows with inflation' },
+  { id: 'wage', label: 'Grows with wages' }
+];
+
+/**
+ * Calculate the monthly budget over time, raised once a year
+ * @param {number} initialBudget - Monthly budget in the first year
+ * @param {number|number[]} annualGrowthRate - Annual raise (percentage), or one rate per year
+ * @param {number} months - Number of months
+ * @returns {number[]} Array of monthly budgets (indexed by month)
+ */
+export const calculateMonthlyBudgets = (initialBudget, annualGrowthRate, months) => {
+  let budget = Number(initialBudget) || 0;
+  const budgets = [budget];
+
+  for (let month = 1; month <= months; month++) {
+    // Raises take effect at the start of each new year, using the previous year's rate
+    if (month > 1 && (month - 1) % 12 === 0) {
+      budget *= 1 + getRateForMonth(annualGrowthRate, month - 1) / 100;
+    }
+    budgets.push(budget);
+  }
+
+  return budgets;
+};
+
+/**
+ * Convert a nominal series into today's dollars
+ * @param {number[]} values - Nominal values by month
+ * @param {number|number[]} inflationRate - Annual inflation rate (percentage), or one rate per year
+ * @returns {number[]} Values deflated to month 0 dollars
+ */
+export const deflateSeries = (values, inflationRate) => {
+  let priceLevel = 1;
+
+  return values.map((value, month) => {
+    if (month > 0) {
+      priceLevel *= Math.pow(1 + getRateForMonth(inflationRate, month) / 100, 1 / 12);
+    }
+    return value / priceLevel;
+  });
+};
+
+/**
+ * Convert a cumulative nominal series into today's dollars by deflating each month's increment
+ * @param {number[]} values - Cumulative nominal values by month
+ * @param {number|number[]} inflationRate - Annual inflation rate (percentage), or one rate per year
+ * @returns {number[]} Cumulative values in month 0 dollars
+ */
+export const deflateCumulativeSeries = (values, inflationRate) => {
+  const increments = values.map((value, month) => (month === 0 ? value : value - values[month - 1]));
+  let total = 0;
+
+  return deflateSeries(increments, inflationRate).map(increment => {
+    total += increment;
+    return total;
+  });
+};
+
+/**
+ * Express every monthly series of a scenario result in today's dollars
+ * @param {Object} results - Output of calculateScenario
+ * @param {number|number[]} inflationRate - Annual inflation rate (percentage), or one rate per year
+ * @returns {Object} Results with own and rent series deflated
+ */
+export const convertResultsToRealDollars = (results, inflationRate) => {
+  const convertScenario = (scenario) => Object.fromEntries(
+    Object.entries(scenario).map(([key, value]) => {
+      if (!Array.isArray(value)) return [key, value];
+      return [key, key === 'totalCosts' ? deflateCumulativeSeries(value, inflationRate) : deflateSeries(value, inflationRate)];
+    })
+  );
+
+  return {
+    ...results,
+    ownScenario: convertScenario(results.ownScenario),
+    prepayScenario: results.prepayScenario ? convertScenario(results.prepayScenario) : null,
+    rentScenario: convertScenario(results.rentScenario)
+  };
+};
+
+/**
+ * Express values measured at the time horizon in today's dollars. Every such value shares
+ * the horizon's price level, so one division converts each of them.
+ * @param {Object} item - Object holding the values
+ * @param {string[]} keys - Keys of the values to convert
+ * @param {Object} params - Calculation parameters (timeHorizon, inflationRate)
+ * @returns {Object} Copy of the item with those values in today's dollars
+ */
+export const deflateHorizonValues = (item, keys, params) => {
+  const horizon = Number(params.timeHorizon) || 30;
+  const priceLevel = Math.pow(1 + (Number(params.inflationRate) || 0) / 100, horizon);
+
+  return {
+    ...item,
+    ...Object.fromEntries(keys.map(key => [key, item[key] / priceLevel]))
+  };
+};
+
+/**
+ * Calculate the cost basis of a portfolio (starting balance plus contributions to date)
+ * @param {number} principal - Initial investment amount
+ * @param {number|number[]} monthlyContribution - Monthly investment amount, or one amount per month (indexed by month)
+ * @param {number} months - Number of months
+ * @returns {number[]} Array of cost basis values by month
+ */
+export const calculateCostBasis = (principal, monthlyContribution, months) => {
+  let basis = Number(principal) || 0;
+  const values = [basis];
+
+  for (let month = 1; month <= months; month++) {
+    basis += getContributionForMonth(monthlyContribution, month);
+    values.push(basis);
+  }
+
+  return values;
+};
+
 /**
  * Calculate complete own vs rent scenario
  * @param {Object} params - All calculation parameters
+ * @param {Object} [ratePaths] - Optional year-by-year overrides for the constant rates
+ * @param {number[]} [ratePaths.investmentReturns] - Annual investment returns (percentage) per year
+ * @param {number[]} [ratePaths.homeAppreciationRates] - Annual home appreciation rates (percentage) per year
+ * @param {number[]} [ratePaths.rentIncreaseRates] - Annual rent increase rates (percentage) per year
+ * @param {number[]} [ratePaths.inflationRates] - Annual inflation rates (percentage) per year
  * @returns {Object} Complete calculation results
  */
-export const calculateScenario = (params) => {
-  const {
-    homePrice = 0,
-    downPayment = 0,
-    mortgageRate = 0,
-    loanTerm = 30,
-    propertyTaxRate = 0,
-    homeInsurance = 0,
-    maintenanceCost = 0,
-    hoaFees = 0,
-    monthlyRent = 0,
-    rentIncreaseRate = 0,
-    investmentStartBalance = 0,
-    monthlyBudget = 0,  // Changed from monthlyInvestment to monthlyBudget
-    investmentReturn = 0,
-    timeHorizon = 30
-  } = params;
-
-  // Ensure all values are numbers and not NaN
+export const calculateScenario = (params, ratePaths = {}) => {
+  // Every registered input as a number, option or flag the engine can use, never NaN
+  const { investmentStartBasis = null } = params;
   const safeParams = {
-    homePrice: Number(homePrice) || 0,
-    downPayment: Number(downPayment) || 0,
-    mortgageRate: Number(mortgageRate) || 0,
-    loanTerm: Number(loanTerm) || 30,
-    propertyTaxRate: Number(propertyTaxRate) || 0,
-    homeInsurance: Number(homeInsurance) || 0,
-    maintenanceCost: Number(maintenanceCost) || 0,
-    hoaFees: Number(hoaFees) || 0,
-    homeAppreciationRate: Number(params.homeAppreciationRate) || 3.0,
-    rentalIncome: Number(params.rentalIncome) || 0,
-    monthlyRent: Number(monthlyRent) || 0,
-    rentIncreaseRate: Number(rentIncreaseRate) || 0,
-    investmentStartBalance: Number(investmentStartBalance) || 0,
-    monthlyBudget: Number(monthlyBudget) || 0,  // Changed from monthlyInvestment
-    investmentReturn: Number(investmentReturn) || 0,
-    timeHorizon: Number(timeHorizon) || 30
+    ...coerceParameters(params),
+    investmentStartBasis: investmentStartBasis === null || investmentStartBasis === undefined
+      ? null
+      : Math.max(0, Number(investmentStartBasis) || 0)
   };
 
   const months = safeParams.timeHorizon * 12;
+  const investmentReturnRate = ratePaths.investmentReturns || safeParams.investmentReturn;
+  const appreciationRate = ratePaths.homeAppreciationRates || safeParams.homeAppreciationRate;
+  const inflation = ratePaths.inflationRates || safeParams.inflationRate;
+
+  // Both households start from the same budget, optionally raised each year
+  const budgetGrowthRate = {
+    flat: 0,
+    inflation,
+    wage: safeParams.wageGrowthRate
+  }[safeParams.budgetGrowthMode];
+  const monthlyBudgets = calculateMonthlyBudgets(safeParams.monthlyBudget, budgetGrowthRate, months);
   const downPaymentAmount = (safeParams.downPayment / 100) * safeParams.homePrice;
-  const loanAmount = safeParams.homePrice - downPaymentAmount;
-  const monthlyMortgagePayment = calculateMonthlyPayment(loanAmount, safeParams.mortgageRate, safeParams.loanTerm);
-  const monthlyHousingCost = calculateMonthlyHousingCost(
-    monthlyMortgagePayment,
-    (safeParams.propertyTaxRate / 100) * safeParams.homePrice,
-    safeParams.homeInsurance,
-    safeParams.maintenanceCost,
-    safeParams.hoaFees
+  // FHA loans finance the upfront mortgage insurance premium
+  const upfrontMortgageInsurance = calculateUpfrontPremium(
+    safeParams.loanProgram,
+    safeParams.homePrice - downPaymentAmount,
+    safeParams.fhaUpfrontMip
+  );
+  const loanAmount = safeParams.homePrice - downPaymentAmount + upfrontMortgageInsurance;
+  const purchaseClosingCosts = calculateClosingCosts(
+    safeParams.homePrice,
+    safeParams.closingCosts,
+    safeParams.closingCostType
   );
-
-  // Calculate effective monthly housing cost (rental income reduces effective housing costs)
-  const effectiveMonthlyHousingCost = Math.max(0, monthlyHousingCost - safeParams.rentalIncome);
 
   // Own scenario calculations
-  const homeEquity = calculateHomeEquity(
+  const homeValues = calculateHomeValue(safeParams.homePrice, appreciationRate, months);
+
+  // Ownership costs change every year: taxes follow the assessed value, other items their own growth rates
+  const years = Math.ceil(months / 12);
+  const assessedValues = calculateAssessedValues(
     safeParams.homePrice,
-    safeParams.homeAppreciationRate,
-    downPaymentAmount,
-    loanAmount,
-    safeParams.mortgageRate,
-    safeParams.loanTerm,
-    months
+    homeValues,
+    safeParams.propertyTaxBasis,
+    safeParams.assessmentCap,
+    Math.max(1, years)
   );
+  const ownershipCosts = calculateOwnershipCosts({
+    assessedValues,
+    propertyTaxRate: safeParams.propertyTaxRate,
+    homeInsurance: safeParams.homeInsurance,
+    insuranceGrowthRate: safeParams.insuranceGrowthRate,
+    maintenanceCost: safeParams.maintenanceCost,
+    maintenanceGrowthRate: safeParams.maintenanceGrowthRate,
+    hoaFees: safeParams.hoaFees,
+    hoaGrowthRate: safeParams.hoaGrowthRate
+  });
 
-  // For own scenario, rental income can be invested monthly
-  // Down payment is deducted from starting investment balance
-  // Monthly budget minus housing costs goes to investments
-  const ownMonthlyInvestment = Math.max(0, safeParams.monthlyBudget - effectiveMonthlyHousingCost);
-  const ownStartingInvestmentBalance = Math.max(0, safeParams.investmentStartBalance - downPaymentAmount);
-  const ownInvestments = calculateInvestmentGrowth(
-    ownStartingInvestmentBalance,
-    ownMonthlyInvestment,
-    safeParams.investmentReturn,
-    months
+  // Down payment and closing costs are deducted from starting investment balance. A shortfall is
+  // not modelled (validation warns about it): a negative balance would compound at the market return.
+  const ownStartingInvestmentBalance = Math.max(
+    0,
+    safeParams.investmentStartBalance - downPaymentAmount - purchaseClosingCosts
+  );
+  const sellingCosts = homeValues.map(value => value * (safeParams.sellingCostRate / 100));
+
+  // A portfolio carried over from an earlier home keeps its cost basis; by default it is all new money
+  const rentStartingBasis = safeParams.investmentStartBasis === null
+    ? safeParams.investmentStartBalance
+    : safeParams.investmentStartBasis;
+  const basisRatio = safeParams.investmentStartBalance > 0
+    ? Math.min(1, rentStartingBasis / safeParams.investmentStartBalance)
+    : 1;
+  const ownStartingBasis = ownStartingInvestmentBalance * basisRatio;
+
+  /**
+   * Project the owner's net worth along one amortization schedule. The budget
+   * left after housing costs is invested; extra principal is paid out of the
+   * portfolio, and once the loan is paid off the freed P&I is invested instead.
+   */
+  const projectOwnership = (schedule) => {
+    const loanBalances = [];
+    const monthlyInterest = [0];
+    const mortgagePayments = [0];
+    const extraPayments = [0];
+    for (let month = 0; month <= months; month++) {
+      loanBalances.push(getScheduleBalance(schedule, loanAmount, month));
+      if (month > 0) {
+        const row = schedule.rows[month - 1];
+        monthlyInterest.push(row ? row.interest : 0);
+        mortgagePayments.push(row ? row.payment : 0);
+        extraPayments.push(row ? row.extraPrincipal : 0);
+      }
+    }
+    mortgagePayments[0] = mortgagePayments[1] || 0;
+
+    // PMI or FHA MIP follows this schedule's balance, so paying down the loan removes it sooner
+    const mortgageInsurance = calculateMortgageInsurance({
+      program: safeParams.loanProgram,
+      loanBalances,
+      homeValues,
+      homePrice: safeParams.homePrice,
+      downPayment: safeParams.downPayment,
+      pmiRate: safeParams.pmiRate,
+      pmiRemoval: safeParams.pmiRemoval,
+      ltvBasis: safeParams.pmiLtvBasis,
+      fhaAnnualMip: safeParams.fhaAnnualMip,
+      months
+    });
+
+    // A refinance pays its closing costs from the portfolio and deposits any cash-out into it
+    const loanCashFlows = new Array(months + 1).fill(0);
+    if (schedule.refinance && schedule.refinance.month < months) {
+      loanCashFlows[schedule.refinance.month + 1] = schedule.refinance.cashOut - schedule.refinance.closingCosts;
+    }
+
+    const homeEquity = homeValues.map((value, month) => Math.max(0, value - loanBalances[month]));
+
+    // Housing cost paid in each month (index 0 mirrors the first month), reduced by rental income
+    const housingCosts = [];
+    for (let month = 0; month <= months; month++) {
+      const paymentMonth = Math.max(1, month);
+      const costs = ownershipCosts[Math.min(Math.floor((paymentMonth - 1) / 12), ownershipCosts.length - 1)];
+      const housingCost = calculateMonthlyHousingCost(
+        mortgagePayments[month],
+        costs.propertyTaxes,
+        costs.homeInsurance,
+        costs.maintenanceCost,
+        costs.hoaFees,
+        mortgageInsurance.premiums[paymentMonth] || 0
+      );
+      housingCosts.push(Math.max(0, housingCost - safeParams.rentalIncome));
+    }
+
+    // Itemized deduction savings are reinvested each month alongside the budget surplus
+    const taxSavings = new Array(months + 1).fill(0);
+    if (safeParams.includeTaxes) {
+      for (let yearStart = 1; yearStart <= months; yearStart += 12) {
+        const yearEnd = Math.min(yearStart + 11, months);
+        const yearInterest = monthlyInterest.slice(yearStart, yearEnd + 1).reduce((sum, value) => sum + value, 0);
+
+        const { taxSavings: yearSavings } = calculateHomeownerTaxSavings({
+          mortgageInterest: yearInterest,
+          loanBalance: loanBalances[yearStart - 1],
+          propertyTaxes: ownershipCosts[Math.floor((yearStart - 1) / 12)].propertyTaxes,
+          stateLocalIncomeTax: safeParams.stateLocalIncomeTax,
+          filingStatus: safeParams.filingStatus,
+          marginalTaxRate: safeParams.marginalTaxRate,
+          saltCap: safeParams.saltCap
+        });
+
+        taxSavings.fill(yearSavings / 12, yearStart, yearEnd + 1);
+      }
+    }
+    const monthlyContributions = taxSavings.map((savings, month) =>
+      Math.max(0, monthlyBudgets[month] - housingCosts[month]) + savings - extraPayments[month] + loanCashFlows[month]
+    );
+
+    const investments = calculateInvestmentGrowth(
+      ownStartingInvestmentBalance,
+      monthlyContributions,
+      investmentReturnRate,
+      months
+    );
+
+    const netWorth = homeEquity.map((equity, index) => equity + investments[index]);
+
+    // Liquidation value: sell the home, pay selling costs, the remaining loan balance and any taxes due
+    const investmentBasis = calculateCostBasis(ownStartingBasis, monthlyContributions, months);
+    const taxesIfSold = homeValues.map((value, index) => {
+      if (!safeParams.includeTaxes) return 0;
+
+      const homeSaleTax = calculateHomeSaleTax({
+        salePrice: value,
+        sellingCosts: sellingCosts[index],
+        costBasis: safeParams.homePrice + purchaseClosingCosts,
+        filingStatus: safeParams.filingStatus,
+        capitalGainsTaxRate: safeParams.capitalGainsTaxRate
+      });
+      const portfolioTax = calculatePortfolioGainsTax(
+        investments[index],
+        investmentBasis[index],
+        safeParams.capitalGainsTaxRate
+      );
+      return homeSaleTax + portfolioTax;
+    });
+    const netWorthIfSold = homeValues.map((value, index) =>
+      value - sellingCosts[index] - loanBalances[index] + investments[index] - taxesIfSold[index]
+    );
+
+    // Cumulative housing costs; closing costs count when paid and extra principal builds equity rather than cost
+    const cumulativeCosts = [];
+    let total = purchaseClosingCosts;
+    for (let month = 0; month <= months; month++) {
+      if (month > 0) total += housingCosts[month];
+      if (schedule.refinance && month === schedule.refinance.month + 1) total += schedule.refinance.closingCosts;
+      cumulativeCosts.push(total);
+    }
+
+    return {
+      netWorth,
+      netWorthIfSold,
+      homeValue: homeValues,
+      homeEquity,
+      loanBalance: loanBalances,
+      sellingCosts,
+      taxesIfSold,
+      taxSavings,
+      mortgageInterest: monthlyInterest,
+      mortgageInsurance: mortgageInsurance.premiums,
+      mortgageInsuranceRemovalMonth: mortgageInsurance.removalMonth,
+      extraPrincipal: extraPayments,
+      investments,
+      investmentBasis,
+      totalCosts: cumulativeCosts,
+      monthlyPayments: housingCosts,
+      monthlyInvestment: Math.max(0, safeParams.monthlyBudget - housingCosts[0]),
+      monthlyContributions
+    };
+  };
+
+  // Optional refinance into a new rate and term, measured from the purchase
+  const refinance = safeParams.refinanceEnabled && safeParams.refinanceYear > 0 ? {
+    month: Math.round(safeParams.refinanceYear * 12),
+    annualRate: safeParams.refinanceRate,
+    termYears: safeParams.refinanceTerm,
+    cashOut: safeParams.refinanceCashOut,
+    closingCosts: safeParams.refinanceClosingCosts
+  } : null;
+
+  // Adjustable-rate loans start at the mortgage rate, then follow the index plus margin within the caps
+  const armProductTerms = ARM_PRODUCTS.find(product => product.id === safeParams.armProduct);
+  const arm = safeParams.loanType === 'arm' ? {
+    fixedYears: armProductTerms.fixedYears,
+    adjustmentMonths: armProductTerms.adjustmentMonths,
+    margin: safeParams.armMargin,
+    initialCap: safeParams.armInitialCap,
+    periodicCap: safeParams.armPeriodicCap,
+    lifetimeCap: safeParams.armLifetimeCap,
+    indexRates: buildIndexPath({
+      startRate: safeParams.armIndexRate,
+      path: safeParams.armIndexPath,
+      annualChange: safeParams.armIndexChange,
+      customRates: safeParams.armCustomIndex,
+      years: Math.ceil(safeParams.loanTerm)
+    })
+  } : null;
+
+  // The amortization schedule drives the mortgage payment, interest and balance in every month
+  const amortization = buildAmortizationSchedule({
+    principal: loanAmount,
+    annualRate: safeParams.mortgageRate,
+    termYears: safeParams.loanTerm,
+    refinance,
+    arm
+  });
+  const ownScenario = projectOwnership(amortization);
+
+  // Prepay strategy: the same household sends extra principal to the loan instead of investing it
+  const planMonths = Math.max(
+    months,
+    Math.round(safeParams.loanTerm * 12),
+    refinance ? refinance.month + Math.round(refinance.termYears * 12) : 0
+  );
+  const extraPrincipalPlan = buildExtraPrincipalPlan(safeParams, planMonths);
+  const prepayAmortization = loanAmount > 0 && extraPrincipalPlan.some(amount => amount > 0)
+    ? buildAmortizationSchedule({
+      principal: loanAmount,
+      annualRate: safeParams.mortgageRate,
+      termYears: safeParams.loanTerm,
+      extraPrincipal: extraPrincipalPlan,
+      refinance,
+      arm
+    })
+    : null;
+  const prepayScenario = prepayAmortization ? projectOwnership(prepayAmortization) : null;
+
+  const monthlyMortgagePayment = amortization.scheduledPayment;
+  const payoffMonth = amortization.payoffMonth;
+  const monthlyHousingCost = calculateMonthlyHousingCost(
+    monthlyMortgagePayment,
+    ownershipCosts[0].propertyTaxes,
+    ownershipCosts[0].homeInsurance,
+    ownershipCosts[0].maintenanceCost,
+    ownershipCosts[0].hoaFees,
+    ownScenario.mortgageInsurance[1] || 0
   );
 
-  const ownNetWorth = homeEquity.map((equity, index) => equity + ownInvestments[index]);
+  // Calculate effective monthly housing cost (rental income reduces effective housing costs)
+  const effectiveMonthlyHousingCost = ownScenario.monthlyPayments[0];
 
   // Rent scenario calculations - budget minus rent goes to investments
-  const rentCosts = calculateRentalCosts(safeParams.monthlyRent, safeParams.rentIncreaseRate, months);
+  const rentCosts = calculateRentalCosts(
+    safeParams.monthlyRent,
+    ratePaths.rentIncreaseRates || safeParams.rentIncreaseRate,
+    months
+  );
   
-  // Calculate monthly investment from budget allocation: budget minus rent
+  // Calculate monthly investment from budget allocation: budget minus the current month's rent
   const rentMonthlyInvestment = Math.max(0, safeParams.monthlyBudget - safeParams.monthlyRent);
+  const rentMonthlyContributions = monthlyBudgets.map((budget, month) =>
+    Math.max(0, budget - rentCosts[Math.max(0, month - 1)])
+  );
   
   // Rent scenario: invest starting balance + monthly budget allocation
   const rentInvestments = calculateInvestmentGrowth(
     safeParams.investmentStartBalance, // Keep full investment balance (no down payment needed)
-    rentMonthlyInvestment, // Budget minus rent goes to investments
-    safeParams.investmentReturn,
+    rentMonthlyContributions, // Budget minus rent goes to investments
+    investmentReturnRate,
     months
   );
 
+  // Rent side only owes capital gains tax on its brokerage portfolio
+  const rentInvestmentBasis = calculateCostBasis(rentStartingBasis, rentMonthlyContributions, months);
+  const rentTaxesIfSold = rentInvestments.map((value, index) => (
+    safeParams.includeTaxes
+      ? calculatePortfolioGainsTax(value, rentInvestmentBasis[index], safeParams.capitalGainsTaxRate)
+      : 0
+  ));
+  const rentNetWorthIfSold = rentInvestments.map((value, index) => value - rentTaxesIfSold[index]);
+
   // Calculate cumulative costs
-  const ownCumulativeCosts = [];
   const rentCumulativeCosts = [];
-  let ownTotal = 0;
   let rentTotal = 0;
 
   for (let month = 0; month <= months; month++) {
     if (month > 0) {
-      // Own scenario pays effective monthly housing cost (reduced by rental income)
-      ownTotal += effectiveMonthlyHousingCost;
       // Rent scenario pays current month's rent
       rentTotal += rentCosts[month - 1];
     }
-    ownCumulativeCosts.push(ownTotal);
     rentCumulativeCosts.push(rentTotal);
   }
 
-  // Find break-even point
+  // Find break-even point using what the owner would walk away with after selling
   let breakEvenPoint = null;
   for (let month = 0; month <= months; month++) {
-    if (ownNetWorth[month] > rentInvestments[month]) {
+    if (ownScenario.netWorthIfSold[month] > rentNetWorthIfSold[month]) {
       breakEvenPoint = month / 12;
       break;
     }
   }
 
   return {
-    ownScenario: {
-      netWorth: ownNetWorth,
-      homeEquity: homeEquity,
-      investments: ownInvestments,
-      totalCosts: ownCumulativeCosts,
-      monthlyPayments: Array(months + 1).fill(effectiveMonthlyHousingCost),
-      monthlyInvestment: ownMonthlyInvestment
-    },
+    ownScenario: ownScenario,
+    prepayScenario: prepayScenario,
     rentScenario: {
       netWorth: rentInvestments,
+      netWorthIfSold: rentNetWorthIfSold,
+      taxesIfSold: rentTaxesIfSold,
       investments: rentInvestments,
+      investmentBasis: rentInvestmentBasis,
       totalCosts: rentCumulativeCosts,
       monthlyPayments: rentCosts,
-      monthlyInvestment: rentMonthlyInvestment
+      monthlyInvestment: rentMonthlyInvestment,
+      monthlyContributions: rentMonthlyContributions
     },
     breakEvenPoint: breakEvenPoint,
     downPaymentAmount: downPaymentAmount,
+    purchaseClosingCosts: purchaseClosingCosts,
     ownStartingInvestmentBalance: ownStartingInvestmentBalance,
     monthlyMortgagePayment: monthlyMortgagePayment,
+    payoffMonth: payoffMonth > 0 && payoffMonth <= months ? payoffMonth : null,
+    amortization: amortization,
+    prepayAmortization: prepayAmortization,
+    refinance: amortization.refinance,
+    arm: arm && loanAmount > 0 ? {
+      product: safeParams.armProduct,
+      indexRates: arm.indexRates,
+      adjustments: amortization.adjustments,
+      worstCase: calculateArmWorstCase({
+        principal: loanAmount,
+        annualRate: safeParams.mortgageRate,
+        termYears: safeParams.loanTerm,
+        arm
+      })
+    } : null,
+    upfrontMortgageInsurance: upfrontMortgageInsurance,
     monthlyHousingCost: monthlyHousingCost,
     effectiveMonthlyHousingCost: effectiveMonthlyHousingCost,
+    ownershipCosts: ownershipCosts,
+    assessedValues: assessedValues,
     rentalIncome: safeParams.rentalIncome,
-    monthlyBudget: safeParams.monthlyBudget
+    monthlyBudget: safeParams.monthlyBudget,
+    monthlyBudgets: monthlyBudgets
   };
 };
 
@@ -325,51 +821,10 @@ export const formatPercentage = (value, decimals = 1) => {
 };
 
 /**
- * Validate input parameters
- * @param {object} params - Input parameters to validate
- * @returns {object} Validation result with isValid flag and errors object
+ * Format a point in time given in years, to one decimal place (17.58 -> "17.6", 5 -> "5")
+ * @param {number} years - Years since purchase
+ * @returns {string} Formatted year
  */
-export const validateParameters = (params) => {
-  const errors = {};
-  
-  if (!params.homePrice || params.homePrice <= 0) {
-    errors.homePrice = "Home price must be greater than 0";
-  }
-  
-  if (params.downPayment < 0 || params.downPayment > 100) {
-    errors.downPayment = "Down payment must be between 0% and 100%";
-  }
-  
-  if (params.mortgageRate < 0 || params.mortgageRate > 50) {
-    errors.mortgageRate = "Mortgage rate must be between 0% and 50%";
-  }
-  
-  if (!params.loanTerm || params.loanTerm <= 0 || params.loanTerm > 50) {
-    errors.loanTerm = "Loan term must be between 1 and 50 years";
-  }
-  
-  if (params.propertyTaxRate < 0 || params.propertyTaxRate > 10) {
-    errors.propertyTaxRate = "Property tax rate must be between 0% and 10%";
-  }
-  
-  if (!params.monthlyRent || params.monthlyRent <= 0) {
-    errors.monthlyRent = "Monthly rent must be greater than 0";
-  }
-  
-  if (params.rentIncreaseRate < 0 || params.rentIncreaseRate > 20) {
-    errors.rentIncreaseRate = "Rent increase rate must be between 0% and 20%";
-  }
-  
-  if (params.investmentReturn < -50 || params.investmentReturn > 50) {
-    errors.investmentReturn = "Investment return must be between -50% and 50%";
-  }
-  
-  if (!params.timeHorizon || params.timeHorizon <= 0 || params.timeHorizon > 50) {
-    errors.timeHorizon = "Time horizon must be between 1 and 50 years";
-  }
-  
-  return {
-    isValid: Object.keys(errors).length === 0,
-    errors
-  };
+export const formatYear = (years) => {
+  return years.toFixed(1).replace(/\.0$/, '');
 };
@@ -0,0 +1,15 @@
+/**
+ * Closing cost utilities for the Own vs Rent Calculator, shared by the engine and input validation
+ */
+
+/**
+ * Calculate buyer closing costs paid at purchase
+ * @param {number} homePrice - Home purchase price
+ * @param {number} closingCosts - Closing costs as a percentage of price, or a flat amount
+ * @param {string} closingCostType - 'percent' or 'flat'
+ * @returns {number} Closing costs in dollars
+ */
+export const calculateClosingCosts = (homePrice, closingCosts, closingCostType = 'percent') => {
+  const safeCosts = Math.max(0, Number(closingCosts) || 0);
+  return closingCostType === 'flat' ? safeCosts : (safeCosts / 100) * (Number(homePrice) || 0);
+};
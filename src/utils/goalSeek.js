@@ -0,0 +1,118 @@
+/**
+ * Goal seek utilities for the Own vs Rent Calculator: find the input value where owning and renting tie
+ */
+import { calculateScenario } from './calculations';
+
+/**
+ * Inputs the solver can vary, with the range it searches
+ */
+export const SOLVER_TARGETS = [
+  {
+    id: 'monthlyRent',
+    label: 'Monthly rent',
+    format: 'currency',
+    getRange: (current) => [0, Math.max(20000, current * 5)]
+  },
+  {
+    id: 'homePrice',
+    label: 'Home price',
+    format: 'currency',
+    getRange: (current) => [10000, Math.max(2000000, current * 5)]
+  },
+  {
+    id: 'mortgageRate',
+    label: 'Mortgage interest rate',
+    format: 'percent',
+    getRange: () => [0, 20]
+  },
+  {
+    id: 'homeAppreciationRate',
+    label: 'Home appreciation rate',
+    format: 'percent',
+    getRange: () => [-10, 20]
+  },
+  {
+    id: 'investmentReturn',
+    label: 'Investment return',
+    format: 'percent',
+    getRange: () => [-10, 25]
+  }
+];
+
+// Points sampled across the range to find where the advantage changes sign
+const SCAN_STEPS = 40;
+const MAX_BISECTIONS = 60;
+
+/**
+ * Calculate how far owning is ahead of renting, after selling, at a given year
+ * @param {Object} params - All calculation parameters
+ * @param {number} year - Year to compare at
+ * @returns {number} Own minus rent net worth if sold (positive favours owning)
+ */
+export const calculateNetWorthGap = (params, year) => {
+  const scenario = calculateScenario(params);
+  const month = Math.min(Math.round(year * 12), scenario.ownScenario.netWorthIfSold.length - 1);
+
+  return scenario.ownScenario.netWorthIfSold[month] - scenario.rentScenario.netWorthIfSold[month];
+};
+
+/**
+ * Goal-seek one input so that owning and renting net worth are equal at the chosen year.
+ * The range is scanned for a change in who comes out ahead, then the crossing nearest the
+ * current value is narrowed down by bisection.
+ * @param {Object} params - All calculation parameters
+ * @param {string} field - Input to solve for (one of SOLVER_TARGETS)
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.year] - Year to compare at (defaults to the time horizon)
+ * @param {number} [options.tolerance=0.000001] - Width of the final bracket as a share of the search range
+ * @returns {Object} Solution, the current value and gap, and whether a crossing was found
+ */
+export const solveBreakEven = (params, field, options = {}) => {
+  const target = SOLVER_TARGETS.find(item => item.id === field);
+  if (!target) {
+    throw new Error(`Cannot solve for ${field}`);
+  }
+
+  const timeHorizon = Number(params.timeHorizon) || 30;
+  const year = Math.min(timeHorizon, Math.max(1, Number(options.year) || timeHorizon));
+  const tolerance = options.tolerance || 0.000001;
+  const currentValue = Number(params[field]) || 0;
+  const [low, high] = target.getRange(currentValue);
+  const gapAt = (value) => calculateNetWorthGap({ ...params, [field]: value }, year);
+
+  const currentGap = gapAt(currentValue);
+  const result = { field, year, currentValue, currentGap, value: null, found: false };
+
+  // Scan the range for sign changes in the gap
+  const samples = [];
+  for (let step = 0; step <= SCAN_STEPS; step++) {
+    const value = low + ((high - low) * step) / SCAN_STEPS;
+    samples.push({ value, gap: gapAt(value) });
+  }
+
+  const brackets = [];
+  for (let i = 1; i < samples.length; i++) {
+    const [left, right] = [samples[i - 1], samples[i]];
+    if (left.gap === 0) brackets.push([left, left]);
+    else if (Math.sign(left.gap) !== Math.sign(right.gap)) brackets.push([left, right]);
+  }
+  if (brackets.length === 0) return result;
+
+  // Several crossings are possible (e.g. for home price); take the one nearest today's value
+  const distance = ([left, right]) => Math.abs((left.value + right.value) / 2 - currentValue);
+  let [left, right] = brackets.reduce((nearest, bracket) => (distance(bracket) < distance(nearest) ? bracket : nearest));
+
+  for (let i = 0; i < MAX_BISECTIONS && right.value - left.value > tolerance * (high - low); i++) {
+    const value = (left.value + right.value) / 2;
+    const middle = { value, gap: gapAt(value) };
+
+    if (Math.sign(middle.gap) === Math.sign(left.gap)) left = middle;
+    else right = middle;
+  }
+
+  return {
+    ...result,
+    value: (left.value + right.value) / 2,
+    found: true
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Two-input heatmap utilities for the Own vs Rent Calculator
+ */
+import { calculateScenario } from './calculations';
+import { SENSITIVITY_PARAMETERS } from './sensitivity';
+
+/**
+ * Inputs that can be placed on a heatmap axis (the same set the sensitivity analysis tests)
+ */
+export const HEATMAP_PARAMETERS = SENSITIVITY_PARAMETERS;
+
+export const HEATMAP_GRID_SIZES = [10, 15, 25];
+
+// Rates sweep this many points either side of today's value; amounts sweep this share of it
+const RATE_SPAN = 3;
+const AMOUNT_SPAN = 0.5;
+
+/**
+ * Build evenly spaced values for one heatmap axis, centred on the current value
+ * @param {Object} parameter - Entry from HEATMAP_PARAMETERS
+ * @param {number} currentValue - Today's value of the input
+ * @param {number} steps - Number of values
+ * @returns {number[]} Axis values in ascending order
+ */
+export const buildHeatmapAxis = (parameter, currentValue, steps) => {
+  const value = Number(currentValue) || 0;
+  const span = parameter.kind === 'rate' ? RATE_SPAN : Math.abs(value) * AMOUNT_SPAN;
+  const low = parameter.signed ? value - span : Math.max(0, value - span);
+  const high = value + span;
+  const count = Math.max(2, Math.round(steps));
+
+  return Array.from({ length: count }, (_, index) => low + ((high - low) * index) / (count - 1));
+};
+
+/**
+ * Trace where own minus rent net worth crosses zero using marching squares
+ * @param {number[][]} grid - Differences indexed [row][column]
+ * @param {number[]} xValues - Column values
+ * @param {number[]} yValues - Row values
+ * @returns {Array<Array<{x: number, y: number}>>} Line segments in input units
+ */
+export const traceBreakEvenContour = (grid, xValues, yValues) => {
+  const segments = [];
+  const interpolate = (a, b, valueA, valueB) => a + (b - a) * (valueA / (valueA - valueB));
+
+  for (let row = 0; row < yValues.length - 1; row++) {
+    for (let column = 0; column < xValues.length - 1; column++) {
+      const corners = [
+        { x: xValues[column], y: yValues[row], value: grid[row][column] },
+        { x: xValues[column + 1], y: yValues[row], value: grid[row][column + 1] },
+        { x: xValues[column + 1], y: yValues[row + 1], value: grid[row + 1][column + 1] },
+        { x: xValues[column], y: yValues[row + 1], value: grid[row + 1][column] }
+      ];
+
+      // Points on each cell edge where the sign changes
+      const crossings = [];
+      corners.forEach((corner, index) => {
+        const next = corners[(index + 1) % corners.length];
+        if ((corner.value > 0) !== (next.value > 0)) {
+          crossings.push({
+            x: interpolate(corner.x, next.x, corner.value, next.value),
+            y: interpolate(corner.y, next.y, corner.value, next.value)
+          });
+        }
+      });
+
+      // Two crossings form one segment; four (a saddle) form two
+      for (let index = 0; index + 1 < crossings.length; index += 2) {
+        segments.push([crossings[index], crossings[index + 1]]);
+      }
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Sweep a grid of two inputs through the scenario and record own minus rent net worth
+ * if sold at the horizon for every cell
+ * @param {Object} params - All calculation parameters
+ * @param {string} xField - Input on the horizontal axis
+ * @param {string} yField - Input on the vertical axis
+ * @param {Object} [options] - Grid options
+ * @param {number} [options.steps=15] - Values per axis
+ * @param {function(number): void} [options.onProgress] - Called with the share of cells done (0-1)
+ * @returns {Object} Axis values, cells and the break-even contour
+ */
+export const calculateHeatmap = (params, xField, yField, options = {}) => {
+  const xParameter = HEATMAP_PARAMETERS.find(item => item.id === xField);
+  const yParameter = HEATMAP_PARAMETERS.find(item => item.id === yField);
+  if (!xParameter || !yParameter) {
+    throw new Error(`Cannot build a heatmap for ${xField} and ${yField}`);
+  }
+  if (xField === yField) {
+    throw new Error('Choose two different inputs for the heatmap');
+  }
+
+  const steps = options.steps || 15;
+  const xValues = buildHeatmapAxis(xParameter, params[xField], steps);
+  const yValues = buildHeatmapAxis(yParameter, params[yField], steps);
+  const totalCells = xValues.length * yValues.length;
+
+  const cells = [];
+  const grid = yValues.map((yValue, row) => xValues.map((xValue, column) => {
+    const scenario = calculateScenario({ ...params, [xField]: xValue, [yField]: yValue });
+    const finalIndex = scenario.ownScenario.netWorthIfSold.length - 1;
+    const difference = scenario.ownScenario.netWorthIfSold[finalIndex] - scenario.rentScenario.netWorthIfSold[finalIndex];
+
+    cells.push({ row, column, xValue, yValue, difference });
+    if (options.onProgress) options.onProgress(cells.length / totalCells);
+    return difference;
+  }));
+
+  return {
+    xField,
+    yField,
+    xValues,
+    yValues,
+    currentX: Number(params[xField]) || 0,
+    currentY: Number(params[yField]) || 0,
+    cells,
+    contour: traceBreakEvenContour(grid, xValues, yValues)
+  };
+};
@@ -0,0 +1,127 @@
+/**
+ * Holding period utilities for the Own vs Rent Calculator: buy now, sell and move later
+ */
+import { calculateScenario } from './calculations';
+import { calculateHomeSaleTax } from './tax';
+
+/**
+ * What the household does with the sale proceeds after moving
+ */
+export const AFTER_SALE_STRATEGIES = [
+  { id: 'rent', label: 'Rent and invest the proceeds' },
+  { id: 'buy', label: 'Buy another home' }
+];
+
+/**
+ * Drop the years already lived from a rate path so the next phase picks up where the first left off
+ * @param {Object} ratePaths - Year-by-year rate overrides
+ * @param {number} years - Years to skip
+ * @returns {Object} Rate paths starting at the given year
+ */
+const offsetRatePaths = (ratePaths, years) => Object.fromEntries(
+  Object.entries(ratePaths).map(([key, path]) => [key, Array.isArray(path) ? path.slice(years) : path])
+);
+
+/**
+ * Project a household that buys now, sells after a holding period and then rents or buys again.
+ * At the sale the home goes at its appreciated value minus selling costs, the loan and any
+ * capital gains tax; the proceeds join the portfolio, which keeps its cost basis.
+ * @param {Object} params - All calculation parameters
+ * @param {number} holdingYears - Years before the home is sold
+ * @param {string} afterSale - 'rent' or 'buy'
+ * @param {Object} [ratePaths] - Optional year-by-year rate overrides, as for calculateScenario
+ * @param {Object} [baseScenario] - Result of calculateScenario for the same inputs, to avoid recomputing it
+ * @returns {Object} Net worth series over the full horizon, sale proceeds and the rent comparison
+ */
+export const calculateSellAndMoveScenario = (params, holdingYears, afterSale, ratePaths = {}, baseScenario = null) => {
+  const base = baseScenario || calculateScenario(params, ratePaths);
+  const horizon = Number(params.timeHorizon) || 30;
+  const years = Math.max(1, Math.round(Number(holdingYears) || 0));
+  const { ownScenario, rentScenario } = base;
+
+  // Holding to the horizon is simply the own scenario
+  if (years >= horizon) {
+    return {
+      holdingYears: horizon,
+      saleMonth: null,
+      saleProceeds: 0,
+      netWorth: ownScenario.netWorth,
+      netWorthIfSold: ownScenario.netWorthIfSold,
+      rentNetWorthIfSold: rentScenario.netWorthIfSold
+    };
+  }
+
+  const saleMonth = years * 12;
+  const homeSaleTax = params.includeTaxes
+    ? calculateHomeSaleTax({
+      salePrice: ownScenario.homeValue[saleMonth],
+      sellingCosts: ownScenario.sellingCosts[saleMonth],
+      costBasis: (Number(params.homePrice) || 0) + base.purchaseClosingCosts,
+      filingStatus: params.filingStatus,
+      capitalGainsTaxRate: Number(params.capitalGainsTaxRate) || 0
+    })
+    : 0;
+  const saleProceeds = ownScenario.homeValue[saleMonth] - ownScenario.sellingCosts[saleMonth] -
+    ownScenario.loanBalance[saleMonth] - homeSaleTax;
+
+  // The next phase starts from today's prices: the budget, market rent and ownership costs in the sale year
+  const costs = base.ownershipCosts[Math.min(years, base.ownershipCosts.length - 1)];
+  const nextPhase = calculateScenario({
+    ...params,
+    timeHorizon: horizon - years,
+    investmentStartBalance: ownScenario.investments[saleMonth] + saleProceeds,
+    investmentStartBasis: ownScenario.investmentBasis[saleMonth] + saleProceeds,
+    monthlyBudget: base.monthlyBudgets[saleMonth + 1],
+    monthlyRent: rentScenario.monthlyPayments[saleMonth],
+    homePrice: ownScenario.homeValue[saleMonth],
+    homeInsurance: costs.homeInsurance,
+    maintenanceCost: costs.maintenanceCost,
+    hoaFees: costs.hoaFees,
+    refinanceEnabled: false,
+    oneTimePrepayment: 0
+  }, offsetRatePaths(ratePaths, years));
+  const next = afterSale === 'buy' ? nextPhase.ownScenario : nextPhase.rentScenario;
+
+  return {
+    holdingYears: years,
+    saleMonth,
+    saleProceeds,
+    netWorth: [...ownScenario.netWorth.slice(0, saleMonth), ...next.netWorth],
+    netWorthIfSold: [...ownScenario.netWorthIfSold.slice(0, saleMonth), ...next.netWorthIfSold],
+    rentNetWorthIfSold: rentScenario.netWorthIfSold
+  };
+};
+
+/**
+ * Calculate the net worth advantage over renting at the horizon for every holding period
+ * @param {Object} params - All calculation parameters
+ * @param {string} afterSale - 'rent' or 'buy'
+ * @returns {{points: Object[], minimumStay: number|null}} One point per holding period in years,
+ * and the shortest stay that beats renting, or null if none does
+ */
+export const calculateHoldingPeriodCurve = (params, afterSale) => {
+  const horizon = Number(params.timeHorizon) || 30;
+  const base = calculateScenario(params);
+  const finalIndex = horizon * 12;
+  const rentNetWorth = base.rentScenario.netWorthIfSold[finalIndex];
+
+  const points = [];
+  for (let years = 1; years <= horizon; years++) {
+    const scenario = calculateSellAndMoveScenario(params, years, afterSale, {}, base);
+    const ownNetWorth = scenario.netWorthIfSold[finalIndex];
+
+    points.push({
+      years,
+      ownNetWorth,
+      rentNetWorth,
+      advantage: ownNetWorth - rentNetWorth
+    });
+  }
+
+  const firstWin = points.find(point => point.advantage > 0);
+
+  return {
+    points,
+    minimumStay: firstWin ? firstWin.years : null
+  };
+};
@@ -0,0 +1,139 @@
+/**
+ * Loan offer comparison utilities for the Own vs Rent Calculator
+ */
+import { calculateScenario, convertResultsToRealDollars } from './calculations';
+import { calculateClosingCosts } from './closingCosts';
+import { calculateUpfrontPremium } from './mortgageInsurance';
+import { coerceParameters } from './parameters';
+
+/**
+ * Loan types an offer can quote: a fixed rate or one of the ARM products
+ */
+export const LOAN_OFFER_TYPES = [
+  { id: 'fixed', label: 'Fixed' },
+  { id: '5/1', label: '5/1 ARM' },
+  { id: '7/1', label: '7/1 ARM' },
+  { id: '10/6', label: '10/6 ARM' }
+];
+
+/**
+ * Create a loan offer that quotes the scenario's current loan
+ * @param {Object} params - All calculation parameters
+ * @param {string} id - Unique offer ID
+ * @param {string} name - Lender or offer name
+ * @returns {Object} Loan offer with rate, points, lender fees, term and type
+ */
+export const createLoanOffer = (params, id, name) => ({
+  id,
+  name,
+  rate: Number(params.mortgageRate) || 0,
+  points: 0,
+  lenderFees: 0,
+  term: Number(params.loanTerm) || 30,
+  type: params.loanType === 'arm' ? params.armProduct || '5/1' : 'fixed'
+});
+
+/**
+ * Calculate what an offer costs at closing on top of the scenario's other closing costs
+ * @param {Object} params - All calculation parameters
+ * @param {Object} offer - Loan offer
+ * @returns {number} Discount points plus lender fees
+ */
+export const calculateOfferUpfrontCost = (params, offer) => {
+  const { homePrice, downPayment, loanProgram, fhaUpfrontMip } = coerceParameters(params);
+  const baseLoanAmount = homePrice - homePrice * (downPayment / 100);
+  // Points are charged on the loan the scenario amortizes, including a financed FHA upfront premium
+  const loanAmount = baseLoanAmount + calculateUpfrontPremium(loanProgram, baseLoanAmount, fhaUpfrontMip);
+  const pointsCost = Math.max(0, loanAmount) * ((Number(offer.points) || 0) / 100);
+
+  return pointsCost + Math.max(0, Number(offer.lenderFees) || 0);
+};
+
+/**
+ * Replace the scenario's loan with an offer; points and lender fees are paid with the closing costs
+ * @param {Object} params - All calculation parameters
+ * @param {Object} offer - Loan offer
+ * @returns {Object} Calculation parameters for the offer
+ */
+export const applyLoanOffer = (params, offer) => {
+  const isFixed = offer.type === 'fixed' || !LOAN_OFFER_TYPES.some(type => type.id === offer.type);
+  const baseClosingCosts = calculateClosingCosts(
+    Number(params.homePrice) || 0,
+    Number(params.closingCosts) || 0,
+    params.closingCostType
+  );
+
+  return {
+    ...params,
+    mortgageRate: Number(offer.rate) || 0,
+    loanTerm: Number(offer.term) || 30,
+    loanType: isFixed ? 'fixed' : 'arm',
+    armProduct: isFixed ? params.armProduct : offer.type,
+    closingCosts: baseClosingCosts + calculateOfferUpfrontCost(params, offer),
+    closingCostType: 'flat'
+  };
+};
+
+/**
+ * Calculate how many months of lower payments it takes to recover the extra upfront cost of an offer
+ * @param {Object} offer - Offer outcome with upfrontCost and monthlyPayment
+ * @param {Object} reference - Outcome of the offer with the lowest upfront cost
+ * @returns {number|null} Months to break even, or null if the offer costs no more upfront or does not pay less
+ */
+export const calculatePointsBreakEven = (offer, reference) => {
+  const extraUpfront = offer.upfrontCost - reference.upfrontCost;
+  const monthlySavings = reference.monthlyPayment - offer.monthlyPayment;
+
+  if (extraUpfront <= 0 || monthlySavings <= 0) return null;
+  return Math.ceil(extraUpfront / monthlySavings);
+};
+
+/**
+ * Run the scenario once per loan offer and rank the offers at the time horizon
+ * @param {Object} params - All calculation parameters
+ * @param {Object[]} offers - Loan offers
+ * @param {Object} [options] - Comparison options
+ * @param {boolean} [options.realDollars=false] - Express costs and net worth in today's dollars
+ * @returns {Object[]} One outcome per offer, in the order given, with cost and net worth ranks (1 is best)
+ */
+export const compareLoanOffers = (params, offers, options = {}) => {
+  const { realDollars = false } = options;
+  const timeHorizon = Number(params.timeHorizon) || 30;
+  const inflationRate = Number(params.inflationRate) || 0;
+
+  const outcomes = offers.map(offer => {
+    const scenario = calculateScenario(applyLoanOffer(params, offer));
+    const display = realDollars ? convertResultsToRealDollars(scenario, inflationRate) : scenario;
+    const { ownScenario } = display;
+    const finalIndex = Math.min(timeHorizon * 12, ownScenario.netWorth.length - 1);
+
+    return {
+      offer,
+      upfrontCost: calculateOfferUpfrontCost(params, offer),
+      monthlyPayment: scenario.monthlyMortgagePayment,
+      interestPaid: ownScenario.mortgageInterest
+        .slice(0, finalIndex + 1)
+        .reduce((sum, value) => sum + value, 0),
+      totalCost: ownScenario.totalCosts[finalIndex],
+      netWorthIfSold: ownScenario.netWorthIfSold[finalIndex]
+    };
+  });
+
+  if (outcomes.length === 0) return [];
+
+  const reference = outcomes.reduce((lowest, outcome) => (outcome.upfrontCost < lowest.upfrontCost ? outcome : lowest));
+  const rankBy = (compare) => {
+    const order = [...outcomes].sort(compare);
+    return (outcome) => order.indexOf(outcome) + 1;
+  };
+  const costRank = rankBy((a, b) => a.totalCost - b.totalCost);
+  const netWorthRank = rankBy((a, b) => b.netWorthIfSold - a.netWorthIfSold);
+
+  return outcomes.map(outcome => ({
+    ...outcome,
+    costRank: costRank(outcome),
+    netWorthRank: netWorthRank(outcome),
+    isReference: outcome === reference,
+    breakEvenMonths: calculatePointsBreakEven(outcome, reference)
+  }));
+};
@@ -0,0 +1,178 @@
+/**
+ * Monte Carlo simulation utilities for the Own vs Rent Calculator
+ */
+import { calculateScenario } from './calculations';
+import { coerceParameters } from './parameters';
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = (Number(seed) || 0) >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Create a standard normal generator using the Box-Muller transform
+ * @param {function(): number} random - Uniform random generator
+ * @returns {function(): number} Generator returning standard normal samples
+ */
+export const createNormalGenerator = (random) => {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+};
+
+/**
+ * Generate one path of correlated annual investment and home appreciation returns
+ * @param {Object} options - Distribution settings
+ * @param {number} options.years - Number of years in the path
+ * @param {number} options.investmentMean - Mean annual investment return (percentage)
+ * @param {number} options.investmentVolatility - Annual investment return standard deviation (percentage)
+ * @param {number} options.appreciationMean - Mean annual home appreciation (percentage)
+ * @param {number} options.appreciationVolatility - Annual home appreciation standard deviation (percentage)
+ * @param {number} options.correlation - Correlation between the two returns (-1 to 1)
+ * @param {function(): number} options.normal - Standard normal generator
+ * @returns {{investmentReturns: number[], homeAppreciationRates: number[]}} Annual return paths
+ */
+export const generateCorrelatedReturns = ({
+  years,
+  investmentMean,
+  investmentVolatility,
+  appreciationMean,
+  appreciationVolatility,
+  correlation,
+  normal
+}) => {
+  const rho = Math.max(-1, Math.min(1, correlation));
+  const orthogonalWeight = Math.sqrt(1 - rho * rho);
+  const investmentReturns = [];
+  const homeAppreciationRates = [];
+
+  for (let year = 0; year < years; year++) {
+    // Two-asset Cholesky decomposition of the correlation matrix
+    const z1 = normal();
+    const z2 = rho * z1 + orthogonalWeight * normal();
+
+    // A single year can lose at most (almost) everything
+    investmentReturns.push(Math.max(-99, investmentMean + investmentVolatility * z1));
+    homeAppreciationRates.push(Math.max(-99, appreciationMean + appreciationVolatility * z2));
+  }
+
+  return { investmentReturns, homeAppreciationRates };
+};
+
+/**
+ * Read a percentile from an ascending-sorted array using linear interpolation
+ * @param {number[]|Float64Array} sortedValues - Values sorted ascending
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} Interpolated percentile value
+ */
+export const calculatePercentile = (sortedValues, percentile) => {
+  if (!sortedValues.length) return 0;
+
+  const position = (percentile / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+};
+
+/**
+ * Run a seeded Monte Carlo simulation of the own vs rent scenario.
+ * Each path draws correlated yearly returns around the scenario's expected
+ * investment return and home appreciation rate, which are treated as the
+ * arithmetic mean of the yearly draws. Missing inputs fall back to the same
+ * defaults the scenario uses.
+ * @param {Object} params - All calculation parameters
+ * @param {Object} [options] - Simulation options
+ * @param {function(number): void} [options.onProgress] - Called with the share of paths done (0-1)
+ * @returns {Object} Yearly percentile bands of net worth and probability that owning wins
+ */
+export const runMonteCarloSimulation = (params, options = {}) => {
+  const safeParams = coerceParameters(params);
+  const timeHorizon = safeParams.timeHorizon;
+  const simulationCount = Math.max(1, Math.round(safeParams.simulationCount || 1000));
+  const seed = Math.round(safeParams.simulationSeed);
+  const normal = createNormalGenerator(createSeededRandom(seed));
+
+  const distribution = {
+    years: timeHorizon,
+    investmentMean: safeParams.investmentReturn,
+    investmentVolatility: Math.max(0, safeParams.investmentVolatility),
+    appreciationMean: safeParams.homeAppreciationRate,
+    appreciationVolatility: Math.max(0, safeParams.homeAppreciationVolatility),
+    correlation: safeParams.returnCorrelation,
+    normal
+  };
+
+  // One column of outcomes per year, one row per simulated path
+  const ownOutcomes = Array.from({ length: timeHorizon + 1 }, () => new Float64Array(simulationCount));
+  const rentOutcomes = Array.from({ length: timeHorizon + 1 }, () => new Float64Array(simulationCount));
+  const ownWins = new Array(timeHorizon + 1).fill(0);
+
+  for (let path = 0; path < simulationCount; path++) {
+    const scenario = calculateScenario(params, generateCorrelatedReturns(distribution));
+
+    for (let year = 0; year <= timeHorizon; year++) {
+      const month = year * 12;
+      // Bands use the same net worth series as the chart lines they are drawn around
+      ownOutcomes[year][path] = Number(scenario.ownScenario.netWorth[month]) || 0;
+      rentOutcomes[year][path] = Number(scenario.rentScenario.netWorth[month]) || 0;
+
+      // Wins compare liquidation values, matching the verdict in the summary
+      const ownNetWorthIfSold = Number(scenario.ownScenario.netWorthIfSold[month]) || 0;
+      const rentNetWorthIfSold = Number(scenario.rentScenario.netWorthIfSold[month]) || 0;
+      if (ownNetWorthIfSold > rentNetWorthIfSold) ownWins[year]++;
+    }
+
+    if (options.onProgress) options.onProgress((path + 1) / simulationCount);
+  }
+
+  const summarize = (values) => {
+    const sorted = values.sort();
+    return {
+      p10: calculatePercentile(sorted, 10),
+      p50: calculatePercentile(sorted, 50),
+      p90: calculatePercentile(sorted, 90)
+    };
+  };
+
+  const years = ownOutcomes.map((values, year) => ({
+    year,
+    own: summarize(values),
+    rent: summarize(rentOutcomes[year]),
+    probabilityOwnWins: ownWins[year] / simulationCount
+  }));
+
+  return {
+    years,
+    simulationCount,
+    seed,
+    finalProbabilityOwnWins: years[years.length - 1].probabilityOwnWins
+  };
+};
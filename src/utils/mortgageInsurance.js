@@ -0,0 +1,124 @@
+/**
+ * Mortgage insurance utilities for the Own vs Rent Calculator
+ */
+
+/**
+ * Loan programs and the mortgage insurance they carry
+ */
+export const LOAN_PROGRAMS = [
+  { id: 'conventional', label: 'Conventional (PMI below 20% down)' },
+  { id: 'fha', label: 'FHA (upfront and annual MIP)' }
+];
+
+/**
+ * When conventional PMI comes off, by loan-to-value ratio (percentage)
+ */
+export const PMI_REMOVAL_RULES = [
+  { id: 'request', label: 'On request at 80% LTV', ltv: 80 },
+  { id: 'automatic', label: 'Automatically at 78% LTV', ltv: 78 }
+];
+
+/**
+ * Home value used as the denominator of the loan-to-value ratio
+ */
+export const LTV_BASES = [
+  { id: 'original', label: 'Original purchase price' },
+  { id: 'current', label: 'Appreciated value' }
+];
+
+/**
+ * FHA rules: the minimum down payment, and annual MIP runs 11 years with at
+ * least 10% down or for the life of the loan otherwise (both percentages)
+ */
+export const FHA_RULES = {
+  minimumDownPayment: 3.5,
+  shortMipDownPayment: 10,
+  shortMipYears: 11
+};
+
+/**
+ * Calculate the upfront FHA mortgage insurance premium, which is financed into the loan
+ * @param {string} program - 'conventional' or 'fha'
+ * @param {number} baseLoanAmount - Loan amount before the premium
+ * @param {number} upfrontRate - Upfront MIP (percentage of the base loan)
+ * @returns {number} Premium added to the loan balance
+ */
+export const calculateUpfrontPremium = (program, baseLoanAmount, upfrontRate) => {
+  if (program !== 'fha') return 0;
+  return Math.max(0, baseLoanAmount) * (Math.max(0, upfrontRate) / 100);
+};
+
+/**
+ * Calculate the monthly mortgage insurance premium over the loan.
+ * Conventional PMI is a flat share of the original loan, charged while the
+ * loan-to-value ratio is above the removal threshold; once removed it does
+ * not come back. FHA annual MIP is charged on the balance at the start of
+ * each loan year, for 11 years or the life of the loan.
+ * @param {Object} options - Insurance inputs
+ * @param {string} options.program - 'conventional' or 'fha'
+ * @param {number[]} options.loanBalances - Loan balance at the end of each month (index 0 is the starting balance)
+ * @param {number[]} options.homeValues - Home value by month
+ * @param {number} options.homePrice - Purchase price
+ * @param {number} options.downPayment - Down payment (percentage of the price)
+ * @param {number} options.pmiRate - Annual PMI (percentage of the original loan)
+ * @param {string} options.pmiRemoval - 'request' (80% LTV) or 'automatic' (78% LTV)
+ * @param {string} options.ltvBasis - 'original' or 'current' home value
+ * @param {number} options.fhaAnnualMip - Annual MIP (percentage of the balance)
+ * @param {number} options.months - Number of months
+ * @returns {{premiums: number[], removalMonth: number|null}} Premium paid in each month (index 0 is unused)
+ * and the first month without one, or null if insurance never applies or never comes off
+ */
+export const calculateMortgageInsurance = ({
+  program,
+  loanBalances,
+  homeValues,
+  homePrice,
+  downPayment,
+  pmiRate,
+  pmiRemoval,
+  ltvBasis,
+  fhaAnnualMip,
+  months
+}) => {
+  const premiums = new Array(months + 1).fill(0);
+  const originalLoan = loanBalances[0] || 0;
+
+  if (originalLoan <= 0 || homePrice <= 0) {
+    return { premiums, removalMonth: null };
+  }
+
+  if (program === 'fha') {
+    const mipMonths = downPayment >= FHA_RULES.shortMipDownPayment ? FHA_RULES.shortMipYears * 12 : Infinity;
+    let yearStartBalance = originalLoan;
+
+    for (let month = 1; month <= months; month++) {
+      if (month > mipMonths) {
+        return { premiums, removalMonth: loanBalances[month - 1] > 0 ? month : null };
+      }
+      if ((month - 1) % 12 === 0) yearStartBalance = loanBalances[month - 1];
+      premiums[month] = yearStartBalance * (Math.max(0, fhaAnnualMip) / 100) / 12;
+    }
+
+    return { premiums, removalMonth: null };
+  }
+
+  // Conventional loans only carry PMI when the down payment is under 20%
+  if (originalLoan / homePrice <= 0.8) {
+    return { premiums, removalMonth: null };
+  }
+
+  const removalRule = PMI_REMOVAL_RULES.find(rule => rule.id === pmiRemoval) || PMI_REMOVAL_RULES[0];
+  const monthlyPremium = originalLoan * (Math.max(0, pmiRate) / 100) / 12;
+
+  for (let month = 1; month <= months; month++) {
+    const value = ltvBasis === 'current' ? homeValues[month - 1] : homePrice;
+    const ltv = value > 0 ? (loanBalances[month - 1] / value) * 100 : Infinity;
+
+    if (ltv <= removalRule.ltv) {
+      return { premiums, removalMonth: month };
+    }
+    premiums[month] = monthlyPremium;
+  }
+
+  return { premiums, removalMonth: null };
+};
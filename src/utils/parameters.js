@@ -0,0 +1,229 @@
+/**
+ * Parameter schema utilities for the Own vs Rent Calculator: defaults, engine input coercion
+ * and validation, all generated from the parameter registry
+ */
+import { PARAMETER_GROUPS, parameterRegistry, getParameterDefinition } from '../data/parameterRegistry';
+import { calculateClosingCosts } from './closingCosts';
+import { FHA_RULES } from './mortgageInsurance';
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Resolve a registry setting that may depend on the other parameters (e.g. a max)
+ * @param {*} setting - Value, or function of the parameters
+ * @param {Object} params - Current parameters
+ * @returns {*} Resolved value
+ */
+export const resolveSetting = (setting, params) => (typeof setting === 'function' ? setting(params) : setting);
+
+/**
+ * Build a complete parameter set from the registry defaults
+ * @returns {Object} Default parameters
+ */
+export const getDefaultParameters = () => Object.fromEntries(
+  parameterRegistry.map(definition => [
+    definition.key,
+    Array.isArray(definition.default) ? [...definition.default] : definition.default
+  ])
+);
+
+/**
+ * Check whether an input currently applies: its group's toggle is on and its own
+ * condition (e.g. ARM settings only for ARMs) holds
+ * @param {Object} definition - Registry entry
+ * @param {Object} params - Current parameters
+ * @returns {boolean} True when the input is shown and validated
+ */
+export const isParameterActive = (definition, params) => {
+  const group = PARAMETER_GROUPS.find(item => item.id === definition.group);
+  if (group && group.toggle && group.toggle !== definition.key && !params[group.toggle]) return false;
+  return definition.visibleWhen ? definition.visibleWhen(params) : true;
+};
+
+/**
+ * Convert one input to the type and range the engine works with
+ * @param {Object} definition - Registry entry
+ * @param {*} value - Raw input value
+ * @returns {*} Engine value
+ */
+const coerceValue = (definition, value) => {
+  switch (definition.type) {
+    case 'boolean':
+      return Boolean(value);
+    case 'option': {
+      const fallback = definition.fallback !== undefined ? definition.fallback : definition.default;
+      return definition.options.includes(value) ? value : fallback;
+    }
+    case 'list':
+      return typeof value === 'string' ? value : '';
+    case 'json':
+      return Array.isArray(value) ? value : [];
+    default: {
+      const fallback = definition.fallback !== undefined ? definition.fallback : definition.default;
+      if (isBlank(value)) return fallback;
+      const number = Number(value);
+      if (!Number.isFinite(number)) return fallback;
+
+      const [min = -Infinity, max = Infinity] = definition.clamp || [];
+      const clamped = Math.min(max, Math.max(min, number));
+      return definition.integer ? Math.round(clamped) : clamped;
+    }
+  }
+};
+
+/**
+ * Coerce every registered parameter for the engine, so missing or malformed inputs
+ * (old saved scenarios, hand-edited links) never produce NaN
+ * @param {Object} params - Raw parameters
+ * @returns {Object} Parameters with every registered key set
+ */
+export const coerceParameters = (params) => Object.fromEntries(
+  parameterRegistry.map(definition => [definition.key, coerceValue(definition, params[definition.key])])
+);
+
+const formatBound = (value, unit) => {
+  if (unit === 'percent') return `${value}%`;
+  if (unit === 'currency') return `$${value.toLocaleString('en-US')}`;
+  return value.toLocaleString('en-US');
+};
+
+/**
+ * Describe an input's valid range, e.g. "Loan Term must be between 1 and 50 years"
+ * @param {Object} definition - Registry entry
+ * @param {number} [min] - Resolved minimum
+ * @param {number} [max] - Resolved maximum
+ * @returns {string} Validation message
+ */
+export const describeRange = (definition, min, max) => {
+  const { label, unit } = definition;
+  const unitWord = unit === 'years' ? ' years' : '';
+
+  if (min !== undefined && max !== undefined) {
+    return `${label} must be between ${formatBound(min, unit)} and ${formatBound(max, unit)}${unitWord}`;
+  }
+  if (min !== undefined) {
+    if (definition.exclusiveMinimum) return `${label} must be greater than ${formatBound(min, unit)}${unitWord}`;
+    return min === 0 ? `${label} cannot be negative` : `${label} must be at least ${formatBound(min, unit)}${unitWord}`;
+  }
+  return max !== undefined ? `${label} must be at most ${formatBound(max, unit)}${unitWord}` : `${label} is not valid`;
+};
+
+/**
+ * Check one input against its registry entry
+ * @param {Object} definition - Registry entry
+ * @param {Object} params - Current parameters
+ * @returns {string|null} Validation message, or null when the value is valid
+ */
+export const validateParameter = (definition, params) => {
+  const value = params[definition.key];
+
+  switch (definition.type) {
+    case 'option':
+      return isBlank(value) || definition.options.includes(value) ? null : `Choose a valid ${definition.label.toLowerCase()}`;
+    case 'list': {
+      const items = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = items.length === 0 || items.some(item => !Number.isFinite(Number(item)));
+      return invalid ? definition.message || `${definition.label} must be a comma-separated list of numbers` : null;
+    }
+    case 'json':
+      return isBlank(value) || Array.isArray(value) ? null : `${definition.label} must be a list`;
+    case 'boolean':
+      return null;
+    default: {
+      const min = resolveSetting(definition.min, params);
+      const max = resolveSetting(definition.max, params);
+      if (isBlank(value)) {
+        return definition.required ? definition.message || describeRange(definition, min, max) : null;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number)) return `${definition.label} must be a number`;
+
+      const belowMin = min !== undefined && (definition.exclusiveMinimum ? number <= min : number < min);
+      const aboveMax = max !== undefined && number > max;
+      return belowMin || aboveMax ? definition.message || describeRange(definition, min, max) : null;
+    }
+  }
+};
+
+/**
+ * Rules that involve more than one input, applied after the per-input checks. Warnings flag
+ * inputs that can still be calculated but probably do not mean what the user intended.
+ */
+const CROSS_FIELD_RULES = [
+  {
+    // The ownership scenario pays the down payment and closing costs from the starting balance,
+    // which stops at zero when they are larger, so the shortfall is not counted anywhere
+    key: 'downPayment',
+    severity: 'warning',
+    check: (params) => {
+      if (!params.homePrice || params.investmentStartBalance === undefined) return null;
+      const downPaymentAmount = ((Number(params.downPayment) || 0) / 100) * params.homePrice;
+      const cashNeeded = downPaymentAmount + calculateClosingCosts(params.homePrice, params.closingCosts, params.closingCostType);
+      const startingBalance = Number(params.investmentStartBalance) || 0;
+      return cashNeeded > startingBalance
+        ? `Down payment and closing costs ($${Math.round(cashNeeded).toLocaleString()}) exceed available investment balance ($${startingBalance.toLocaleString()}); the $${Math.round(cashNeeded - startingBalance).toLocaleString()} shortfall is not counted against the ownership scenario`
+        : null;
+    }
+  },
+  {
+    key: 'downPayment',
+    severity: 'error',
+    check: (params) => (
+      params.loanProgram === 'fha' && params.downPayment < FHA_RULES.minimumDownPayment
+        ? `FHA loans require at least ${FHA_RULES.minimumDownPayment}% down`
+        : null
+    )
+  }
+];
+
+/**
+ * Validate calculation parameters
+ * @param {Object} params - Parameters to validate
+ * @returns {{isValid: boolean, errors: Object, warnings: Object}} Validation result, with one message
+ * per input keyed by parameter; only errors make the parameters invalid
+ */
+export const validateParameters = (params) => {
+  const errors = {};
+  const warnings = {};
+
+  parameterRegistry.forEach(definition => {
+    if (!isParameterActive(definition, params)) return;
+    const message = validateParameter(definition, params);
+    if (message) errors[definition.key] = message;
+  });
+
+  CROSS_FIELD_RULES.forEach(rule => {
+    const message = rule.check(params);
+    if (!message) return;
+    if (rule.severity === 'warning') {
+      // An input with an error only shows the error
+      if (!errors[rule.key]) warnings[rule.key] = message;
+    } else {
+      errors[rule.key] = message;
+      delete warnings[rule.key];
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    warnings
+  };
+};
+
+/**
+ * Check a preset against the schema: every key must be registered, and the preset on top of
+ * the defaults must pass validation. Warnings are left to the form, like for any other inputs.
+ * @param {Object} parameters - Preset parameters
+ * @param {Object} defaults - Default parameters
+ * @returns {string[]} Problems found, empty for a valid preset
+ */
+export const checkPresetParameters = (parameters, defaults) => {
+  const unknown = Object.keys(parameters)
+    .filter(key => !getParameterDefinition(key))
+    .map(key => `Unknown parameter "${key}"`);
+
+  const { errors } = validateParameters({ ...defaults, ...parameters });
+  return [...unknown, ...Object.values(errors)];
+};
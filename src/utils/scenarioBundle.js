@@ -0,0 +1,250 @@
+/**
+ * Scenario bundle utilities for the Own vs Rent Calculator: a self-describing export file
+ * with a schema version and checksum, optionally encrypted with a passphrase (WebCrypto)
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { SCENARIO_STORE_VERSION, normalizeScenario } from './scenarioStore';
+
+export const BUNDLE_FORMAT = 'own-vs-rent-scenarios';
+export const BUNDLE_VERSION = 1;
+
+// Passphrase key derivation (PBKDF2-SHA-256) and encryption (AES-GCM) settings
+const KDF_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal content always hashes the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export const canonicalJSON = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * SHA-256 of a string as hex
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const sha256 = async (text) => toHex(await crypto.subtle.digest('SHA-256', textEncoder.encode(text)));
+
+/**
+ * Hash a scenario's inputs; two scenarios with the same inputs are duplicates whatever their names
+ * @param {Object} scenario - Saved scenario
+ * @returns {Promise<string>} Content hash
+ */
+export const hashScenarioContent = (scenario) => sha256(canonicalJSON(scenario.parameters || {}));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Build an export bundle
+ * @param {Object[]} scenarios - Saved scenarios
+ * @param {Object} [options] - Export options
+ * @param {string} [options.passphrase] - Encrypt the scenarios with this passphrase
+ * @returns {Promise<Object>} Bundle, ready for JSON.stringify
+ */
+export const createScenarioBundle = async (scenarios, options = {}) => {
+  const payload = {
+    storeVersion: SCENARIO_STORE_VERSION,
+    scenarios
+  };
+  const checksum = await sha256(canonicalJSON(payload));
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    count: scenarios.length
+  };
+
+  if (!options.passphrase) {
+    return { ...header, encrypted: false, checksum, ...payload };
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(options.passphrase, salt, KDF_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    textEncoder.encode(JSON.stringify({ ...payload, checksum }))
+  );
+
+  return {
+    ...header,
+    encrypted: true,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(ciphertext)
+  };
+};
+
+/**
+ * Check whether an exported file needs a passphrase before it can be read
+ * @param {Object|Array} bundle - Parsed file contents
+ * @returns {boolean} True for encrypted bundles
+ */
+export const isEncryptedBundle = (bundle) => Boolean(bundle && !Array.isArray(bundle) && bundle.encrypted);
+
+/**
+ * Read an exported file: check the format, decrypt if needed and verify the checksum.
+ * Plain arrays from older exports are still accepted.
+ * @param {Object|Array} bundle - Parsed file contents
+ * @param {Object} [options] - Import options
+ * @param {string} [options.passphrase] - Passphrase for encrypted bundles
+ * @returns {Promise<{scenarios: Object[], exportedAt: string|null, verified: boolean}>} Scenarios and
+ * whether a checksum confirmed them
+ */
+export const readScenarioBundle = async (bundle, options = {}) => {
+  if (Array.isArray(bundle)) {
+    return { scenarios: bundle, exportedAt: null, verified: false };
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('This file is not an Own vs Rent scenario export');
+  }
+  if (Number(bundle.version) > BUNDLE_VERSION) {
+    throw new Error(`This file was exported by a newer version of the app (bundle version ${bundle.version})`);
+  }
+
+  let payload = bundle;
+  if (bundle.encrypted) {
+    if (!options.passphrase) {
+      throw new Error('This file is encrypted. Enter its passphrase to import it.');
+    }
+
+    try {
+      const key = await deriveKey(options.passphrase, fromBase64(bundle.kdf.salt), bundle.kdf.iterations);
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(bundle.cipher.iv) },
+        key,
+        fromBase64(bundle.data)
+      );
+      payload = JSON.parse(textDecoder.decode(plaintext));
+    } catch {
+      throw new Error('Wrong passphrase, or the file is damaged');
+    }
+  }
+
+  const checksum = await sha256(canonicalJSON({ storeVersion: payload.storeVersion, scenarios: payload.scenarios }));
+  if (checksum !== payload.checksum) {
+    throw new Error('Checksum mismatch: the file was changed or damaged after it was exported');
+  }
+
+  if (Number(payload.storeVersion) > SCENARIO_STORE_VERSION) {
+    throw new Error(`This file holds scenarios in a newer format (version ${payload.storeVersion})`);
+  }
+
+  // Entries are checked and brought up to the current format by planScenarioImport
+  return { scenarios: payload.scenarios, exportedAt: bundle.exportedAt || null, verified: true };
+};
+
+/**
+ * Import actions a user can pick for each incoming scenario
+ */
+export const IMPORT_ACTIONS = {
+  import: 'Import',
+  replace: 'Replace existing',
+  keepBoth: 'Keep both',
+  skip: 'Skip'
+};
+
+/**
+ * Prepare a preview of an import: flag structural problems, validation errors and
+ * scenarios whose inputs already exist, and suggest an action for each
+ * @param {Object[]} incoming - Scenarios read from the bundle
+ * @param {Object[]} existing - Scenarios already saved
+ * @param {function(Object): Object} validate - Returns { isValid, errors } for a scenario's parameters
+ * @returns {Promise<Object[]>} One entry per incoming scenario
+ */
+export const planScenarioImport = async (incoming, existing, validate) => {
+  const existingHashes = await Promise.all(existing.map(hashScenarioContent));
+
+  return Promise.all(incoming.map(async (raw, index) => {
+    if (!raw || typeof raw !== 'object' || !raw.name || !raw.parameters || typeof raw.parameters !== 'object') {
+      return {
+        key: `entry-${index}`,
+        scenario: null,
+        name: (raw && raw.name) || `Entry ${index + 1}`,
+        errors: { structure: 'Missing a name or parameters' },
+        duplicateOf: null,
+        action: 'skip'
+      };
+    }
+
+    // Older entries lack newer fields such as the version history
+    const scenario = normalizeScenario(raw);
+    const hash = await hashScenarioContent(scenario);
+    const duplicateIndex = existingHashes.indexOf(hash);
+    const validation = validate(scenario.parameters);
+
+    return {
+      key: `entry-${index}`,
+      scenario,
+      name: scenario.name,
+      errors: validation.isValid ? {} : validation.errors,
+      duplicateOf: duplicateIndex === -1 ? null : existing[duplicateIndex],
+      action: !validation.isValid || duplicateIndex !== -1 ? 'skip' : 'import'
+    };
+  }));
+};
+
+/**
+ * Merge the chosen import entries into the saved scenarios
+ * @param {Object[]} existing - Scenarios already saved
+ * @param {Object[]} entries - Import entries with the chosen action
+ * @returns {{scenarios: Object[], counts: Object}} New scenario list and how many entries took each action
+ */
+export const mergeImportedScenarios = (existing, entries) => {
+  const counts = { import: 0, replace: 0, keepBoth: 0, skip: 0 };
+  let scenarios = [...existing];
+
+  entries.forEach(entry => {
+    let action = entry.scenario ? entry.action : 'skip';
+    if (action === 'replace' && !entry.duplicateOf) action = 'import';
+    counts[action] += 1;
+
+    if (action === 'replace') {
+      // The imported copy takes over the existing scenario's place and ID
+      scenarios = scenarios.map(scenario => (
+        scenario.id === entry.duplicateOf.id ? { ...entry.scenario, id: scenario.id } : scenario
+      ));
+    } else if (action === 'import' || action === 'keepBoth') {
+      scenarios.push({ ...entry.scenario, id: uuidv4() });
+    }
+  });
+
+  return { scenarios, counts };
+};
@@ -0,0 +1,135 @@
+/**
+ * Saved scenario comparison utilities for the Own vs Rent Calculator
+ */
+import { calculateScenario, convertResultsToRealDollars } from './calculations';
+import { defaultParameters } from '../data/presetTemplates';
+import { getParameterDefinition } from '../data/parameterRegistry';
+
+/**
+ * One colour per compared scenario, reused in the charts and tables
+ */
+export const COMPARISON_COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777'];
+
+export const MAX_COMPARED_SCENARIOS = COMPARISON_COLORS.length;
+
+/**
+ * Readable label for a parameter: its form label, or the key split into words for keys
+ * outside the registry (homeAppreciationRate -> Home appreciation rate)
+ * @param {string} key - Parameter key
+ * @returns {string} Label
+ */
+export const formatParameterLabel = (key) => {
+  const definition = getParameterDefinition(key);
+  if (definition) return definition.label;
+
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Format a parameter value for the diff table
+ * @param {*} value - Parameter value
+ * @returns {string} Display value
+ */
+export const formatParameterValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 4 });
+  return String(value);
+};
+
+/**
+ * Fill gaps in a saved scenario's parameters with today's defaults, the same way loading does
+ * @param {Object} scenario - Saved scenario
+ * @returns {Object} Complete parameters
+ */
+export const resolveScenarioParameters = (scenario) => ({ ...defaultParameters, ...scenario.parameters });
+
+/**
+ * Build a row for every parameter, flagging the ones that differ between scenarios
+ * @param {Object[]} parameterSets - Complete parameters for each scenario
+ * @returns {Array<{key: string, label: string, values: Array, changed: boolean}>} Diff rows
+ */
+export const buildParameterDiff = (parameterSets) => {
+  const keys = [];
+  parameterSets.forEach(parameters => {
+    Object.keys(parameters).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+
+  return keys.map(key => {
+    const values = parameterSets.map(parameters => parameters[key]);
+    const serialized = values.map(value => JSON.stringify(value ?? null));
+
+    return {
+      key,
+      label: formatParameterLabel(key),
+      values,
+      changed: serialized.some(value => value !== serialized[0])
+    };
+  });
+};
+
+/**
+ * Calculate the headline outcome and yearly net worth series for one scenario
+ * @param {Object} parameters - Complete calculation parameters
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.realDollars=false] - Express figures in today's dollars
+ * @returns {Object} Summary metrics and yearly series
+ */
+export const calculateScenarioOutcome = (parameters, options = {}) => {
+  const nominal = calculateScenario(parameters);
+  const results = options.realDollars
+    ? convertResultsToRealDollars(nominal, Number(parameters.inflationRate) || 0)
+    : nominal;
+  const { ownScenario, rentScenario } = results;
+  const finalIndex = ownScenario.netWorthIfSold.length - 1;
+
+  const ownNetWorthIfSold = Number(ownScenario.netWorthIfSold[finalIndex]) || 0;
+  const rentNetWorthIfSold = Number(rentScenario.netWorthIfSold[finalIndex]) || 0;
+  const difference = ownNetWorthIfSold - rentNetWorthIfSold;
+
+  const series = [];
+  for (let month = 0; month <= finalIndex; month += 12) {
+    series.push({
+      year: month / 12,
+      ownNetWorth: Number(ownScenario.netWorthIfSold[month]) || 0,
+      rentNetWorth: Number(rentScenario.netWorthIfSold[month]) || 0
+    });
+  }
+
+  return {
+    ownNetWorthIfSold,
+    rentNetWorthIfSold,
+    difference,
+    recommendation: difference > 0 ? 'own' : 'rent',
+    breakEvenPoint: results.breakEvenPoint,
+    monthlyMortgagePayment: nominal.monthlyMortgagePayment,
+    monthlyHousingCost: nominal.monthlyHousingCost,
+    ownTotalCosts: Number(ownScenario.totalCosts[finalIndex]) || 0,
+    rentTotalCosts: Number(rentScenario.totalCosts[finalIndex]) || 0,
+    series
+  };
+};
+
+/**
+ * Compare saved scenarios side by side
+ * @param {Object[]} scenarios - Saved scenarios ({id, name, parameters})
+ * @param {Object} [options] - Display options (realDollars)
+ * @returns {{scenarios: Object[], rows: Object[]}} Each scenario with its colour and outcome, plus the parameter diff
+ */
+export const compareScenarios = (scenarios, options = {}) => {
+  const parameterSets = scenarios.map(resolveScenarioParameters);
+
+  return {
+    scenarios: scenarios.map((scenario, index) => ({
+      id: scenario.id,
+      name: scenario.name,
+      color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+      outcome: calculateScenarioOutcome(parameterSets[index], options)
+    })),
+    rows: buildParameterDiff(parameterSets)
+  };
+};
@@ -0,0 +1,298 @@
+/**
+ * Scenario repository for the Own vs Rent Calculator: async storage for saved scenarios in
+ * IndexedDB, falling back to localStorage, with change notifications across browser tabs
+ */
+import { SCENARIO_STORE_VERSION, migrateScenarioStore, normalizeScenario } from './scenarioStore';
+
+// localStorage key used before IndexedDB, and by the localStorage fallback
+export const LEGACY_STORAGE_KEY = 'ownVsRentScenarios';
+
+const DB_NAME = 'ownVsRent';
+const DB_VERSION = 1;
+const SCENARIO_STORE = 'scenarios';
+const META_STORE = 'meta';
+const MIGRATION_FLAG = 'legacyStorageMigrated';
+
+const CHANNEL_NAME = 'ownVsRentScenarios';
+// Written to wake other tabs when BroadcastChannel is unavailable
+const CHANGE_PING_KEY = 'ownVsRentScenarios:changed';
+
+/**
+ * Turn storage failures into messages a user can act on
+ * @param {Error} error - Error from IndexedDB or localStorage
+ * @returns {Error} Error with a readable message
+ */
+const toStorageError = (error) => {
+  const name = error && error.name;
+  if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+    return new Error('Browser storage is full. Export and delete some scenarios, then try again.');
+  }
+  return error instanceof Error ? error : new Error('Saved scenarios could not be written');
+};
+
+// Oldest first, matching the order scenarios were saved in
+const sortScenarios = (scenarios) => [...scenarios].sort((a, b) => (
+  a.createdAt.localeCompare(b.createdAt) || a.lastModified.localeCompare(b.lastModified)
+));
+
+const openDatabase = (indexedDB) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SCENARIO_STORE)) {
+      db.createObjectStore(SCENARIO_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('Saved scenarios are locked by another tab running an older version'));
+});
+
+/**
+ * Run work inside one IndexedDB transaction. The work issues its requests synchronously
+ * (or from request callbacks) and reports a result or failure; the promise settles when
+ * the transaction commits or aborts.
+ */
+const runTransaction = (db, storeNames, mode, work) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeNames, mode);
+  let result;
+  let failure = null;
+
+  transaction.oncomplete = () => resolve(result);
+  transaction.onabort = () => reject(toStorageError(failure || transaction.error || new Error('Storage transaction was aborted')));
+
+  const fail = (error) => {
+    failure = error;
+    transaction.abort();
+  };
+
+  try {
+    work(transaction, (value) => { result = value; }, fail);
+  } catch (error) {
+    fail(error);
+  }
+});
+
+/**
+ * Copy scenarios from the old localStorage key into IndexedDB, once. The flag is written in the
+ * same transaction, so two tabs opening at the same time cannot both migrate.
+ */
+const migrateLegacyStorage = async (db, storage) => {
+  const migrated = await runTransaction(db, [SCENARIO_STORE, META_STORE], 'readwrite', (transaction, setResult, fail) => {
+    const meta = transaction.objectStore(META_STORE);
+    const flagRequest = meta.get(MIGRATION_FLAG);
+
+    flagRequest.onsuccess = () => {
+      if (flagRequest.result) {
+        setResult(false);
+        return;
+      }
+
+      try {
+        const item = storage ? storage.getItem(LEGACY_STORAGE_KEY) : null;
+        const legacy = migrateScenarioStore(item ? JSON.parse(item) : null);
+        const scenarios = transaction.objectStore(SCENARIO_STORE);
+        legacy.scenarios.forEach(scenario => scenarios.put(scenario));
+        meta.put(new Date().toISOString(), MIGRATION_FLAG);
+        setResult(Boolean(item));
+      } catch (error) {
+        fail(error);
+      }
+    };
+  });
+
+  // Only drop the old copy once IndexedDB holds it
+  if (migrated) {
+    storage.removeItem(LEGACY_STORAGE_KEY);
+  }
+};
+
+const createIndexedDBBackend = async (indexedDB, storage) => {
+  const db = await openDatabase(indexedDB);
+  try {
+    await migrateLegacyStorage(db, storage);
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+
+  // Another tab upgrading the database needs this connection closed
+  db.onversionchange = () => db.close();
+
+  const read = (work) => runTransaction(db, SCENARIO_STORE, 'readonly', (transaction, setResult) => {
+    const request = work(transaction.objectStore(SCENARIO_STORE));
+    request.onsuccess = () => setResult(request.result);
+  });
+
+  const write = (work) => runTransaction(db, SCENARIO_STORE, 'readwrite', (transaction, setResult, fail) => (
+    work(transaction.objectStore(SCENARIO_STORE), setResult, fail)
+  ));
+
+  return {
+    name: 'indexedDB',
+    list: async () => sortScenarios((await read(store => store.getAll())).map(normalizeScenario)),
+    get: async (id) => {
+      const scenario = await read(store => store.get(id));
+      return scenario ? normalizeScenario(scenario) : null;
+    },
+    putMany: (scenarios) => write(store => scenarios.forEach(scenario => store.put(scenario))),
+    update: (id, transform) => write((store, setResult, fail) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!request.result) {
+          fail(new Error('That scenario no longer exists'));
+          return;
+        }
+        try {
+          const updated = transform(normalizeScenario(request.result));
+          store.put(updated);
+          setResult(updated);
+        } catch (error) {
+          fail(error);
+        }
+      };
+    }),
+    remove: (id) => write(store => store.delete(id)),
+    close: () => db.close()
+  };
+};
+
+const createLocalStorageBackend = (storage) => {
+  // Every change re-reads storage first, so writes from another tab are kept
+  const read = () => {
+    const item = storage.getItem(LEGACY_STORAGE_KEY);
+    return migrateScenarioStore(item ? JSON.parse(item) : null).scenarios;
+  };
+
+  const modify = (transform) => {
+    const scenarios = transform(read());
+    try {
+      storage.setItem(LEGACY_STORAGE_KEY, JSON.stringify({ version: SCENARIO_STORE_VERSION, scenarios }));
+    } catch (error) {
+      throw toStorageError(error);
+    }
+  };
+
+  return {
+    name: 'localStorage',
+    list: async () => read(),
+    get: async (id) => read().find(scenario => scenario.id === id) || null,
+    putMany: async (incoming) => modify(scenarios => {
+      const ids = incoming.map(scenario => scenario.id);
+      const kept = scenarios.map(scenario => incoming[ids.indexOf(scenario.id)] || scenario);
+      return [...kept, ...incoming.filter(scenario => !scenarios.some(existing => existing.id === scenario.id))];
+    }),
+    update: async (id, transform) => {
+      let updated = null;
+      modify(scenarios => scenarios.map(scenario => {
+        if (scenario.id !== id) return scenario;
+        updated = transform(scenario);
+        return updated;
+      }));
+      if (!updated) {
+        throw new Error('That scenario no longer exists');
+      }
+      return updated;
+    },
+    remove: async (id) => modify(scenarios => scenarios.filter(scenario => scenario.id !== id)),
+    close: () => {}
+  };
+};
+
+/**
+ * Open the scenario repository, using IndexedDB where it works and localStorage otherwise
+ * (e.g. private browsing modes that block IndexedDB)
+ * @param {Object} [options] - Environment overrides, mainly for tests
+ * @param {IDBFactory|null} [options.indexedDB] - IndexedDB factory
+ * @param {Storage|null} [options.storage] - localStorage
+ * @param {Function|null} [options.BroadcastChannel] - BroadcastChannel constructor
+ * @returns {Promise<Object>} Repository with list, get, put, putMany, update, remove,
+ * subscribe and close; every write notifies other tabs
+ */
+export const openScenarioRepository = async (options = {}) => {
+  const indexedDB = options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB;
+  const storage = options.storage !== undefined ? options.storage : globalThis.localStorage;
+  const Channel = options.BroadcastChannel !== undefined ? options.BroadcastChannel : globalThis.BroadcastChannel;
+
+  let backend = null;
+  if (indexedDB) {
+    try {
+      backend = await createIndexedDBBackend(indexedDB, storage);
+    } catch (error) {
+      console.warn('IndexedDB unavailable, saving scenarios to localStorage instead:', error);
+    }
+  }
+  if (!backend) {
+    if (!storage) {
+      throw new Error('This browser does not allow saving scenarios');
+    }
+    backend = createLocalStorageBackend(storage);
+  }
+
+  const listeners = new Set();
+  const emit = () => listeners.forEach(listener => listener());
+
+  const channel = Channel ? new Channel(CHANNEL_NAME) : null;
+  if (channel) {
+    channel.onmessage = emit;
+  }
+
+  // The localStorage backend's own key changes, or the ping written for IndexedDB changes
+  const handleStorageEvent = (event) => {
+    if (event.key === LEGACY_STORAGE_KEY || event.key === CHANGE_PING_KEY || event.key === null) emit();
+  };
+  const canListenForStorage = typeof window !== 'undefined' && typeof window.addEventListener === 'function';
+  if (canListenForStorage) {
+    window.addEventListener('storage', handleStorageEvent);
+  }
+
+  const notifyOtherTabs = () => {
+    if (channel) {
+      channel.postMessage({ type: 'scenarios-changed' });
+    } else if (backend.name === 'indexedDB' && storage) {
+      try {
+        storage.setItem(CHANGE_PING_KEY, String(Date.now()));
+      } catch {
+        // Other tabs pick the change up on their next reload
+      }
+    }
+  };
+
+  const withNotification = (write) => async (...args) => {
+    const result = await write(...args);
+    notifyOtherTabs();
+    return result;
+  };
+
+  const putMany = withNotification(backend.putMany);
+
+  return {
+    backend: backend.name,
+    list: backend.list,
+    get: backend.get,
+    put: (scenario) => putMany([scenario]),
+    putMany,
+    update: withNotification(backend.update),
+    remove: withNotification(backend.remove),
+
+    /**
+     * Listen for changes made in other tabs
+     * @param {function(): void} listener - Called after another tab writes
+     * @returns {function(): void} Unsubscribe
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close: () => {
+      listeners.clear();
+      if (channel) channel.close();
+      if (canListenForStorage) window.removeEventListener('storage', handleStorageEvent);
+      backend.close();
+    }
+  };
+};
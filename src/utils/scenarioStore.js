@@ -0,0 +1,160 @@
+/**
+ * Saved scenario storage utilities for the Own vs Rent Calculator: the versioned storage
+ * format, its migrations, and in-place edits with a version history per scenario
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Current storage format. Stored as { version, scenarios }, where each scenario is
+ * { id, name, parameters, note, createdAt, lastModified, versions: [{ id, parameters, note, savedAt }] }
+ * where note labels the current parameters and versions holds earlier parameter sets, oldest first.
+ */
+export const SCENARIO_STORE_VERSION = 2;
+
+// Oldest history entries are dropped beyond this many per scenario
+export const MAX_SCENARIO_VERSIONS = 50;
+
+/**
+ * Fill in any fields a stored scenario is missing
+ * @param {Object} scenario - Scenario from storage or an import
+ * @returns {Object} Scenario in the current format
+ */
+export const normalizeScenario = (scenario) => {
+  const createdAt = scenario.createdAt || new Date().toISOString();
+
+  return {
+    ...scenario,
+    id: scenario.id || uuidv4(),
+    name: scenario.name || 'Untitled scenario',
+    parameters: { ...(scenario.parameters || {}) },
+    note: scenario.note || '',
+    createdAt,
+    lastModified: scenario.lastModified || createdAt,
+    versions: Array.isArray(scenario.versions) ? scenario.versions : []
+  };
+};
+
+/**
+ * Upgrades from each stored format to the next. Add an entry here, and bump
+ * SCENARIO_STORE_VERSION, whenever the stored shape changes.
+ */
+const STORE_MIGRATIONS = {
+  // Version 1 was a bare array of scenarios without history
+  1: (scenarios) => ({
+    version: 2,
+    scenarios: scenarios.map(normalizeScenario)
+  })
+};
+
+/**
+ * Read any stored format and bring it up to the current version
+ * @param {Array|Object|null} stored - Parsed value from storage
+ * @returns {{version: number, scenarios: Object[]}} Store in the current format
+ */
+export const migrateScenarioStore = (stored) => {
+  if (!stored) return { version: SCENARIO_STORE_VERSION, scenarios: [] };
+
+  let store = stored;
+  let version = Array.isArray(stored) ? 1 : Number(stored.version) || 1;
+  if (version > SCENARIO_STORE_VERSION) {
+    throw new Error(`Saved scenarios use a newer format (version ${version}) than this app supports`);
+  }
+
+  while (version < SCENARIO_STORE_VERSION) {
+    store = STORE_MIGRATIONS[version](Array.isArray(store) ? store : store.scenarios || []);
+    version = store.version;
+  }
+
+  return {
+    version: SCENARIO_STORE_VERSION,
+    scenarios: (store.scenarios || []).map(normalizeScenario)
+  };
+};
+
+/**
+ * Create a new saved scenario
+ * @param {string} name - Scenario name
+ * @param {Object} parameters - Calculation parameters
+ * @returns {Object} Scenario with an empty history
+ */
+export const createScenario = (name, parameters) => {
+  const now = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    name,
+    parameters: { ...parameters },
+    note: '',
+    createdAt: now,
+    lastModified: now,
+    versions: []
+  };
+};
+
+/**
+ * Replace a scenario's parameters, keeping the previous set in its history
+ * @param {Object} scenario - Saved scenario
+ * @param {Object} parameters - New parameters
+ * @param {string} [note] - Optional note describing the new version
+ * @returns {Object} Updated scenario
+ */
+export const updateScenario = (scenario, parameters, note = '') => {
+  const previous = {
+    id: uuidv4(),
+    parameters: scenario.parameters,
+    note: scenario.note,
+    savedAt: scenario.lastModified
+  };
+
+  return {
+    ...scenario,
+    parameters: { ...parameters },
+    note: note.trim(),
+    lastModified: new Date().toISOString(),
+    versions: [...scenario.versions, previous].slice(-MAX_SCENARIO_VERSIONS)
+  };
+};
+
+/**
+ * Rename a scenario (names are not versioned)
+ * @param {Object} scenario - Saved scenario
+ * @param {string} name - New name
+ * @returns {Object} Renamed scenario
+ */
+export const renameScenario = (scenario, name) => ({ ...scenario, name });
+
+/**
+ * Copy a scenario's current parameters into a new scenario with its own, empty history
+ * @param {Object} scenario - Saved scenario
+ * @param {string} [name] - Name for the copy
+ * @returns {Object} New scenario
+ */
+export const duplicateScenario = (scenario, name = `${scenario.name} (copy)`) => (
+  createScenario(name, scenario.parameters)
+);
+
+/**
+ * List every version of a scenario, oldest first, ending with the current parameters
+ * @param {Object} scenario - Saved scenario
+ * @returns {Array<{id: string, parameters: Object, note: string, savedAt: string, current: boolean}>} Versions
+ */
+export const getScenarioVersions = (scenario) => [
+  ...scenario.versions.map(version => ({ ...version, current: false })),
+  { id: 'current', parameters: scenario.parameters, note: scenario.note, savedAt: scenario.lastModified, current: true }
+];
+
+/**
+ * Make an earlier version current again. The parameters being replaced go into the history,
+ * so a restore can itself be undone.
+ * @param {Object} scenario - Saved scenario
+ * @param {string} versionId - ID of the version to restore
+ * @returns {Object} Updated scenario
+ */
+export const restoreScenarioVersion = (scenario, versionId) => {
+  const version = scenario.versions.find(item => item.id === versionId);
+  if (!version) {
+    throw new Error('That version is no longer in the history');
+  }
+
+  return updateScenario(scenario, version.parameters, version.note ? `Restored: ${version.note}` : 'Restored an earlier version');
+};
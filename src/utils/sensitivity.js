@@ -0,0 +1,81 @@
+/**
+ * Sensitivity analysis utilities for the Own vs Rent Calculator
+ */
+import { calculateScenario } from './calculations';
+
+/**
+ * Inputs tested by the sensitivity analysis. Amounts shift by a percentage of
+ * their value; rates shift by percentage points. Format is how the input is displayed;
+ * signed inputs (growth rates) may go below zero, every other input stays at zero or above.
+ */
+export const SENSITIVITY_PARAMETERS = [
+  { id: 'homePrice', label: 'Home price', kind: 'amount', format: 'currency' },
+  { id: 'downPayment', label: 'Down payment', kind: 'amount', format: 'percent' },
+  { id: 'mortgageRate', label: 'Mortgage rate', kind: 'rate', format: 'percent' },
+  { id: 'loanTerm', label: 'Loan term', kind: 'amount', format: 'years' },
+  { id: 'propertyTaxRate', label: 'Property tax rate', kind: 'rate', format: 'percent' },
+  { id: 'homeInsurance', label: 'Home insurance', kind: 'amount', format: 'currency' },
+  { id: 'maintenanceCost', label: 'Maintenance', kind: 'amount', format: 'currency' },
+  { id: 'hoaFees', label: 'HOA fees', kind: 'amount', format: 'currency' },
+  { id: 'homeAppreciationRate', label: 'Home appreciation', kind: 'rate', format: 'percent', signed: true },
+  { id: 'rentalIncome', label: 'Rental income', kind: 'amount', format: 'currency' },
+  { id: 'monthlyRent', label: 'Monthly rent', kind: 'amount', format: 'currency' },
+  { id: 'rentIncreaseRate', label: 'Rent increase', kind: 'rate', format: 'percent', signed: true },
+  { id: 'investmentStartBalance', label: 'Starting investments', kind: 'amount', format: 'currency' },
+  { id: 'monthlyBudget', label: 'Monthly budget', kind: 'amount', format: 'currency' },
+  { id: 'investmentReturn', label: 'Investment return', kind: 'rate', format: 'percent', signed: true },
+  { id: 'sellingCostRate', label: 'Selling costs', kind: 'rate', format: 'percent' }
+];
+
+/**
+ * Calculate own minus rent net worth if sold at the horizon
+ * @param {Object} params - All calculation parameters
+ * @returns {number} Net worth difference (positive favours owning)
+ */
+const calculateNetWorthDifference = (params) => {
+  const scenario = calculateScenario(params);
+  const finalIndex = scenario.ownScenario.netWorthIfSold.length - 1;
+
+  return scenario.ownScenario.netWorthIfSold[finalIndex] - scenario.rentScenario.netWorthIfSold[finalIndex];
+};
+
+/**
+ * Shift each input down and up, re-run the scenario, and rank the inputs by how
+ * far they move the net worth difference at the horizon
+ * @param {Object} params - All calculation parameters
+ * @param {Object} [options] - Shift sizes
+ * @param {number} [options.relativeShift=10] - Shift for amounts (percentage of the value)
+ * @param {number} [options.rateShift=1] - Shift for rates (percentage points)
+ * @returns {{baseDifference: number, results: Object[]}} Base difference and one result per input,
+ * sorted by swing (largest first)
+ */
+export const runSensitivityAnalysis = (params, options = {}) => {
+  const relativeShift = Math.abs(Number(options.relativeShift ?? 10)) || 0;
+  const rateShift = Math.abs(Number(options.rateShift ?? 1)) || 0;
+  const baseDifference = calculateNetWorthDifference(params);
+
+  const results = SENSITIVITY_PARAMETERS.map(parameter => {
+    const baseValue = Number(params[parameter.id]) || 0;
+    const delta = parameter.kind === 'rate' ? rateShift : Math.abs(baseValue) * (relativeShift / 100);
+    const lowValue = parameter.signed ? baseValue - delta : Math.max(0, baseValue - delta);
+    const highValue = baseValue + delta;
+
+    const lowDifference = calculateNetWorthDifference({ ...params, [parameter.id]: lowValue });
+    const highDifference = calculateNetWorthDifference({ ...params, [parameter.id]: highValue });
+
+    return {
+      ...parameter,
+      baseValue,
+      lowValue,
+      highValue,
+      lowDifference,
+      highDifference,
+      swing: Math.abs(highDifference - lowDifference)
+    };
+  });
+
+  return {
+    baseDifference,
+    results: results.sort((a, b) => b.swing - a.swing)
+  };
+};
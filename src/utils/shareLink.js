@@ -0,0 +1,225 @@
+/**
+ * Share link utilities for the Own vs Rent Calculator: a versioned codec between URL query
+ * strings and parameter sets, a named scenario or a whole comparison set, driven by the
+ * parameter registry
+ */
+import { parameterRegistry } from '../data/parameterRegistry';
+
+/**
+ * Current link format.
+ * - Version 1 (no v key): hp=500000&dp=20&… with short keys
+ * - Version 2: v=2 followed by the same short keys and an optional scenario name (n), or
+ *   v=2&z=… with a deflate-compressed base64url JSON payload (d=… when the browser cannot
+ *   compress), used for long links and comparison sets
+ * Links only carry values that differ from the defaults; missing values decode to the defaults.
+ */
+export const SHARE_LINK_VERSION = 2;
+
+// Longer plain links are replaced by a compressed payload
+const MAX_PLAIN_QUERY_LENGTH = 400;
+
+const VERSION_KEY = 'v';
+const NAME_KEY = 'n';
+const COMPRESSED_KEY = 'z';
+const PAYLOAD_KEY = 'd';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const canCompress = () => typeof CompressionStream !== 'undefined';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+};
+
+const transformBytes = async (bytes, transform) => (
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer())
+);
+
+/**
+ * Convert a value from a link into the parameter's type
+ * @param {Object} definition - Registry entry
+ * @param {*} value - Query string text or JSON payload value
+ * @returns {*} Parameter value, or undefined if the value does not fit the type
+ */
+const decodeValue = (definition, value) => {
+  switch (definition.type) {
+    case 'boolean':
+      if (value === true || value === 1 || value === '1' || value === 'true') return true;
+      if (value === false || value === 0 || value === '0' || value === 'false') return false;
+      return undefined;
+    case 'option':
+      return definition.options.includes(value) ? value : undefined;
+    case 'list':
+      return typeof value === 'string' && /^[\d.,\s-]*$/.test(value) ? value : undefined;
+    case 'json': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch {
+          return undefined;
+        }
+      }
+      return Array.isArray(parsed) ? parsed.filter(item => item && typeof item === 'object') : undefined;
+    }
+    default: {
+      if (typeof value === 'string' && value.trim() === '') return undefined;
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+  }
+};
+
+// Plain query strings carry every value as text
+const encodePlainValue = (definition, value) => {
+  if (definition.type === 'boolean') return value ? '1' : '0';
+  if (definition.type === 'json') return JSON.stringify(value);
+  return String(value);
+};
+
+const isDefaultValue = (value, defaultValue) => (
+  typeof value === 'object' ? JSON.stringify(value) === JSON.stringify(defaultValue) : value === defaultValue
+);
+
+/**
+ * Keep the registered parameters that differ from the defaults, keyed by their short URL keys
+ * @param {Object} parameters - Calculation parameters
+ * @param {Object} defaults - Default parameters
+ * @returns {Object} Compact parameters
+ */
+export const toCompactParameters = (parameters, defaults = {}) => {
+  const compact = {};
+  parameterRegistry.forEach(definition => {
+    const value = parameters[definition.key];
+    if (value === null || value === undefined) return;
+    if (defaults[definition.key] !== undefined && isDefaultValue(value, defaults[definition.key])) return;
+    compact[definition.urlKey] = value;
+  });
+  return compact;
+};
+
+/**
+ * Read compact parameters back, dropping unknown keys and values of the wrong type
+ * @param {Object|URLSearchParams} compact - Values keyed by short URL keys
+ * @returns {Object} Calculation parameters
+ */
+export const fromCompactParameters = (compact) => {
+  const read = compact instanceof URLSearchParams ? key => compact.get(key) : key => compact[key];
+  const parameters = {};
+  parameterRegistry.forEach(definition => {
+    const raw = read(definition.urlKey);
+    if (raw === null || raw === undefined) return;
+    const value = decodeValue(definition, raw);
+    if (value !== undefined) parameters[definition.key] = value;
+  });
+  return parameters;
+};
+
+const encodePayload = async (payload, compress) => {
+  const bytes = textEncoder.encode(JSON.stringify(payload));
+  const query = new URLSearchParams({ [VERSION_KEY]: String(SHARE_LINK_VERSION) });
+  if (compress && canCompress()) {
+    query.set(COMPRESSED_KEY, toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw'))));
+  } else {
+    query.set(PAYLOAD_KEY, toBase64Url(bytes));
+  }
+  return query.toString();
+};
+
+const decodePayload = async (query) => {
+  let bytes;
+  try {
+    bytes = query.has(COMPRESSED_KEY)
+      ? await transformBytes(fromBase64Url(query.get(COMPRESSED_KEY)), new DecompressionStream('deflate-raw'))
+      : fromBase64Url(query.get(PAYLOAD_KEY));
+    return JSON.parse(textDecoder.decode(bytes));
+  } catch {
+    throw new Error('This share link is incomplete or damaged');
+  }
+};
+
+const readNamedScenario = (entry) => ({
+  name: typeof entry.n === 'string' ? entry.n : '',
+  parameters: fromCompactParameters(entry.p && typeof entry.p === 'object' ? entry.p : {})
+});
+
+/**
+ * Encode a share link query string
+ * @param {Object} content - { parameters, name } for one scenario, or { scenarios: [{ name, parameters }] }
+ * for a comparison set
+ * @param {Object} [options] - Encoding options
+ * @param {Object} [options.defaults] - Values left out of the link
+ * @param {boolean|'auto'} [options.compress='auto'] - Always (true), never (false) or only for long links
+ * @returns {Promise<string>} Query string without the leading '?', empty when everything is default
+ */
+export const encodeShareLink = async (content, options = {}) => {
+  const { defaults = {}, compress = 'auto' } = options;
+
+  if (content.scenarios) {
+    return encodePayload({
+      c: content.scenarios.map(scenario => ({ n: scenario.name, p: toCompactParameters(scenario.parameters, defaults) }))
+    }, compress !== false);
+  }
+
+  const compact = toCompactParameters(content.parameters, defaults);
+  if (compress === true) {
+    return encodePayload({ n: content.name || undefined, p: compact }, true);
+  }
+
+  if (!content.name && Object.keys(compact).length === 0) return '';
+
+  const query = new URLSearchParams({ [VERSION_KEY]: String(SHARE_LINK_VERSION) });
+  if (content.name) query.set(NAME_KEY, content.name);
+  parameterRegistry.forEach(definition => {
+    if (compact[definition.urlKey] !== undefined) {
+      query.set(definition.urlKey, encodePlainValue(definition, compact[definition.urlKey]));
+    }
+  });
+
+  const plain = query.toString();
+  if (compress === false || plain.length <= MAX_PLAIN_QUERY_LENGTH) return plain;
+  return encodePayload({ n: content.name || undefined, p: compact }, true);
+};
+
+/**
+ * Decode a share link query string of any version
+ * @param {string} search - Query string, with or without the leading '?'
+ * @returns {Promise<Object|null>} { version, name, parameters } for one scenario or
+ * { version, scenarios } for a comparison set; null when the query holds no share link
+ */
+export const decodeShareLink = async (search) => {
+  const query = new URLSearchParams(search);
+  const version = query.has(VERSION_KEY) ? Number(query.get(VERSION_KEY)) : 1;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('This share link has an unknown format');
+  }
+  if (version > SHARE_LINK_VERSION) {
+    throw new Error('This share link was made by a newer version of the app');
+  }
+
+  if (version >= 2 && (query.has(COMPRESSED_KEY) || query.has(PAYLOAD_KEY))) {
+    const payload = await decodePayload(query);
+    if (Array.isArray(payload.c)) {
+      return { version, scenarios: payload.c.filter(entry => entry && typeof entry === 'object').map(readNamedScenario) };
+    }
+    return { version, ...readNamedScenario(payload || {}) };
+  }
+
+  // Version 1 links use the same short keys, without a name
+  const parameters = fromCompactParameters(query);
+  const name = version >= 2 ? query.get(NAME_KEY) || '' : '';
+  if (Object.keys(parameters).length === 0 && !name && version === 1) return null;
+
+  return { version, name, parameters };
+};
@@ -0,0 +1,98 @@
+/**
+ * Income tax utilities for the Own vs Rent Calculator
+ */
+
+/**
+ * Federal tax figures by filing status (2026 tax year)
+ */
+export const TAX_RULES = {
+  standardDeduction: { single: 16100, married: 32200 },
+  saltCap: { single: 40400, married: 40400 },
+  mortgageDebtLimit: { single: 750000, married: 750000 },
+  homeSaleExclusion: { single: 250000, married: 500000 }
+};
+
+/**
+ * Filing status options for the tax inputs
+ */
+export const FILING_STATUSES = [
+  { id: 'single', label: 'Single' },
+  { id: 'married', label: 'Married filing jointly' }
+];
+
+const resolveStatus = (filingStatus) => (filingStatus === 'single' ? 'single' : 'married');
+
+/**
+ * Calculate the yearly tax savings from owning versus renting.
+ * Both households deduct state and local income taxes up to the SALT cap;
+ * the owner can also itemize mortgage interest and property taxes. Each
+ * household takes the larger of its itemized or standard deduction.
+ * @param {Object} options - Tax inputs for one year
+ * @param {number} options.mortgageInterest - Mortgage interest paid during the year
+ * @param {number} options.loanBalance - Loan balance at the start of the year
+ * @param {number} options.propertyTaxes - Property taxes paid during the year
+ * @param {number} options.stateLocalIncomeTax - State and local income taxes paid during the year
+ * @param {string} options.filingStatus - 'single' or 'married'
+ * @param {number} options.marginalTaxRate - Federal marginal income tax rate (percentage)
+ * @param {number} [options.saltCap] - Cap on state and local tax deductions (defaults to the filing status cap)
+ * @returns {Object} Deductions for each household and the owner's tax savings
+ */
+export const calculateHomeownerTaxSavings = ({
+  mortgageInterest,
+  loanBalance,
+  propertyTaxes,
+  stateLocalIncomeTax,
+  filingStatus,
+  marginalTaxRate,
+  saltCap
+}) => {
+  const status = resolveStatus(filingStatus);
+  const cap = saltCap === undefined || saltCap === null ? TAX_RULES.saltCap[status] : Math.max(0, saltCap);
+  const standardDeduction = TAX_RULES.standardDeduction[status];
+  const debtLimit = TAX_RULES.mortgageDebtLimit[status];
+
+  // Interest on acquisition debt above the limit is not deductible
+  const deductibleShare = loanBalance > debtLimit ? debtLimit / loanBalance : 1;
+  const deductibleInterest = Math.max(0, mortgageInterest) * deductibleShare;
+
+  const ownerItemized = deductibleInterest + Math.min(cap, propertyTaxes + stateLocalIncomeTax);
+  const renterItemized = Math.min(cap, stateLocalIncomeTax);
+
+  const ownerDeduction = Math.max(standardDeduction, ownerItemized);
+  const renterDeduction = Math.max(standardDeduction, renterItemized);
+
+  return {
+    ownerItemizes: ownerItemized > standardDeduction,
+    ownerDeduction,
+    renterDeduction,
+    taxSavings: Math.max(0, ownerDeduction - renterDeduction) * (marginalTaxRate / 100)
+  };
+};
+
+/**
+ * Calculate capital gains tax owed when the home is sold
+ * @param {Object} options - Sale inputs
+ * @param {number} options.salePrice - Sale price of the home
+ * @param {number} options.sellingCosts - Costs of sale, which reduce the gain
+ * @param {number} options.costBasis - Purchase price plus capitalized closing costs
+ * @param {string} options.filingStatus - 'single' or 'married'
+ * @param {number} options.capitalGainsTaxRate - Long-term capital gains rate (percentage)
+ * @returns {number} Tax owed on the gain above the primary residence exclusion
+ */
+export const calculateHomeSaleTax = ({ salePrice, sellingCosts, costBasis, filingStatus, capitalGainsTaxRate }) => {
+  const exclusion = TAX_RULES.homeSaleExclusion[resolveStatus(filingStatus)];
+  const gain = salePrice - sellingCosts - costBasis;
+
+  return Math.max(0, gain - exclusion) * (capitalGainsTaxRate / 100);
+};
+
+/**
+ * Calculate capital gains tax owed when a brokerage portfolio is liquidated
+ * @param {number} portfolioValue - Current portfolio value
+ * @param {number} costBasis - Total amount contributed to the portfolio
+ * @param {number} capitalGainsTaxRate - Long-term capital gains rate (percentage)
+ * @returns {number} Tax owed on unrealized gains
+ */
+export const calculatePortfolioGainsTax = (portfolioValue, costBasis, capitalGainsTaxRate) => {
+  return Math.max(0, portfolioValue - costBasis) * (capitalGainsTaxRate / 100);
+};
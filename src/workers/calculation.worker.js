@@ -0,0 +1,33 @@
+/**
+ * Web worker that runs calculation jobs off the main thread
+ *
+ * Request:  { id, job, payload }
+ * Replies:  { id, type: 'progress', progress }
+ *           { id, type: 'result', result }
+ *           { id, type: 'error', error }
+ *
+ * Jobs run one at a time. Cancelling the running job is done by terminating the worker
+ * (see calculationService), since a synchronous job cannot be interrupted from inside.
+ */
+import { runCalculationJob } from '../utils/calculationJobs';
+
+// Report progress in steps of this share of the job
+const PROGRESS_STEP = 0.05;
+
+self.onmessage = (event) => {
+  const { id, job, payload } = event.data;
+  let reported = 0;
+
+  try {
+    const result = runCalculationJob(job, payload, {
+      onProgress: (progress) => {
+        if (progress - reported < PROGRESS_STEP && progress < 1) return;
+        reported = progress;
+        self.postMessage({ id, type: 'progress', progress });
+      }
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+};